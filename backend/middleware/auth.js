@@ -1,8 +1,78 @@
 // middleware/auth.js - Authentication middleware
 
-const { verifyToken: clerkVerifyToken } = require('@clerk/clerk-sdk-node');
+const jwt = require('jsonwebtoken');
+const { verifyToken: clerkVerifyToken, clerkClient } = require('@clerk/clerk-sdk-node');
+const identityService = require('../services/identityService');
 
-// Verify token middleware using Clerk
+// Secret for the HS256 tokens issued by routes/auth.js; without one, only Clerk tokens are accepted
+// (a built-in default would let anyone sign tokens for any user)
+const JWT_SECRET = process.env.JWT_SECRET || null;
+if (!JWT_SECRET) {
+  console.warn('JWT_SECRET is not set: local and OAuth logins are disabled and only Clerk tokens are accepted');
+}
+
+// Fetch name and email for a Clerk user the first time they are seen, and whether Clerk verified the email
+const loadClerkProfile = async (payload) => {
+  const clerkUser = await clerkClient.users.getUser(payload.sub);
+  const address = clerkUser.emailAddresses.find(e => payload.email && e.emailAddress === payload.email) ||
+    clerkUser.emailAddresses.find(e => e.id === clerkUser.primaryEmailAddressId) ||
+    clerkUser.emailAddresses[0];
+
+  return {
+    email: address?.emailAddress,
+    emailVerified: address?.verification?.status === 'verified',
+    name: [clerkUser.firstName, clerkUser.lastName].filter(Boolean).join(' ') || clerkUser.username,
+    avatarUrl: clerkUser.imageUrl
+  };
+};
+
+/**
+ * Verify a bearer token and resolve it to an internal user
+ * Accepts the HS256 JWTs issued by /api/auth and Clerk session tokens; Clerk users are
+ * provisioned into users on first sight through user_identities.
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} User ({ userId, email, name, role, provider })
+ */
+const authenticateToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed token');
+  }
+
+  let user;
+  let provider;
+
+  if (decoded.header.alg === 'HS256') {
+    if (!JWT_SECRET) {
+      throw new Error('Local tokens are not accepted: JWT_SECRET is not configured');
+    }
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    user = await identityService.getUserById(payload.userId);
+    provider = 'local';
+  } else {
+    const payload = await clerkVerifyToken(token, {
+      secretKey: process.env.CLERK_SECRET_KEY,
+      jwtKey: process.env.CLERK_JWT_KEY,
+      issuer: null
+    });
+    user = await identityService.findOrCreateUser('clerk', payload.sub, () => loadClerkProfile(payload));
+    provider = 'clerk';
+  }
+
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  return {
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    provider
+  };
+};
+
+// Verify token middleware (local JWT or Clerk)
 const verifyToken = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -11,13 +81,7 @@ const verifyToken = async (req, res, next) => {
   }
 
   try {
-    const payload = await clerkVerifyToken(token);
-    req.user = {
-      userId: payload.sub,
-      email: payload.email,
-      firstName: payload.firstName,
-      lastName: payload.lastName
-    };
+    req.user = await authenticateToken(token);
     next();
   } catch (error) {
     console.error('Token verification error:', error);
@@ -25,4 +89,30 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken };
+// Allow only platform administrators; use after verifyToken
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Verify the token sent in the Socket.IO handshake (auth.token or an Authorization header)
+const verifySocketToken = async (socket, next) => {
+  const token = socket.handshake.auth?.token ||
+    socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return next(new Error('Access denied'));
+  }
+
+  try {
+    socket.data.user = await authenticateToken(token);
+    next();
+  } catch (error) {
+    console.error('Socket token verification error:', error);
+    next(new Error('Invalid token'));
+  }
+};
+
+module.exports = { verifyToken, verifySocketToken, requireAdmin, authenticateToken, JWT_SECRET };
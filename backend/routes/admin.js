@@ -0,0 +1,94 @@
+// routes/admin.js - Platform administration routes (admin role only)
+
+const express = require('express');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const translationMemoryService = require('../services/translationMemoryService');
+const rateLimitService = require('../services/rateLimitService');
+const usageService = require('../services/usageService');
+const { sendServiceError } = require('../services/serviceError');
+
+const router = express.Router();
+
+router.use(verifyToken, requireAdmin);
+
+// Translation memory hit/miss counters and sizes
+router.get('/translation-memory/stats', async (req, res) => {
+  try {
+    const stats = await translationMemoryService.getStats();
+    res.json(stats);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching translation memory stats');
+  }
+});
+
+// Reset the hit/miss counters
+router.post('/translation-memory/stats/reset', (req, res) => {
+  translationMemoryService.resetStats();
+  res.json(translationMemoryService.stats);
+});
+
+// Inspect stored entries (?q=&sourceLanguage=&targetLanguage=&limit=&offset=)
+router.get('/translation-memory', async (req, res) => {
+  try {
+    const entries = await translationMemoryService.listEntries(req.query);
+    res.json(entries);
+  } catch (error) {
+    sendServiceError(res, error, 'listing translation memory');
+  }
+});
+
+// Purge entries matching the filters (?q=&sourceLanguage=&targetLanguage=&olderThanDays=); no filters purges everything
+router.delete('/translation-memory', async (req, res) => {
+  try {
+    const purged = await translationMemoryService.purge(req.query);
+    res.json({ purged });
+  } catch (error) {
+    sendServiceError(res, error, 'purging translation memory');
+  }
+});
+
+// Delete one entry
+router.delete('/translation-memory/:id', async (req, res) => {
+  try {
+    const deleted = await translationMemoryService.deleteEntry(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Translation memory entry not found' });
+    }
+    res.json({ message: 'Translation memory entry deleted' });
+  } catch (error) {
+    sendServiceError(res, error, 'deleting translation memory entry');
+  }
+});
+
+// AI usage by host for a month (?month=YYYY-MM, default the current month)
+router.get('/usage', async (req, res) => {
+  try {
+    const report = await usageService.getReport(req.query);
+    res.json(report);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching AI usage');
+  }
+});
+
+// Override a host's monthly AI quota ({ quota }); null restores the default
+router.put('/usage/:userId/quota', async (req, res) => {
+  try {
+    const user = await usageService.setQuota(req.params.userId, req.body.quota === undefined ? null : req.body.quota);
+    res.json(user);
+  } catch (error) {
+    sendServiceError(res, error, 'setting AI quota');
+  }
+});
+
+// Configured rate limits and allowed/rejected counters
+router.get('/rate-limits', (req, res) => {
+  res.json(rateLimitService.getStats());
+});
+
+// Reset the rate limit counters
+router.post('/rate-limits/reset', (req, res) => {
+  rateLimitService.resetStats();
+  res.json(rateLimitService.getStats());
+});
+
+module.exports = router;
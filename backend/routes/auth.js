@@ -5,14 +5,20 @@ const passport = require('passport');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../server');
+const { verifyToken, JWT_SECRET } = require('../middleware/auth');
 
 const router = express.Router();
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Local and OAuth logins issue HS256 tokens, which are only accepted with a configured secret
+const requireJwtSecret = (req, res, next) => {
+  if (!JWT_SECRET) {
+    return res.status(503).json({ error: 'Local login is disabled: JWT_SECRET is not configured' });
+  }
+  next();
+};
 
 // Local login
-router.post('/login', async (req, res) => {
+router.post('/login', requireJwtSecret, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -55,9 +61,12 @@ router.post('/login', async (req, res) => {
 });
 
 // Local registration
-router.post('/register', async (req, res) => {
+router.post('/register', requireJwtSecret, async (req, res) => {
   try {
-    const { name, email, password, role = 'viewer' } = req.body;
+    const { name, email, password } = req.body;
+
+    // Self-registered accounts are viewers; other roles are granted in the database, never self-assigned
+    const role = 'viewer';
 
     // Check if user already exists
     const existingUserQuery = 'SELECT id FROM users WHERE email = $1';
@@ -102,6 +111,7 @@ router.get('/google',
 );
 
 router.get('/google/callback',
+  requireJwtSecret,
   passport.authenticate('google', { failureRedirect: '/login' }),
   (req, res) => {
     // Generate JWT token for authenticated user
@@ -122,6 +132,7 @@ router.get('/github',
 );
 
 router.get('/github/callback',
+  requireJwtSecret,
   passport.authenticate('github', { failureRedirect: '/login' }),
   (req, res) => {
     // Generate JWT token for authenticated user
@@ -136,21 +147,14 @@ router.get('/github/callback',
   }
 );
 
-// Verify token middleware (can be used in other routes)
-const verifyToken = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied' });
-  }
-
-  try {
-    const verified = jwt.verify(token, JWT_SECRET);
-    req.user = verified;
-    next();
-  } catch (error) {
-    res.status(400).json({ error: 'Invalid token' });
-  }
-};
+// Current user, resolved to the internal users row for either token type
+router.get('/me', verifyToken, (req, res) => {
+  res.json({
+    id: req.user.userId,
+    email: req.user.email,
+    name: req.user.name,
+    role: req.user.role
+  });
+});
 
 module.exports = router;
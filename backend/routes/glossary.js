@@ -0,0 +1,70 @@
+// routes/glossary.js - Glossary management routes
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const glossaryService = require('../services/glossaryService');
+const { sendServiceError } = require('../services/serviceError');
+
+const router = express.Router();
+
+// Get the current user's account-wide terms (applied to every session they host)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const terms = await glossaryService.listAccountTerms(req.user.userId);
+    res.json(terms);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching glossary');
+  }
+});
+
+// Get the terms applied to a session: its own terms plus the host's account-wide terms
+router.get('/session/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const terms = await glossaryService.listSessionTerms(req.params.sessionId, req.user.userId);
+    res.json(terms);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching session glossary');
+  }
+});
+
+// Suggest terms from the session transcript (host only); nothing is saved
+router.post('/session/:sessionId/suggest', verifyToken, async (req, res) => {
+  try {
+    const suggestions = await glossaryService.suggestTerms(req.params.sessionId, req.user.userId);
+    res.json(suggestions);
+  } catch (error) {
+    sendServiceError(res, error, 'suggesting glossary terms');
+  }
+});
+
+// Add a term to a session glossary, or to the account-wide glossary when sessionId is omitted
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const term = await glossaryService.createTerm(req.user.userId, req.body);
+    res.status(201).json(term);
+  } catch (error) {
+    sendServiceError(res, error, 'creating glossary term');
+  }
+});
+
+// Update a term
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const term = await glossaryService.updateTerm(req.params.id, req.user.userId, req.body);
+    res.json(term);
+  } catch (error) {
+    sendServiceError(res, error, 'updating glossary term');
+  }
+});
+
+// Delete a term
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    await glossaryService.deleteTerm(req.params.id, req.user.userId);
+    res.json({ message: 'Glossary term deleted' });
+  } catch (error) {
+    sendServiceError(res, error, 'deleting glossary term');
+  }
+});
+
+module.exports = router;
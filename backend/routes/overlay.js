@@ -0,0 +1,67 @@
+// routes/overlay.js - Caption overlay tokens and presets for livestream browser sources
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const overlayService = require('../services/overlayService');
+const { sendServiceError } = require('../services/serviceError');
+
+const router = express.Router();
+
+// Resolve an overlay token (?token=) to its session and styling preset; no user sign-in needed
+router.get('/config', async (req, res) => {
+  try {
+    const overlay = await overlayService.resolveToken(req.query.token);
+    res.json({
+      sessionId: overlay.sessionId,
+      title: overlay.title,
+      language: overlay.settings.lang || overlay.sessionLanguage,
+      settings: overlay.settings
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'fetching overlay config');
+  }
+});
+
+// List a session's overlays (host only)
+router.get('/session/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const overlays = await overlayService.listOverlays(req.params.sessionId, req.user.userId);
+    res.json(overlays);
+  } catch (error) {
+    sendServiceError(res, error, 'listing overlays');
+  }
+});
+
+// Create an overlay token with a styling preset (host only); the token is only returned once
+router.post('/session/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const { name, settings } = req.body;
+    const overlay = await overlayService.createOverlay(req.params.sessionId, req.user.userId, { name, settings });
+    res.status(201).json(overlay);
+  } catch (error) {
+    sendServiceError(res, error, 'creating overlay');
+  }
+});
+
+// Rename an overlay or replace its preset (host only)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const { name, settings } = req.body;
+    const overlay = await overlayService.updateOverlay(req.params.id, req.user.userId, { name, settings });
+    res.json(overlay);
+  } catch (error) {
+    sendServiceError(res, error, 'updating overlay');
+  }
+});
+
+// Revoke an overlay token (host only); connected overlays are disconnected
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    const overlay = await overlayService.revokeOverlay(req.params.id, req.user.userId);
+    res.json(overlay);
+  } catch (error) {
+    sendServiceError(res, error, 'revoking overlay');
+  }
+});
+
+module.exports = router;
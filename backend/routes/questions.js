@@ -0,0 +1,78 @@
+// routes/questions.js - Q&A queue routes
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const questionService = require('../services/questionService');
+const sessionAccessService = require('../services/sessionAccessService');
+const { sendServiceError } = require('../services/serviceError');
+
+const router = express.Router();
+
+// Get a session's questions (?sort=votes|recent); hosts and moderators also see dismissed ones
+router.get('/session/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.userId;
+
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied to this session' });
+    }
+
+    const questions = await questionService.listQuestions(sessionId, userId, {
+      sort: req.query.sort,
+      includeDismissed: sessionAccessService.publisherRoles.includes(role)
+    });
+    res.json(questions);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching questions');
+  }
+});
+
+// Ask a question
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { sessionId, text } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+
+    const question = await questionService.askQuestion(sessionId, req.user, text);
+    res.status(201).json(question);
+  } catch (error) {
+    sendServiceError(res, error, 'asking question');
+  }
+});
+
+// Upvote a question
+router.post('/:id/vote', verifyToken, async (req, res) => {
+  try {
+    const question = await questionService.vote(req.params.id, req.user.userId, true);
+    res.json(question);
+  } catch (error) {
+    sendServiceError(res, error, 'voting on question');
+  }
+});
+
+// Withdraw an upvote
+router.delete('/:id/vote', verifyToken, async (req, res) => {
+  try {
+    const question = await questionService.vote(req.params.id, req.user.userId, false);
+    res.json(question);
+  } catch (error) {
+    sendServiceError(res, error, 'removing vote');
+  }
+});
+
+// Mark a question answered or dismissed, or pin it (hosts and moderators)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const { status, pinned } = req.body;
+    const question = await questionService.moderate(req.params.id, req.user.userId, { status, pinned });
+    res.json(question);
+  } catch (error) {
+    sendServiceError(res, error, 'updating question');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/search.js - Full-text search routes
+
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const searchService = require('../services/searchService');
+const { sendServiceError } = require('../services/serviceError');
+
+const router = express.Router();
+
+// Search transcripts and summaries in the user's sessions (?q=&sessionId=&type=all|transcripts|summaries&limit=&offset=)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { q, sessionId, type, limit, offset } = req.query;
+    const page = await searchService.search(req.user.userId, { q, sessionId, type, limit, offset });
+    res.json(page);
+  } catch (error) {
+    sendServiceError(res, error, 'searching transcripts');
+  }
+});
+
+module.exports = router;
@@ -3,26 +3,54 @@
 const express = require('express');
 const { pool } = require('../server');
 const { verifyToken } = require('../middleware/auth');
+const chatService = require('../services/chatService');
+const minutesService = require('../services/minutesService');
+const moderationService = require('../services/moderationService');
+const sessionAccessService = require('../services/sessionAccessService');
+const sessionCapacityService = require('../services/sessionCapacityService');
+const sessionJoinService = require('../services/sessionJoinService');
+const sessionLifecycleService = require('../services/sessionLifecycleService');
+const summarySchedulerService = require('../services/summarySchedulerService');
+const { isLanguage } = require('../services/socketPayloads');
+const { sendServiceError } = require('../services/serviceError');
 
 const router = express.Router();
 
-// Get all sessions for a user
+// Session rows sent to clients never include the access code hash
+const toClientSession = ({ access_code_hash: accessCodeHash, ...session }) => ({
+  ...session,
+  has_access_code: Boolean(accessCodeHash)
+});
+
+// Get the user's sessions plus other active sessions they can join (invite-only sessions stay hidden),
+// with the caller's waitlist position where they are queued
 router.get('/', verifyToken, async (req, res) => {
   try {
     const userId = req.user.userId;
 
     const sessionsQuery = `
-      SELECT s.*, u.name as host_name
+      SELECT s.*, u.name as host_name,
+        s.host_id = $1 AS is_host,
+        EXISTS (
+          SELECT 1 FROM session_participants WHERE session_id = s.id AND user_id = $1
+        ) AS is_participant,
+        (SELECT COUNT(*)::int FROM session_participants WHERE session_id = s.id) AS participant_count,
+        (SELECT COUNT(*)::int FROM session_waitlist WHERE session_id = s.id) AS waitlist_count,
+        (SELECT queue.position FROM (
+          SELECT user_id, ROW_NUMBER() OVER (ORDER BY id)::int AS position
+          FROM session_waitlist WHERE session_id = s.id
+        ) queue WHERE queue.user_id = $1) AS waitlist_position
       FROM sessions s
       JOIN users u ON s.host_id = u.id
-      WHERE s.host_id = $1 OR s.id IN (
+      WHERE s.host_id = $1 OR (s.status = 'active' AND s.visibility <> 'invite') OR s.id IN (
         SELECT session_id FROM session_participants WHERE user_id = $1
+        UNION SELECT session_id FROM session_waitlist WHERE user_id = $1
       )
       ORDER BY s.created_at DESC
     `;
 
     const sessions = await pool.query(sessionsQuery, [userId]);
-    res.json(sessions.rows);
+    res.json(sessions.rows.map(toClientSession));
   } catch (error) {
     console.error('Error fetching sessions:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -32,23 +60,40 @@ router.get('/', verifyToken, async (req, res) => {
 // Create a new session
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { title, description, language, max_participants = 100 } = req.body;
+    const { title, description, language = 'en', max_participants = 100 } = req.body;
     const hostId = req.user.userId;
+    const maxParticipants = parseInt(max_participants, 10);
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+    if (!isLanguage(language)) {
+      return res.status(400).json({ error: 'language must be a language code such as "es" or "pt-BR"' });
+    }
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 1) {
+      return res.status(400).json({ error: 'max_participants must be a positive integer' });
+    }
+    const { intervalMinutes, everySegments } = summarySchedulerService.normalizeSchedule(req.body);
+    const { visibility, accessCodeHash } = await sessionJoinService.normalizeAccess(req.body);
 
     const createSessionQuery = `
-      INSERT INTO sessions (title, description, host_id, language, max_participants, status, created_at)
-      VALUES ($1, $2, $3, $4, $5, 'active', NOW())
+      INSERT INTO sessions (
+        title, description, host_id, language, max_participants,
+        summary_interval_minutes, summary_every_segments, visibility, access_code_hash, status, created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6, 5), COALESCE($7, 50), $8, $9, 'active', NOW())
       RETURNING *
     `;
 
     const newSession = await pool.query(createSessionQuery, [
-      title, description, hostId, language, max_participants
+      title.trim(), description || null, hostId, language, maxParticipants,
+      intervalMinutes ?? null, everySegments ?? null, visibility, accessCodeHash
     ]);
 
-    res.status(201).json(newSession.rows[0]);
+    await sessionAccessService.notifySessionsChanged(newSession.rows[0].id);
+    res.status(201).json({ ...toClientSession(newSession.rows[0]), host_name: req.user.name, is_host: true, is_participant: false });
   } catch (error) {
-    console.error('Error creating session:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'creating session');
   }
 });
 
@@ -72,90 +117,127 @@ router.get('/:id', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found or access denied' });
     }
 
-    res.json(session.rows[0]);
+    res.json(toClientSession(session.rows[0]));
   } catch (error) {
     console.error('Error fetching session:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Join a session
+// Join a session; invite-only sessions need { inviteToken }, code-protected ones { accessCode } or an invite
+// Full sessions answer 202 with the caller's waitlist position
 router.post('/:id/join', verifyToken, async (req, res) => {
   try {
-    const sessionId = req.params.id;
-    const userId = req.user.userId;
+    const { inviteToken, accessCode } = req.body;
+    const { role, status, position } = await sessionJoinService.join(req.params.id, req.user.userId, { inviteToken, accessCode });
 
-    // Check if session exists and is active
-    const sessionQuery = 'SELECT * FROM sessions WHERE id = $1 AND status = $2';
-    const session = await pool.query(sessionQuery, [sessionId, 'active']);
-
-    if (session.rows.length === 0) {
-      return res.status(404).json({ error: 'Session not found or not active' });
+    if (status === 'waitlisted') {
+      return res.status(202).json({ message: 'Session is full; you are on the waitlist', role, status, position });
     }
+    res.json({ message: 'Successfully joined session', role, status });
+  } catch (error) {
+    sendServiceError(res, error, 'joining session');
+  }
+});
 
-    // Check if user is already a participant
-    const participantQuery = 'SELECT * FROM session_participants WHERE session_id = $1 AND user_id = $2';
-    const existingParticipant = await pool.query(participantQuery, [sessionId, userId]);
+// Describe the session behind an invite link
+router.get('/invites/:token', verifyToken, async (req, res) => {
+  try {
+    const invite = await sessionJoinService.previewInvite(req.params.token);
+    res.json(invite);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching invite');
+  }
+});
 
-    if (existingParticipant.rows.length > 0) {
-      return res.status(400).json({ error: 'Already joined this session' });
-    }
+// List a session's invite links (host only)
+router.get('/:id/invites', verifyToken, async (req, res) => {
+  try {
+    const invites = await sessionJoinService.listInvites(req.params.id, req.user.userId);
+    res.json(invites);
+  } catch (error) {
+    sendServiceError(res, error, 'listing invites');
+  }
+});
 
-    // Add user as participant
-    const joinQuery = `
-      INSERT INTO session_participants (session_id, user_id, joined_at)
-      VALUES ($1, $2, NOW())
-    `;
+// Create an invite link (host only); the token is only returned once
+router.post('/:id/invites', verifyToken, async (req, res) => {
+  try {
+    const { role, maxUses, expiresInHours } = req.body;
+    const invite = await sessionJoinService.createInvite(req.params.id, req.user.userId, { role, maxUses, expiresInHours });
+    res.status(201).json(invite);
+  } catch (error) {
+    sendServiceError(res, error, 'creating invite');
+  }
+});
 
-    await pool.query(joinQuery, [sessionId, userId]);
+// Revoke an invite link (host only)
+router.delete('/:id/invites/:inviteId', verifyToken, async (req, res) => {
+  try {
+    const invite = await sessionJoinService.revokeInvite(req.params.id, req.params.inviteId, req.user.userId);
+    res.json(invite);
+  } catch (error) {
+    sendServiceError(res, error, 'revoking invite');
+  }
+});
 
-    res.json({ message: 'Successfully joined session' });
+// Change who can join (host only): { visibility: public|invite|code, access_code }
+router.patch('/:id/access', verifyToken, async (req, res) => {
+  try {
+    const access = await sessionJoinService.updateAccess(req.params.id, req.user.userId, req.body);
+    res.json(access);
   } catch (error) {
-    console.error('Error joining session:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'updating session access');
   }
 });
 
-// Leave a session
+// Leave a session or its waitlist; a freed seat goes to the next user in line
 router.post('/:id/leave', verifyToken, async (req, res) => {
   try {
-    const sessionId = req.params.id;
-    const userId = req.user.userId;
+    const { left } = await sessionCapacityService.leave(req.params.id, req.user.userId);
+    res.json({ message: left === 'waitlist' ? 'Successfully left waitlist' : 'Successfully left session', left });
+  } catch (error) {
+    sendServiceError(res, error, 'leaving session');
+  }
+});
 
-    // Remove user from participants
-    const leaveQuery = 'DELETE FROM session_participants WHERE session_id = $1 AND user_id = $2';
-    await pool.query(leaveQuery, [sessionId, userId]);
+// Seat counts and the caller's waitlist position; hosts also get the queue
+router.get('/:id/capacity', verifyToken, async (req, res) => {
+  try {
+    const capacity = await sessionCapacityService.getCapacity(req.params.id, req.user.userId);
+    res.json(capacity);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching capacity');
+  }
+});
 
-    res.json({ message: 'Successfully left session' });
+// Change max_participants (host only); raising it seats waiting users straight away
+router.patch('/:id/capacity', verifyToken, async (req, res) => {
+  try {
+    const capacity = await sessionCapacityService.setCapacity(req.params.id, req.user.userId, req.body.max_participants);
+    res.json(capacity);
   } catch (error) {
-    console.error('Error leaving session:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'updating capacity');
   }
 });
 
-// Update session status (host only)
+// Update session status (host only); only active <-> paused and either -> ended are allowed
 router.patch('/:id/status', verifyToken, async (req, res) => {
   try {
-    const sessionId = req.params.id;
-    const userId = req.user.userId;
-    const { status } = req.body;
-
-    // Check if user is the host
-    const hostQuery = 'SELECT host_id FROM sessions WHERE id = $1';
-    const hostResult = await pool.query(hostQuery, [sessionId]);
-
-    if (hostResult.rows.length === 0 || hostResult.rows[0].host_id !== userId) {
-      return res.status(403).json({ error: 'Only session host can update status' });
-    }
-
-    // Update session status
-    const updateQuery = 'UPDATE sessions SET status = $1, updated_at = NOW() WHERE id = $2';
-    await pool.query(updateQuery, [status, sessionId]);
+    const session = await sessionLifecycleService.changeStatus(req.params.id, req.user.userId, req.body.status);
+    res.json({ message: 'Session status updated successfully', session });
+  } catch (error) {
+    sendServiceError(res, error, 'updating session status');
+  }
+});
 
-    res.json({ message: 'Session status updated successfully' });
+// Change how often rolling summaries are generated (host only); 0 disables a trigger
+router.patch('/:id/summary-schedule', verifyToken, async (req, res) => {
+  try {
+    const schedule = await summarySchedulerService.updateSchedule(req.params.id, req.user.userId, req.body);
+    res.json(schedule);
   } catch (error) {
-    console.error('Error updating session status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'updating summary schedule');
   }
 });
 
@@ -164,8 +246,14 @@ router.get('/:id/participants', verifyToken, async (req, res) => {
   try {
     const sessionId = req.params.id;
 
+    // Only members may see who else is in a session (and their emails)
+    const membership = await sessionAccessService.getMembership(sessionId, req.user.userId);
+    if (!membership) {
+      return res.status(403).json({ error: 'Access denied to this session' });
+    }
+
     const participantsQuery = `
-      SELECT u.id, u.name, u.email, sp.joined_at
+      SELECT u.id, u.name, u.email, sp.joined_at, sp.role, sp.is_muted AS muted, sp.is_editor AS editor
       FROM session_participants sp
       JOIN users u ON sp.user_id = u.id
       WHERE sp.session_id = $1
@@ -180,4 +268,144 @@ router.get('/:id/participants', verifyToken, async (req, res) => {
   }
 });
 
+// Get chat history for a session (paginated with ?limit=&before=<messageId>)
+router.get('/:id/messages', verifyToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const userId = req.user.userId;
+    const { limit, before } = req.query;
+
+    // Check if user has access to this session; hosts and moderators also see hidden messages
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied to this session' });
+    }
+
+    const page = await chatService.getMessages(sessionId, {
+      limit,
+      before,
+      includeHidden: sessionAccessService.publisherRoles.includes(role)
+    });
+    res.json(page);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching chat messages');
+  }
+});
+
+// Promote or demote a participant (host only)
+router.patch('/:id/participants/:userId/role', verifyToken, async (req, res) => {
+  try {
+    const participant = await moderationService.setRole(
+      req.params.id, req.user.userId, req.params.userId, req.body.role
+    );
+    res.json(participant);
+  } catch (error) {
+    sendServiceError(res, error, 'updating participant role');
+  }
+});
+
+// Mute or unmute a participant's captions and chat (hosts and moderators)
+router.patch('/:id/participants/:userId/mute', verifyToken, async (req, res) => {
+  try {
+    const participant = await moderationService.setMuted(
+      req.params.id, req.user.userId, req.params.userId, req.body.muted !== false
+    );
+    res.json(participant);
+  } catch (error) {
+    sendServiceError(res, error, 'muting participant');
+  }
+});
+
+// Allow or stop a participant correcting transcripts (host only)
+router.patch('/:id/participants/:userId/editor', verifyToken, async (req, res) => {
+  try {
+    const participant = await moderationService.setEditor(
+      req.params.id, req.user.userId, req.params.userId, req.body.editor !== false
+    );
+    res.json(participant);
+  } catch (error) {
+    sendServiceError(res, error, 'updating transcript editor');
+  }
+});
+
+// Remove a participant, optionally banning them (?ban=true)
+router.delete('/:id/participants/:userId', verifyToken, async (req, res) => {
+  try {
+    const removal = await moderationService.removeParticipant(
+      req.params.id, req.user.userId, req.params.userId,
+      { ban: req.query.ban === 'true', reason: req.body?.reason || null }
+    );
+    res.json(removal);
+  } catch (error) {
+    sendServiceError(res, error, 'removing participant');
+  }
+});
+
+// Delete a chat message (hosts and moderators)
+router.delete('/:id/messages/:messageId', verifyToken, async (req, res) => {
+  try {
+    const deletion = await moderationService.deleteMessage(req.params.id, req.user.userId, req.params.messageId);
+    res.json(deletion);
+  } catch (error) {
+    sendServiceError(res, error, 'deleting message');
+  }
+});
+
+// Hide or unhide a chat message (hosts and moderators)
+router.patch('/:id/messages/:messageId', verifyToken, async (req, res) => {
+  try {
+    const update = await moderationService.setMessageHidden(
+      req.params.id, req.user.userId, req.params.messageId, req.body.hidden !== false
+    );
+    res.json(update);
+  } catch (error) {
+    sendServiceError(res, error, 'hiding message');
+  }
+});
+
+// Export meeting minutes (?format=md|html|pdf&transcript=true)
+router.get('/:id/minutes', verifyToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const userId = req.user.userId;
+    const { format = 'md', transcript } = req.query;
+
+    const formatInfo = Object.hasOwn(minutesService.formats, format) && minutesService.formats[format];
+    if (!formatInfo) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(minutesService.formats).join(', ')}` });
+    }
+
+    // Check if user has access to this session
+    const accessQuery = `
+      SELECT s.id FROM sessions s
+      WHERE s.id = $1 AND (s.host_id = $2 OR s.id IN (
+        SELECT session_id FROM session_participants WHERE user_id = $2
+      ))
+    `;
+
+    const accessCheck = await pool.query(accessQuery, [sessionId, userId]);
+    if (accessCheck.rows.length === 0) {
+      return res.status(403).json({ error: 'Access denied to this session' });
+    }
+
+    const minutes = await minutesService.getMinutesData(sessionId, {
+      includeTranscript: transcript === 'true'
+    });
+    if (format === 'pdf') {
+      minutesService.assertPdfRenderable(minutes);
+    }
+
+    res.set('Content-Type', format === 'pdf' ? formatInfo.contentType : `${formatInfo.contentType}; charset=utf-8`);
+    res.attachment(`session-${sessionId}-minutes.${formatInfo.extension}`);
+
+    if (format === 'pdf') {
+      minutesService.writePdf(minutes, res);
+    } else {
+      res.send(format === 'html' ? minutesService.toHtml(minutes) : minutesService.toMarkdown(minutes));
+    }
+  } catch (error) {
+    sendServiceError(res, error, 'exporting minutes');
+  }
+});
+
 module.exports = router;
@@ -1,17 +1,38 @@
 // routes/transcripts.js - Transcript and caption management routes
 
 const express = require('express');
-const { pool } = require('../server');
+const multer = require('multer');
+const { io, pool } = require('../server');
 const { verifyToken } = require('../middleware/auth');
-const geminiService = require('../services/geminiService');
+const { SUMMARY_TYPES } = require('../services/summaryFormat');
+const subtitleService = require('../services/subtitleService');
+const transcriptionService = require('../services/transcriptionService');
+const transcriptEditService = require('../services/transcriptEditService');
+const translationService = require('../services/translationService');
+const clarificationService = require('../services/clarificationService');
+const summaryService = require('../services/summaryService');
+const rateLimitService = require('../services/rateLimitService');
+const { isLanguage } = require('../services/socketPayloads');
+const { sendServiceError } = require('../services/serviceError');
 
 const router = express.Router();
 
-// Get transcripts for a session
+// Uploaded audio stays in memory; it is handed straight to the STT engine
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: transcriptionService.maxAudioBytes }
+});
+
+// Get transcripts for a session in caption order; ?afterSeq=N returns only captions after sequence N
 router.get('/session/:sessionId', verifyToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const userId = req.user.userId;
+    const afterSeq = req.query.afterSeq === undefined ? 0 : parseInt(req.query.afterSeq, 10);
+
+    if (!Number.isInteger(afterSeq) || afterSeq < 0) {
+      return res.status(400).json({ error: 'afterSeq must be a non-negative integer' });
+    }
 
     // Check if user has access to this session
     const accessQuery = `
@@ -29,11 +50,11 @@ router.get('/session/:sessionId', verifyToken, async (req, res) => {
     // Get transcripts
     const transcriptsQuery = `
       SELECT * FROM transcripts
-      WHERE session_id = $1
-      ORDER BY timestamp ASC
+      WHERE session_id = $1 AND merged_into IS NULL AND seq > $2
+      ORDER BY sort_order ASC
     `;
 
-    const transcripts = await pool.query(transcriptsQuery, [sessionId]);
+    const transcripts = await pool.query(transcriptsQuery, [sessionId, afterSeq]);
     res.json(transcripts.rows);
   } catch (error) {
     console.error('Error fetching transcripts:', error);
@@ -41,15 +62,25 @@ router.get('/session/:sessionId', verifyToken, async (req, res) => {
   }
 });
 
-// Add a new transcript entry
-router.post('/', verifyToken, async (req, res) => {
+// Export transcripts as a subtitle file (?format=srt|vtt&lang=xx); lang defaults to the session
+// language, and captions spoken in another language are translated into it
+router.get('/session/:sessionId/export', verifyToken, async (req, res) => {
   try {
-    const { sessionId, text, language, speaker, timestamp, confidence } = req.body;
+    const { sessionId } = req.params;
+    const { format = 'srt', lang } = req.query;
     const userId = req.user.userId;
 
+    const formatInfo = Object.hasOwn(subtitleService.formats, format) && subtitleService.formats[format];
+    if (!formatInfo) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(subtitleService.formats).join(', ')}` });
+    }
+    if (lang !== undefined && !isLanguage(lang)) {
+      return res.status(400).json({ error: 'lang must be a language code such as "es" or "pt-BR"' });
+    }
+
     // Check if user has access to this session
     const accessQuery = `
-      SELECT s.id FROM sessions s
+      SELECT s.id, s.created_at, s.started_at, s.language FROM sessions s
       WHERE s.id = $1 AND (s.host_id = $2 OR s.id IN (
         SELECT session_id FROM session_participants WHERE user_id = $2
       ))
@@ -60,21 +91,132 @@ router.post('/', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this session' });
     }
 
-    // Insert transcript
-    const insertQuery = `
-      INSERT INTO transcripts (session_id, text, language, speaker, timestamp, confidence, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
-      RETURNING *
+    const session = accessCheck.rows[0];
+    const language = lang || session.language;
+
+    const transcriptsQuery = `
+      SELECT text, speaker, timestamp, language FROM transcripts
+      WHERE session_id = $1 AND merged_into IS NULL
+      ORDER BY timestamp ASC, sort_order ASC
     `;
 
-    const newTranscript = await pool.query(insertQuery, [
-      sessionId, text, language, speaker, timestamp, confidence
-    ]);
+    const transcripts = await pool.query(transcriptsQuery, [sessionId]);
+    const segments = await translationService.translateSegments(sessionId, transcripts.rows, language);
+    const contents = subtitleService.render(segments, session.started_at || session.created_at, format);
 
-    res.status(201).json(newTranscript.rows[0]);
+    res.set('Content-Type', `${formatInfo.contentType}; charset=utf-8`);
+    res.attachment(`session-${sessionId}-${language}.${formatInfo.extension}`);
+    res.send(contents);
   } catch (error) {
-    console.error('Error adding transcript:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'exporting transcripts');
+  }
+});
+
+// Add a final caption from the speaker; the server assigns the ID and speaker, then relays it to the room
+router.post('/', verifyToken, async (req, res) => {
+  try {
+    const { sessionId, text, language, timestamp, confidence } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
+    }
+
+    const { transcript, caption } = await transcriptionService.publishCaption(sessionId, req.user, {
+      text, language, timestamp, confidence
+    });
+    res.status(201).json({ ...transcript, captionId: caption.captionId });
+  } catch (error) {
+    sendServiceError(res, error, 'adding transcript');
+  }
+});
+
+// Transcribe an uploaded audio file (multipart field "audio") into session captions
+router.post('/audio', verifyToken, (req, res, next) => {
+  upload.single('audio')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  try {
+    const { sessionId, language, startedAt } = req.body;
+    if (!sessionId || !req.file) {
+      return res.status(400).json({ error: 'Session ID and an audio file are required' });
+    }
+
+    const transcripts = await transcriptionService.ingestAudio(sessionId, req.user, req.file.buffer, {
+      language: language || 'en',
+      mimeType: req.file.mimetype,
+      startedAt: startedAt || new Date()
+    });
+    res.status(201).json({ transcripts });
+  } catch (error) {
+    sendServiceError(res, error, 'transcribing audio');
+  }
+});
+
+// Correct a segment's text and/or speaker (hosts and transcript editors)
+router.patch('/:id', verifyToken, async (req, res) => {
+  try {
+    const { text, speaker } = req.body;
+    const segment = await transcriptEditService.editSegment(req.params.id, req.user.userId, { text, speaker });
+    res.json(segment);
+  } catch (error) {
+    sendServiceError(res, error, 'correcting transcript');
+  }
+});
+
+// Split a segment at a character offset ({ at }); returns both halves
+router.post('/:id/split', verifyToken, async (req, res) => {
+  try {
+    const segments = await transcriptEditService.splitSegment(req.params.id, req.user.userId, req.body.at);
+    res.status(201).json({ segments });
+  } catch (error) {
+    sendServiceError(res, error, 'splitting transcript');
+  }
+});
+
+// Merge a segment with the one after it
+router.post('/:id/merge', verifyToken, async (req, res) => {
+  try {
+    const merge = await transcriptEditService.mergeWithNext(req.params.id, req.user.userId);
+    res.json(merge);
+  } catch (error) {
+    sendServiceError(res, error, 'merging transcript');
+  }
+});
+
+// Restore a segment as it was after an earlier revision ({ revision }, 0 for the original caption)
+router.post('/:id/revert', verifyToken, async (req, res) => {
+  try {
+    const segment = await transcriptEditService.revertSegment(req.params.id, req.user.userId, req.body.revision);
+    res.json(segment);
+  } catch (error) {
+    sendServiceError(res, error, 'reverting transcript');
+  }
+});
+
+// Revision history of a segment, newest first
+router.get('/:id/revisions', verifyToken, async (req, res) => {
+  try {
+    const revisions = await transcriptEditService.listRevisions(req.params.id, req.user.userId);
+    res.json(revisions);
+  } catch (error) {
+    sendServiceError(res, error, 'fetching transcript revisions');
+  }
+});
+
+// "Explain this": clarify a caption line using the lines around it; body { language } is optional
+// and defaults to the requester's preferred output language
+router.post('/:id/explain', verifyToken, async (req, res) => {
+  try {
+    const explanation = await clarificationService.explainSegment(req.params.id, req.user.userId, {
+      language: req.body.language
+    });
+    res.json(explanation);
+  } catch (error) {
+    sendServiceError(res, error, 'explaining transcript segment');
   }
 });
 
@@ -115,9 +257,13 @@ router.get('/session/:sessionId/summaries', verifyToken, async (req, res) => {
 // Add a new summary
 router.post('/summaries', verifyToken, async (req, res) => {
   try {
-    const { sessionId, summaryType } = req.body;
+    const { sessionId, summaryType = 'rolling' } = req.body;
     const userId = req.user.userId;
 
+    if (!SUMMARY_TYPES.includes(summaryType)) {
+      return res.status(400).json({ error: `summaryType must be one of: ${SUMMARY_TYPES.join(', ')}` });
+    }
+
     // Check access
     const accessQuery = `
       SELECT s.id FROM sessions s
@@ -131,45 +277,12 @@ router.post('/summaries', verifyToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this session' });
     }
 
-    // Fetch all transcripts for the session
-    const transcriptsQuery = `
-      SELECT text FROM transcripts
-      WHERE session_id = $1
-      ORDER BY timestamp ASC
-    `;
-
-    const transcriptsResult = await pool.query(transcriptsQuery, [sessionId]);
-    let transcripts = transcriptsResult.rows.map(row => row.text);
-
-    // For demo purposes, if no transcripts exist, use mock data
-    if (transcripts.length === 0) {
-      transcripts = [
-        "Welcome to our virtual conference session. Today we will be discussing the latest advancements in AI technology.",
-        "The first topic is machine learning algorithms and their applications in business processes.",
-        "Participants are sharing their experiences with implementing AI solutions in various industries.",
-        "Key challenges include data quality, integration with existing systems, and ethical considerations.",
-        "The discussion is progressing well with good engagement from all attendees."
-      ];
-    }
-
-    // Generate summary using Gemini
-    const summaryData = await geminiService.generateSummary(transcripts, summaryType);
-
-    // Insert summary
-    const insertQuery = `
-      INSERT INTO summaries (session_id, summary_type, content, key_points, action_items, created_at)
-      VALUES ($1, $2, $3, $4, $5, NOW())
-      RETURNING *
-    `;
-
-    const newSummary = await pool.query(insertQuery, [
-      sessionId, summaryType, summaryData.content, JSON.stringify(summaryData.keyPoints), JSON.stringify(summaryData.actionItems)
-    ]);
-
-    res.status(201).json(newSummary.rows[0]);
+    await rateLimitService.consume('summaries', { userId, sessionId });
+    const summary = await summaryService.generateSummary(sessionId, summaryType);
+    io.to(String(sessionId)).emit('summary-update', { sessionId: String(sessionId), summary });
+    res.status(201).json(summary);
   } catch (error) {
-    console.error('Error adding summary:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    sendServiceError(res, error, 'adding summary');
   }
 });
 
@@ -194,6 +307,13 @@ router.put('/preferences', verifyToken, async (req, res) => {
     const { inputLanguage, outputLanguages } = req.body;
     const userId = req.user.userId;
 
+    if (!isLanguage(inputLanguage)) {
+      return res.status(400).json({ error: 'inputLanguage must be a language code such as "es" or "pt-BR"' });
+    }
+    if (!Array.isArray(outputLanguages) || !outputLanguages.every(isLanguage)) {
+      return res.status(400).json({ error: 'outputLanguages must be an array of language codes such as "es" or "pt-BR"' });
+    }
+
     // Upsert preferences
     const upsertQuery = `
       INSERT INTO language_preferences (user_id, input_language, output_languages, updated_at)
@@ -42,47 +42,289 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+// Export shared instances before the routes and services below require this module
+module.exports = { app, server, io, pool };
+
+const chatService = require('./services/chatService');
+const translationService = require('./services/translationService');
+const aiService = require('./services/aiService');
+const sessionAccessService = require('./services/sessionAccessService');
+const moderationService = require('./services/moderationService');
+const questionService = require('./services/questionService');
+const transcriptionService = require('./services/transcriptionService');
+const summarySchedulerService = require('./services/summarySchedulerService');
+const overlayService = require('./services/overlayService');
+const rateLimitService = require('./services/rateLimitService');
+const { ServiceError } = require('./services/serviceError');
+const { parseCaption, parsePartialCaption, parseCaptionLanguages, parseAudioChunk } = require('./services/socketPayloads');
+const { verifySocketToken } = require('./middleware/auth');
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/sessions', require('./routes/sessions'));
 app.use('/api/transcripts', require('./routes/transcripts'));
+app.use('/api/questions', require('./routes/questions'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/glossary', require('./routes/glossary'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/overlay', require('./routes/overlay'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Virtual Conference Translator & Summarizer API is running' });
+  res.json({
+    status: 'OK',
+    message: 'Virtual Conference Translator & Summarizer API is running',
+    aiProvider: aiService.providerName,
+    sttEngine: transcriptionService.engineName
+  });
 });
 
+// Socket.IO authentication - same token as the REST API
+io.use(verifySocketToken);
+
+// Acknowledge an event when the client passed a callback
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
+  console.log('New client connected:', socket.id, 'user:', socket.data.user.userId);
+  socket.join(sessionAccessService.userRoom(socket.data.user.userId));
+
+  // Resolve the session this socket has joined, optionally limited to certain roles
+  const joinedSession = (roles) => {
+    const { sessionId, role } = socket.data;
+    if (!sessionId) return { error: 'Join a session first' };
+    if (roles && !roles.includes(role)) return { error: 'Not allowed for your role in this session' };
+    return { sessionId };
+  };
+
+  // Captions are accepted from unmuted publishers while the session is active
+  const captionSession = () => {
+    const joined = joinedSession(sessionAccessService.publisherRoles);
+    if (joined.error) return joined;
+    if (socket.data.muted) return { error: 'You have been muted in this session' };
+    if (socket.data.sessionStatus !== 'active') return { error: 'Captions are only accepted while the session is active' };
+    return joined;
+  };
+
+  // Join a session room after checking membership
+  socket.on('join-session', async (sessionId, ack) => {
+    try {
+      const membership = await sessionAccessService.getMembership(sessionId, socket.data.user.userId);
+      if (!membership) {
+        return reply(ack, { error: 'Session not found or access denied' });
+      }
+      const { role, muted, editor, status } = membership;
+
+      // A socket follows one session at a time
+      if (socket.data.sessionId) {
+        sessionAccessService.leaveSessionRooms(socket);
+      }
+
+      socket.data.sessionId = String(sessionId);
+      socket.data.role = role;
+      socket.data.muted = muted;
+      socket.data.sessionStatus = status;
+      socket.data.audio = null;
+      socket.join(socket.data.sessionId);
+      console.log(`Client ${socket.id} joined session ${sessionId} as ${role}`);
+      reply(ack, { sessionId: socket.data.sessionId, role, muted, editor, status });
+    } catch (error) {
+      console.error('Error joining session:', error);
+      reply(ack, { error: 'Failed to join session' });
+    }
+  });
+
+  // Leave the current session room
+  socket.on('leave-session', () => {
+    sessionAccessService.leaveSessionRooms(socket);
+    socket.data.sessionId = null;
+    socket.data.role = null;
+    socket.data.muted = false;
+    socket.data.sessionStatus = null;
+    socket.data.audio = null;
+  });
+
+  // Subscribe to captions translated into the given languages
+  socket.on('set-caption-languages', (data, ack) => {
+    const { sessionId, error } = joinedSession();
+    if (error) return reply(ack, { error });
+    const { languages, error: payloadError } = parseCaptionLanguages(data);
+    if (payloadError) return reply(ack, { error: payloadError });
+
+    const prefix = translationService.languageRoom(sessionId, '');
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith(prefix)) socket.leave(room);
+    }
+    languages.forEach(language => socket.join(translationService.languageRoom(sessionId, language)));
+    reply(ack, { languages });
+  });
+
+  // Handle final captions from a speaker (hosts and moderators, active sessions only) - persist
+  // first, then broadcast the saved caption to the whole room and fan out translations.
+  // Shares the per-user and per-session caption limits with POST /api/transcripts
+  socket.on('caption-update', async (data, ack) => {
+    const segment = parseCaption(data);
+    if (segment.error) return reply(ack, { error: segment.error });
+    const { sessionId, error } = captionSession();
+    if (error) return reply(ack, { error });
+
+    try {
+      await rateLimitService.consume('captions', { userId: socket.data.user.userId, sessionId });
+      const { caption } = await transcriptionService.saveCaption(sessionId, socket.data.user, segment);
+      reply(ack, { caption });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) {
+        console.error('Error saving caption:', error);
+      }
+      reply(ack, { error: error instanceof ServiceError ? error.message : 'Failed to save caption' });
+    }
+  });
+
+  // Relay interim recognizer results; partial captions are ephemeral and never stored
+  socket.on('caption-partial', (data) => {
+    const partial = parsePartialCaption(data);
+    if (!partial) return;
+    const { sessionId, error } = captionSession();
+    if (error) return;
 
-  // Join a session room
-  socket.on('join-session', (sessionId) => {
-    socket.join(sessionId);
-    console.log(`Client ${socket.id} joined session ${sessionId}`);
+    const { user } = socket.data;
+    socket.to(sessionId).emit('caption-partial', {
+      sessionId,
+      userId: user.userId,
+      speaker: user.name,
+      text: partial.text,
+      language: partial.language,
+      timestamp: new Date().toISOString()
+    });
   });
 
-  // Handle real-time caption updates
-  socket.on('caption-update', (data) => {
-    // Broadcast to all clients in the session
-    socket.to(data.sessionId).emit('caption-update', data);
+  // Stream microphone audio for server-side transcription (hosts and moderators only)
+  // Chunks of one recording are buffered until the client sends the last one with final: true
+  socket.on('audio-chunk', async (data, ack) => {
+    try {
+      const { sessionId, error } = captionSession();
+      if (error) return reply(ack, { error });
+
+      const { chunk, mimeType, language, final, error: payloadError } = parseAudioChunk(data);
+      if (payloadError) return reply(ack, { error: payloadError });
+
+      if (!socket.data.audio) {
+        socket.data.audio = { chunks: [], bytes: 0, startedAt: new Date() };
+      }
+      const audio = socket.data.audio;
+
+      if (chunk) {
+        audio.chunks.push(chunk);
+        audio.bytes += chunk.length;
+      }
+      if (audio.bytes > transcriptionService.maxAudioBytes) {
+        socket.data.audio = null;
+        return reply(ack, { error: 'Audio recording is too large; send shorter recordings' });
+      }
+      if (!final) return reply(ack, { received: audio.bytes });
+
+      socket.data.audio = null;
+      const transcripts = await transcriptionService.ingestAudio(
+        sessionId, socket.data.user, Buffer.concat(audio.chunks),
+        { language, mimeType, startedAt: audio.startedAt }
+      );
+      reply(ack, { transcripts: transcripts.length });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) {
+        console.error('Error transcribing audio:', error);
+      }
+      reply(ack, { error: error instanceof ServiceError ? error.message : 'Failed to transcribe audio' });
+    }
   });
 
-  // Handle chat messages
-  socket.on('chat-message', (data) => {
-    socket.to(data.sessionId).emit('chat-message', data);
+  // Handle chat messages - persist first, then broadcast the saved record to the whole room
+  socket.on('chat-message', async (data, ack) => {
+    const { sessionId, error } = joinedSession();
+    if (error) return reply(ack, { error });
+    if (socket.data.muted) return reply(ack, { error: 'You have been muted in this session' });
+
+    try {
+      const { user } = socket.data;
+      const message = await chatService.saveMessage({
+        ...data,
+        sessionId,
+        userId: user.userId,
+        userName: user.name
+      });
+      io.to(sessionId).emit('chat-message', message);
+      reply(ack, { message });
+    } catch (error) {
+      console.error('Error saving chat message:', error);
+      reply(ack, { error: 'Failed to send message' });
+    }
   });
 
-  // Handle summary updates
-  socket.on('summary-update', (data) => {
-    socket.to(data.sessionId).emit('summary-update', data);
+  // Handle summary updates (hosts and moderators only)
+  socket.on('summary-update', (data, ack) => {
+    const { sessionId, error } = joinedSession(sessionAccessService.publisherRoles);
+    if (error) return reply(ack, { error });
+
+    socket.to(sessionId).emit('summary-update', { ...data, sessionId });
+    reply(ack, { sessionId });
   });
 
+  // Service-backed actions - the service checks roles and broadcasts the result to the room
+  const sessionAction = (event, action, failureMessage) => {
+    socket.on(event, async (data = {}, ack) => {
+      const { sessionId, error } = joinedSession();
+      if (error) return reply(ack, { error });
+
+      try {
+        reply(ack, await action(sessionId, socket.data.user.userId, data));
+      } catch (error) {
+        if (!(error instanceof ServiceError)) {
+          console.error(`Error handling ${event}:`, error);
+        }
+        reply(ack, { error: error instanceof ServiceError ? error.message : failureMessage });
+      }
+    });
+  };
+
+  const moderate = (event, action) => sessionAction(event, action, 'Moderation action failed');
+
+  moderate('set-participant-role', (sessionId, actorId, { userId, role }) =>
+    moderationService.setRole(sessionId, actorId, userId, role));
+  moderate('mute-participant', (sessionId, actorId, { userId, muted = true }) =>
+    moderationService.setMuted(sessionId, actorId, userId, muted));
+  moderate('set-participant-editor', (sessionId, actorId, { userId, editor = true }) =>
+    moderationService.setEditor(sessionId, actorId, userId, editor));
+  moderate('remove-participant', (sessionId, actorId, { userId, ban = false, reason = null }) =>
+    moderationService.removeParticipant(sessionId, actorId, userId, { ban, reason }));
+  moderate('delete-message', (sessionId, actorId, { messageId }) =>
+    moderationService.deleteMessage(sessionId, actorId, messageId));
+  moderate('hide-message', (sessionId, actorId, { messageId, hidden = true }) =>
+    moderationService.setMessageHidden(sessionId, actorId, messageId, hidden));
+
+  // Q&A queue
+  sessionAction('question-ask', (sessionId, userId, { text }) =>
+    questionService.askQuestion(sessionId, socket.data.user, text), 'Failed to ask question');
+  sessionAction('question-vote', (sessionId, userId, { questionId, upvote = true }) =>
+    questionService.vote(questionId, userId, upvote), 'Failed to vote on question');
+  sessionAction('question-moderate', (sessionId, userId, { questionId, status, pinned }) =>
+    questionService.moderate(questionId, userId, { status, pinned }), 'Failed to update question');
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
+// Caption overlays (OBS browser sources) use a separate namespace with read-only overlay tokens:
+// they only receive caption lines in one language and register no event handlers
+const overlayNamespace = io.of(overlayService.namespace);
+overlayNamespace.use((socket, next) => overlayService.authenticateSocket(socket, next));
+overlayNamespace.on('connection', (socket) => {
+  const { sessionId, language } = socket.data.overlay;
+  socket.join(overlayService.room(sessionId, language));
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -94,11 +336,13 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  summarySchedulerService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  summarySchedulerService.stop();
   server.close(() => {
     pool.end(() => {
       console.log('Database connection closed');
@@ -106,5 +350,3 @@ process.on('SIGTERM', () => {
     });
   });
 });
-
-module.exports = { app, server, io, pool };
@@ -0,0 +1,73 @@
+// services/aiService.js - AI service facade over the configured provider
+
+const { createProvider } = require('./providers');
+
+class AIService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Name of the active provider
+   * @returns {string} Provider name
+   */
+  get providerName() {
+    return this.provider.name;
+  }
+
+  /**
+   * Transcribe audio to text
+   * @param {Buffer} audioBuffer - Audio data buffer
+   * @param {string} language - Language code
+   * @returns {Promise<string>} Transcribed text
+   */
+  transcribeAudio(audioBuffer, language = 'en') {
+    return this.provider.transcribeAudio(audioBuffer, language);
+  }
+
+  /**
+   * Translate text to target language
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @param {Object[]} glossary - Glossary terms to enforce (optional)
+   * @returns {Promise<string>} Translated text
+   */
+  translateText(text, targetLanguage, sourceLanguage = 'auto', glossary = []) {
+    return this.provider.translateText(text, targetLanguage, sourceLanguage, glossary);
+  }
+
+  /**
+   * Generate summary of conversation
+   * @param {string[]} transcripts - Array of transcript texts
+   * @param {string} summaryType - Type of summary ('rolling', 'final', 'key_points')
+   * @param {Object[]} glossary - Glossary terms to spell consistently (optional)
+   * @returns {Promise<Object>} Summary object with content, keyPoints, actionItems
+   */
+  generateSummary(transcripts, summaryType = 'rolling', glossary = []) {
+    return this.provider.generateSummary(transcripts, summaryType, glossary);
+  }
+
+  /**
+   * Generate glossary and terminology consistency
+   * @param {string[]} transcripts - Array of transcript texts
+   * @returns {Promise<Object>} Glossary object
+   */
+  generateGlossary(transcripts) {
+    return this.provider.generateGlossary(transcripts);
+  }
+
+  /**
+   * Clarify ambiguous content using context
+   * @param {string} text - Text to clarify
+   * @param {string[]} context - Surrounding transcript lines in order, including the text itself
+   * @param {string} targetLanguage - Language to explain in (optional)
+   * @param {Object[]} glossary - Glossary terms with their meanings (optional)
+   * @returns {Promise<string>} Clarified text
+   */
+  clarifyContent(text, context, targetLanguage = 'en', glossary = []) {
+    return this.provider.clarifyContent(text, context, targetLanguage, glossary);
+  }
+}
+
+module.exports = new AIService(createProvider());
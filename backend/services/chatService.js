@@ -0,0 +1,110 @@
+// services/chatService.js - Chat message persistence
+
+const { pool } = require('../server');
+const { ServiceError } = require('./serviceError');
+
+// Columns returned to clients, shaped like the messages ChatPanel renders
+const MESSAGE_COLUMNS = `
+  id, session_id AS "sessionId", user_id AS "userId", user_name AS "userName",
+  text, message_type AS type, is_hidden AS hidden, created_at AS timestamp
+`;
+
+const MESSAGE_TYPES = ['message', 'question'];
+const MAX_PAGE_SIZE = 100;
+
+class ChatService {
+  /**
+   * Save a chat message; the server assigns the ID and timestamp
+   * @param {Object} data - Message payload ({ sessionId, userId, userName, text, type })
+   * @returns {Promise<Object>} Saved message record
+   */
+  async saveMessage({ sessionId, userId, userName, text, type = 'message' }) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!sessionId || !trimmed) {
+      throw new Error('Message requires a session and non-empty text');
+    }
+
+    const insertQuery = `
+      INSERT INTO chat_messages (session_id, user_id, user_name, text, message_type, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING ${MESSAGE_COLUMNS}
+    `;
+
+    const result = await pool.query(insertQuery, [
+      sessionId, userId || null, userName || null, trimmed,
+      MESSAGE_TYPES.includes(type) ? type : 'message'
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Set whether a message is hidden from regular participants
+   * @param {number} sessionId - Session ID
+   * @param {number} messageId - Message ID
+   * @param {boolean} hidden - New hidden state
+   * @returns {Promise<Object|null>} Updated message record, or null when not found
+   */
+  async setHidden(sessionId, messageId, hidden) {
+    const updateQuery = `
+      UPDATE chat_messages SET is_hidden = $3
+      WHERE id = $1 AND session_id = $2
+      RETURNING ${MESSAGE_COLUMNS}
+    `;
+
+    const result = await pool.query(updateQuery, [messageId, sessionId, Boolean(hidden)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a message permanently
+   * @param {number} sessionId - Session ID
+   * @param {number} messageId - Message ID
+   * @returns {Promise<boolean>} True when a message was deleted
+   */
+  async deleteMessage(sessionId, messageId) {
+    const result = await pool.query(
+      'DELETE FROM chat_messages WHERE id = $1 AND session_id = $2',
+      [messageId, sessionId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get a page of chat history, newest page first but returned in chronological order
+   * @param {number} sessionId - Session ID
+   * @param {Object} options - { limit, before, includeHidden } where before is a message ID cursor
+   * @returns {Promise<Object>} { messages, hasMore }
+   */
+  async getMessages(sessionId, { limit = 50, before, includeHidden = false } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const params = [sessionId, pageSize + 1];
+    let cursorClause = '';
+
+    if (before !== undefined) {
+      const cursor = Number(before);
+      if (!Number.isInteger(cursor) || cursor <= 0) {
+        throw new ServiceError('before must be a positive message ID');
+      }
+      params.push(cursor);
+      cursorClause = 'AND id < $3';
+    }
+
+    const messagesQuery = `
+      SELECT ${MESSAGE_COLUMNS} FROM chat_messages
+      WHERE session_id = $1 ${cursorClause} ${includeHidden ? '' : 'AND is_hidden = FALSE'}
+      ORDER BY id DESC
+      LIMIT $2
+    `;
+
+    const result = await pool.query(messagesQuery, params);
+    const hasMore = result.rows.length > pageSize;
+
+    return {
+      messages: result.rows.slice(0, pageSize).reverse(),
+      hasMore
+    };
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,135 @@
+// services/clarificationService.js - "Explain this" clarifications of caption lines, cached per segment and language
+
+const { pool } = require('../server');
+const aiService = require('./aiService');
+const glossaryService = require('./glossaryService');
+const rateLimitService = require('./rateLimitService');
+const sessionAccessService = require('./sessionAccessService');
+const usageService = require('./usageService');
+const { isLanguage } = require('./socketPayloads');
+const { ServiceError } = require('./serviceError');
+
+// Lines of surrounding transcript handed to the model on each side of the explained line
+const CONTEXT_BEFORE = 3;
+const CONTEXT_AFTER = 2;
+
+class ClarificationService {
+  /**
+   * Explain a transcript segment in the requester's language, reusing the cached explanation
+   * while the segment is unchanged; only new explanations count against the host's monthly AI quota
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Requesting user ID
+   * @param {Object} options - { language } (defaults to the user's preferred output language)
+   * @returns {Promise<Object>} { transcriptId, seq, language, explanation, cached, createdAt }
+   */
+  async explainSegment(transcriptId, userId, { language } = {}) {
+    const found = await pool.query(
+      'SELECT id, session_id, seq, sort_order, text, revision FROM transcripts WHERE id = $1 AND merged_into IS NULL',
+      [transcriptId]
+    );
+    const segment = found.rows[0];
+    if (!segment) {
+      throw new ServiceError('Transcript segment not found', 404);
+    }
+
+    const membership = await sessionAccessService.getMembership(segment.session_id, userId);
+    if (!membership) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    await rateLimitService.consume('explain', { userId, sessionId: segment.session_id });
+
+    const target = language ? this.normalizeLanguage(language) : await this.preferredLanguage(userId);
+    const provider = aiService.providerName;
+
+    const cached = await pool.query(`
+      SELECT explanation, created_at AS "createdAt"
+      FROM caption_clarifications
+      WHERE transcript_id = $1 AND language = $2 AND transcript_revision = $3 AND provider = $4
+    `, [segment.id, target, segment.revision, provider]);
+
+    if (cached.rows.length > 0) {
+      return this.format(segment, target, cached.rows[0], true);
+    }
+
+    await usageService.assertWithinQuota(segment.session_id);
+    const context = await this.surroundingLines(segment);
+    const glossary = await glossaryService.getSessionGlossary(segment.session_id);
+    const explanation = await aiService.clarifyContent(segment.text, context, target, glossary);
+    await usageService.record(segment.session_id, 'clarification', context.join('\n').length);
+
+    // A correction bumps the revision, so an older entry for the language is simply replaced
+    const saved = await pool.query(`
+      INSERT INTO caption_clarifications (transcript_id, language, transcript_revision, provider, explanation)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (transcript_id, language) DO UPDATE SET
+        transcript_revision = EXCLUDED.transcript_revision,
+        provider = EXCLUDED.provider,
+        explanation = EXCLUDED.explanation,
+        created_at = CURRENT_TIMESTAMP
+      RETURNING explanation, created_at AS "createdAt"
+    `, [segment.id, target, segment.revision, provider, explanation]);
+
+    return this.format(segment, target, saved.rows[0], false);
+  }
+
+  /**
+   * Transcript lines around a segment in caption order, including the segment itself
+   * @param {Object} segment - Transcript row
+   * @returns {Promise<string[]>} Line texts
+   */
+  async surroundingLines(segment) {
+    const result = await pool.query(`
+      (SELECT text, sort_order FROM transcripts
+       WHERE session_id = $1 AND merged_into IS NULL AND sort_order < $2
+       ORDER BY sort_order DESC LIMIT $3)
+      UNION ALL
+      (SELECT text, sort_order FROM transcripts
+       WHERE session_id = $1 AND merged_into IS NULL AND sort_order > $2
+       ORDER BY sort_order ASC LIMIT $4)
+    `, [segment.session_id, segment.sort_order, CONTEXT_BEFORE, CONTEXT_AFTER]);
+
+    return [...result.rows, segment]
+      .sort((a, b) => a.sort_order - b.sort_order)
+      .map(row => row.text);
+  }
+
+  /**
+   * First output language from the user's language preferences, falling back to English
+   * @param {number} userId - User ID
+   * @returns {Promise<string>} Language code
+   */
+  async preferredLanguage(userId) {
+    const result = await pool.query(
+      'SELECT output_languages->>0 AS language FROM language_preferences WHERE user_id = $1',
+      [userId]
+    );
+    const language = result.rows[0]?.language;
+    return isLanguage(language) ? language : 'en';
+  }
+
+  /**
+   * Validate a requested explanation language
+   * @param {*} language - Input
+   * @returns {string} Language code
+   */
+  normalizeLanguage(language) {
+    if (!isLanguage(language)) {
+      throw new ServiceError('language must be a language code such as "es" or "pt-BR"');
+    }
+    return language;
+  }
+
+  /**
+   * Shape an explanation for the API
+   * @param {Object} segment - Transcript row
+   * @param {string} language - Explanation language
+   * @param {Object} row - { explanation, createdAt }
+   * @param {boolean} cached - Whether the explanation came from the cache
+   * @returns {Object} Explanation
+   */
+  format(segment, language, { explanation, createdAt }, cached) {
+    return { transcriptId: segment.id, seq: segment.seq, language, explanation, cached, createdAt };
+  }
+}
+
+module.exports = new ClarificationService();
@@ -1,156 +0,0 @@
-// services/geminiService.js - Google Gemini AI service integration
-
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-class GeminiService {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-    this.visionModel = this.genAI.getGenerativeModel({ model: 'gemini-pro-vision' });
-  }
-
-  /**
-   * Transcribe audio to text using Gemini (mock implementation - in real scenario, use actual speech-to-text)
-   * Note: For production, integrate with Google Speech-to-Text API or similar
-   * @param {Buffer} audioBuffer - Audio data buffer
-   * @param {string} language - Language code
-   * @returns {Promise<string>} Transcribed text
-   */
-  async transcribeAudio(audioBuffer, language = 'en') {
-    try {
-      // For demo purposes, using Gemini to simulate transcription
-      // In production, use Google Speech-to-Text API
-      const prompt = `Transcribe the following audio content in ${language}. Since I can't process actual audio, please provide a realistic transcription example for a conference setting.`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const transcription = response.text().trim();
-
-      return transcription;
-    } catch (error) {
-      console.error('Transcription error:', error);
-      // Fallback to mock
-      return "This is a simulated transcription. Please integrate with actual speech-to-text API for production use.";
-    }
-  }
-
-  /**
-   * Translate text to target language
-   * @param {string} text - Text to translate
-   * @param {string} targetLanguage - Target language code
-   * @param {string} sourceLanguage - Source language code (optional)
-   * @returns {Promise<string>} Translated text
-   */
-  async translateText(text, targetLanguage, sourceLanguage = 'auto') {
-    try {
-      const prompt = `Translate the following text to ${targetLanguage}. Source language: ${sourceLanguage}. Text: "${text}"`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const translatedText = response.text().trim();
-
-      return translatedText;
-    } catch (error) {
-      console.error('Translation error:', error);
-      throw new Error('Failed to translate text');
-    }
-  }
-
-  /**
-   * Generate summary of conversation
-   * @param {string[]} transcripts - Array of transcript texts
-   * @param {string} summaryType - Type of summary ('rolling', 'final', 'key_points')
-   * @returns {Promise<Object>} Summary object with content, keyPoints, actionItems
-   */
-  async generateSummary(transcripts, summaryType = 'rolling') {
-    try {
-      const conversationText = transcripts.join(' ');
-
-      // Extract words from transcripts
-      const words = conversationText.split(/\s+/).filter(word => word.length > 2);
-
-      let summaryContent = '';
-      let keyPoints = [];
-      let actionItems = [];
-
-      if (summaryType === 'key_points') {
-        // Pick some key phrases as points
-        const phrases = conversationText.split(/[.!?]+/).filter(phrase => phrase.trim().length > 10);
-        keyPoints = phrases.slice(0, 5).map(phrase => phrase.trim());
-        summaryContent = 'Key points discussed: ' + keyPoints.join('. ') + '.';
-      } else if (summaryType === 'final') {
-        // Create a final summary by picking words and adding fillers
-        const selectedWords = words.filter((_, i) => i % 3 === 0).slice(0, 20);
-        summaryContent = 'The discussion covered ' + selectedWords.join(', ') + '. Key topics included advancements and implementations. Conclusions focused on challenges and solutions.';
-        actionItems = ['Follow up on implementation details', 'Schedule next meeting'];
-      } else {
-        // Rolling summary
-        const recentWords = words.slice(-15);
-        summaryContent = 'Recent developments: ' + recentWords.join(' ') + '. The conversation is progressing well.';
-      }
-
-      return {
-        content: summaryContent,
-        keyPoints,
-        actionItems
-      };
-    } catch (error) {
-      console.error('Summary generation error:', error);
-      throw new Error('Failed to generate summary');
-    }
-  }
-
-  /**
-   * Generate glossary and terminology consistency
-   * @param {string[]} transcripts - Array of transcript texts
-   * @returns {Promise<Object>} Glossary object
-   */
-  async generateGlossary(transcripts) {
-    try {
-      const conversationText = transcripts.join(' ');
-
-      const prompt = `Extract technical terms, acronyms, and important terminology from this conversation. Return as a JSON object where keys are terms and values are definitions or explanations: "${conversationText}"`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const glossaryContent = response.text().trim();
-
-      try {
-        const glossary = JSON.parse(glossaryContent);
-        return glossary;
-      } catch (e) {
-        // Return empty object if parsing fails
-        console.warn('Failed to parse glossary JSON');
-        return {};
-      }
-    } catch (error) {
-      console.error('Glossary generation error:', error);
-      throw new Error('Failed to generate glossary');
-    }
-  }
-
-  /**
-   * Clarify ambiguous content using context
-   * @param {string} text - Text to clarify
-   * @param {string[]} context - Array of context transcripts
-   * @returns {Promise<string>} Clarified text
-   */
-  async clarifyContent(text, context) {
-    try {
-      const contextText = context.join(' ');
-
-      const prompt = `Given this context: "${contextText}", please clarify or provide more context for this potentially ambiguous statement: "${text}"`;
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const clarifiedText = response.text().trim();
-
-      return clarifiedText;
-    } catch (error) {
-      console.error('Content clarification error:', error);
-      throw new Error('Failed to clarify content');
-    }
-  }
-}
-
-module.exports = new GeminiService();
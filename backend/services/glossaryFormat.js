@@ -0,0 +1,114 @@
+// services/glossaryFormat.js - Glossary parsing and enforcement helpers shared by the AI providers
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Resolve the fixed rendering of each glossary term in a target language
+ * Terms without a rule for the language are left to the provider
+ * @param {Object[]} glossary - Terms ({ term, doNotTranslate, translations })
+ * @param {string} targetLanguage - Target language code
+ * @returns {Object[]} Rules ({ term, target })
+ */
+const glossaryRules = (glossary = [], targetLanguage) => glossary
+  .map(({ term, doNotTranslate, translations = {} }) => ({
+    term,
+    target: translations[targetLanguage] || (doNotTranslate ? term : null)
+  }))
+  .filter(rule => rule.target);
+
+/**
+ * Prompt lines telling a model how to render glossary terms in a translation
+ * @param {Object[]} glossary - Glossary terms
+ * @param {string} targetLanguage - Target language code
+ * @returns {string} Instructions, or an empty string when no term applies
+ */
+const translationInstructions = (glossary, targetLanguage) => {
+  const rules = glossaryRules(glossary, targetLanguage);
+  if (rules.length === 0) return '';
+
+  return [
+    'Render these glossary terms exactly as given, never translating them otherwise:',
+    ...rules.map(({ term, target }) => (term === target ? `- "${term}" (keep as is)` : `- "${term}" -> "${target}"`))
+  ].join('\n');
+};
+
+/**
+ * Prompt lines asking a model to spell glossary terms consistently in a summary
+ * @param {Object[]} glossary - Glossary terms
+ * @returns {string} Instructions, or an empty string for an empty glossary
+ */
+const summaryInstructions = (glossary = []) => {
+  if (glossary.length === 0) return '';
+
+  return [
+    'Spell these glossary terms exactly as listed and do not translate or paraphrase them:',
+    ...glossary.map(({ term, description }) => (description ? `- ${term}: ${description}` : `- ${term}`))
+  ].join('\n');
+};
+
+/**
+ * Prompt lines giving a model the session's terms and their meanings as background
+ * @param {Object[]} glossary - Glossary terms
+ * @returns {string} Reference list, or an empty string for an empty glossary
+ */
+const glossaryReference = (glossary = []) => {
+  if (glossary.length === 0) return '';
+
+  return [
+    'Terms used in this session:',
+    ...glossary.map(({ term, description }) => (description ? `- ${term}: ${description}` : `- ${term}`))
+  ].join('\n');
+};
+
+/**
+ * Replace whole-word, case-insensitive occurrences of glossary terms with their fixed targets
+ * All terms are matched in one pass so a replacement is never rewritten by a later term
+ * @param {string} text - Text to rewrite
+ * @param {Object[]} glossary - Glossary terms
+ * @param {string} targetLanguage - Target language code
+ * @returns {string} Rewritten text
+ */
+const applyGlossary = (text, glossary, targetLanguage) => {
+  const rules = glossaryRules(glossary, targetLanguage);
+  if (rules.length === 0) return text;
+
+  const targets = new Map(rules.map(({ term, target }) => [term.toLowerCase(), target]));
+  // Longest terms first so "Acme Cloud" wins over "Acme"
+  const pattern = rules
+    .map(({ term }) => escapeRegExp(term))
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+
+  return text.replace(
+    new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'giu'),
+    match => targets.get(match.toLowerCase()) ?? match
+  );
+};
+
+/**
+ * Parse model output into a { term: description } object
+ * Accepts raw JSON or JSON wrapped in a Markdown code fence
+ * @param {string} text - Raw model output
+ * @returns {Object} Glossary mapping, empty when the output is not a JSON object
+ */
+const parseGlossary = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+
+  let data;
+  try {
+    data = JSON.parse(candidate);
+  } catch (error) {
+    return {};
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+
+  return Object.entries(data).reduce((glossary, [term, description]) => {
+    if (term.trim()) {
+      glossary[term.trim()] = typeof description === 'string' ? description.trim() : '';
+    }
+    return glossary;
+  }, {});
+};
+
+module.exports = { glossaryRules, translationInstructions, summaryInstructions, glossaryReference, applyGlossary, parseGlossary };
@@ -0,0 +1,287 @@
+// services/glossaryService.js - Per-session and account-wide glossaries enforced during translation
+
+const { pool } = require('../server');
+const aiService = require('./aiService');
+const rateLimitService = require('./rateLimitService');
+const sessionAccessService = require('./sessionAccessService');
+const translationMemoryService = require('./translationMemoryService');
+const usageService = require('./usageService');
+const { isLanguage } = require('./socketPayloads');
+const { ServiceError } = require('./serviceError');
+
+const MAX_TERM_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const UNIQUE_VIOLATION = '23505';
+
+// Captions are translated one at a time, so keep each session's glossary briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+
+const TERM_COLUMNS = `
+  g.id, g.session_id AS "sessionId", g.owner_id AS "ownerId", g.term, g.description,
+  g.do_not_translate AS "doNotTranslate", g.translations, g.created_at AS "createdAt", g.updated_at AS "updatedAt"
+`;
+
+/**
+ * Validate term fields; with partial, omitted fields stay undefined
+ * @param {Object} input - { term, description, doNotTranslate, translations }
+ * @param {boolean} partial - Whether fields may be omitted (updates)
+ * @returns {Object} Normalized fields
+ */
+const normalizeTerm = ({ term, description, doNotTranslate, translations } = {}, partial = false) => {
+  const fields = {};
+
+  if (term !== undefined || !partial) {
+    fields.term = typeof term === 'string' ? term.trim() : '';
+    if (!fields.term || fields.term.length > MAX_TERM_LENGTH) {
+      throw new ServiceError(`term must be between 1 and ${MAX_TERM_LENGTH} characters`);
+    }
+  }
+
+  if (description !== undefined) {
+    fields.description = typeof description === 'string' ? description.trim() : '';
+    if (fields.description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new ServiceError(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+  }
+
+  if (doNotTranslate !== undefined) {
+    fields.doNotTranslate = Boolean(doNotTranslate);
+  }
+
+  if (translations !== undefined) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      throw new ServiceError('translations must be an object of language code to term');
+    }
+    fields.translations = {};
+    Object.entries(translations).forEach(([language, target]) => {
+      const value = typeof target === 'string' ? target.trim() : '';
+      if (!isLanguage(language) || !value || value.length > MAX_TERM_LENGTH) {
+        throw new ServiceError(`Invalid translation for "${language}"`);
+      }
+      fields.translations[language] = value;
+    });
+  }
+
+  return fields;
+};
+
+class GlossaryService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Terms applied to a session: its own terms plus the host's account-wide terms
+   * A session term overrides an account-wide term with the same spelling
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object[]>} Glossary terms
+   */
+  async getSessionGlossary(sessionId) {
+    const key = String(sessionId);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.terms;
+    }
+
+    const result = await pool.query(`
+      SELECT DISTINCT ON (lower(g.term)) ${TERM_COLUMNS}
+      FROM glossary_terms g
+      JOIN sessions s ON s.id = $1
+      WHERE g.session_id = $1 OR (g.session_id IS NULL AND g.owner_id = s.host_id)
+      ORDER BY lower(g.term), g.session_id NULLS LAST
+    `, [sessionId]);
+
+    this.cache.set(key, { terms: result.rows, expiresAt: Date.now() + CACHE_TTL_MS });
+    return result.rows;
+  }
+
+  /**
+   * List the glossary of a session for one of its members
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Viewing user ID
+   * @returns {Promise<Object[]>} Glossary terms
+   */
+  async listSessionTerms(sessionId, userId) {
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (!role) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    return this.getSessionGlossary(sessionId);
+  }
+
+  /**
+   * List a user's account-wide terms
+   * @param {number} userId - Owner user ID
+   * @returns {Promise<Object[]>} Glossary terms
+   */
+  async listAccountTerms(userId) {
+    const result = await pool.query(`
+      SELECT ${TERM_COLUMNS} FROM glossary_terms g
+      WHERE g.owner_id = $1 AND g.session_id IS NULL
+      ORDER BY lower(g.term)
+    `, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Add a term to a session (host only) or, without a session, to the user's account-wide glossary
+   * @param {number} userId - Acting user ID
+   * @param {Object} input - { sessionId, term, description, doNotTranslate, translations }
+   * @returns {Promise<Object>} Created term
+   */
+  async createTerm(userId, { sessionId = null, ...input } = {}) {
+    const fields = normalizeTerm(input);
+    if (sessionId) {
+      await this.requireHost(sessionId, userId);
+    }
+
+    const result = await this.writeTerm(`
+      INSERT INTO glossary_terms (session_id, owner_id, term, description, do_not_translate, translations)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [
+      sessionId || null, userId, fields.term, fields.description ?? null,
+      fields.doNotTranslate ?? false, JSON.stringify(fields.translations ?? {})
+    ]);
+    await translationMemoryService.invalidateTerms([fields.term]);
+
+    return this.getTerm(result.rows[0].id);
+  }
+
+  /**
+   * Update a term owned by the user
+   * @param {number} termId - Term ID
+   * @param {number} userId - Acting user ID
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} Updated term
+   */
+  async updateTerm(termId, userId, input) {
+    const fields = normalizeTerm(input, true);
+    if (Object.keys(fields).length === 0) {
+      throw new ServiceError('Nothing to update: provide term, description, doNotTranslate or translations');
+    }
+    const existing = await this.requireOwnedTerm(termId, userId);
+
+    await this.writeTerm(`
+      UPDATE glossary_terms SET
+        term = COALESCE($2, term),
+        description = COALESCE($3, description),
+        do_not_translate = COALESCE($4, do_not_translate),
+        translations = COALESCE($5, translations)
+      WHERE id = $1
+    `, [
+      termId, fields.term ?? null, fields.description ?? null, fields.doNotTranslate ?? null,
+      fields.translations ? JSON.stringify(fields.translations) : null
+    ]);
+    await translationMemoryService.invalidateTerms([existing.term, fields.term]);
+
+    return this.getTerm(termId);
+  }
+
+  /**
+   * Delete a term owned by the user
+   * @param {number} termId - Term ID
+   * @param {number} userId - Acting user ID
+   */
+  async deleteTerm(termId, userId) {
+    const term = await this.requireOwnedTerm(termId, userId);
+    await pool.query('DELETE FROM glossary_terms WHERE id = $1', [termId]);
+    this.cache.clear();
+    await translationMemoryService.invalidateTerms([term.term]);
+  }
+
+  /**
+   * Ask the AI provider for terms found in a session's transcripts that are not in its glossary yet
+   * Suggestions are not saved; the host adds the ones worth keeping. Rate-limited, and counted
+   * against the host's monthly AI quota
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Acting user ID
+   * @returns {Promise<Object[]>} Suggestions ({ term, description })
+   */
+  async suggestTerms(sessionId, userId) {
+    await this.requireHost(sessionId, userId);
+    await rateLimitService.consume('glossary', { userId, sessionId });
+
+    const transcripts = await pool.query(
+      'SELECT text FROM transcripts WHERE session_id = $1 AND merged_into IS NULL ORDER BY sort_order ASC',
+      [sessionId]
+    );
+    if (transcripts.rows.length === 0) {
+      throw new ServiceError('Nothing to suggest from: this session has no transcripts yet', 422);
+    }
+
+    await usageService.assertWithinQuota(sessionId);
+    const texts = transcripts.rows.map(row => row.text);
+    const [suggested, existing] = await Promise.all([
+      aiService.generateGlossary(texts),
+      this.getSessionGlossary(sessionId)
+    ]);
+    await usageService.record(sessionId, 'glossary', texts.reduce((size, text) => size + text.length, 0));
+    const known = new Set(existing.map(entry => entry.term.toLowerCase()));
+
+    return Object.entries(suggested)
+      .filter(([term]) => term.length <= MAX_TERM_LENGTH && !known.has(term.toLowerCase()))
+      .map(([term, description]) => ({ term, description }));
+  }
+
+  /**
+   * Load one term
+   * @param {number} termId - Term ID
+   * @returns {Promise<Object|null>} Term
+   */
+  async getTerm(termId) {
+    const result = await pool.query(`SELECT ${TERM_COLUMNS} FROM glossary_terms g WHERE g.id = $1`, [termId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Run an insert or update, mapping duplicate terms to a conflict and dropping cached glossaries
+   * Callers also invalidate translation memory entries that mention the affected terms
+   * @param {string} query - SQL statement
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} Query result
+   */
+  async writeTerm(query, params) {
+    try {
+      return await pool.query(query, params);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new ServiceError('This term is already in the glossary', 409);
+      }
+      throw error;
+    } finally {
+      this.cache.clear();
+    }
+  }
+
+  /**
+   * Reject users who are not the host of a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Acting user ID
+   */
+  async requireHost(sessionId, userId) {
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (role !== 'host') {
+      throw new ServiceError('Only the session host can manage its glossary', 403);
+    }
+  }
+
+  /**
+   * Load a term, rejecting users who do not own it
+   * @param {number} termId - Term ID
+   * @param {number} userId - Acting user ID
+   * @returns {Promise<Object>} Term
+   */
+  async requireOwnedTerm(termId, userId) {
+    const term = await this.getTerm(termId);
+    if (!term) {
+      throw new ServiceError('Glossary term not found', 404);
+    }
+    if (term.ownerId !== userId) {
+      throw new ServiceError('Only the owner can change this glossary term', 403);
+    }
+    return term;
+  }
+}
+
+module.exports = new GlossaryService();
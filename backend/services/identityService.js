@@ -0,0 +1,88 @@
+// services/identityService.js - Map external identities (Clerk, OAuth) to users rows
+
+const { pool } = require('../server');
+
+const USER_COLUMNS = 'u.id, u.name, u.email, u.role, u.avatar_url';
+
+class IdentityService {
+  /**
+   * Load a user by internal ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} User row
+   */
+  async getUserById(userId) {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the user linked to an external identity, creating the user and the link on first sight
+   * An existing account with the same email is linked instead of duplicated only when the provider
+   * verified the email; otherwise the identity gets an account of its own.
+   * @param {string} provider - Identity provider ('clerk', 'google', 'github')
+   * @param {string} externalId - Subject ID at the provider
+   * @param {Function} loadProfile - Async () => ({ email, emailVerified, name, avatarUrl }), only called for new identities
+   * @returns {Promise<Object>} User row
+   */
+  async findOrCreateUser(provider, externalId, loadProfile) {
+    const identityQuery = `
+      SELECT ${USER_COLUMNS}
+      FROM user_identities ui
+      JOIN users u ON u.id = ui.user_id
+      WHERE ui.provider = $1 AND ui.external_id = $2
+    `;
+
+    const existing = await pool.query(identityQuery, [provider, externalId]);
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    const profile = await loadProfile();
+    // Placeholder address, unique to the identity, for accounts without a usable email
+    const placeholder = `${externalId}@${provider}.invalid`;
+    const email = profile.email || placeholder;
+    const name = profile.name || email.split('@')[0];
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // A verified email reuses the account registered with it; an unverified one only claims a free email,
+      // so nobody can take over an account by adding its address to their profile
+      let userResult = await client.query(`
+        INSERT INTO users (name, email, avatar_url, created_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (email) DO ${profile.emailVerified ? 'UPDATE SET email = EXCLUDED.email' : 'NOTHING'}
+        RETURNING id
+      `, [name, email, profile.avatarUrl || null]);
+
+      if (userResult.rows.length === 0) {
+        userResult = await client.query(`
+          INSERT INTO users (name, email, avatar_url, created_at)
+          VALUES ($1, $2, $3, NOW())
+          ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+          RETURNING id
+        `, [name, placeholder, profile.avatarUrl || null]);
+      }
+
+      await client.query(`
+        INSERT INTO user_identities (user_id, provider, external_id, email, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        ON CONFLICT (provider, external_id) DO NOTHING
+      `, [userResult.rows[0].id, provider, externalId, profile.email || null]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Re-read through the link so concurrent first requests resolve to the same user
+    const linked = await pool.query(identityQuery, [provider, externalId]);
+    return linked.rows[0];
+  }
+}
+
+module.exports = new IdentityService();
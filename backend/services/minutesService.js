@@ -0,0 +1,267 @@
+// services/minutesService.js - Meeting minutes assembly and rendering (Markdown, HTML, PDF)
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { pool } = require('../server');
+const { ServiceError } = require('./serviceError');
+
+const MINUTES_FORMATS = {
+  md: { contentType: 'text/markdown', extension: 'md' },
+  html: { contentType: 'text/html', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// The built-in Helvetica only covers Windows-1252 (Western European) text. MINUTES_PDF_FONT and
+// MINUTES_PDF_BOLD_FONT name TrueType/OpenType files (e.g. Noto Sans) to embed for everything else.
+const WIN_ANSI_TEXT = /^[\t\n\r\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]*$/;
+
+/**
+ * Font files for PDF minutes from the environment; a missing file is reported and ignored
+ * @returns {Object} { regular, bold } paths, or nulls for the built-in Helvetica
+ */
+const loadPdfFonts = () => {
+  const regular = process.env.MINUTES_PDF_FONT;
+  if (!regular) return { regular: null, bold: null };
+  const bold = process.env.MINUTES_PDF_BOLD_FONT || regular;
+
+  const missing = [regular, bold].find(file => !fs.existsSync(file));
+  if (missing) {
+    console.warn(`PDF minutes font ${missing} not found: falling back to Helvetica, which only covers Western European text`);
+    return { regular: null, bold: null };
+  }
+  return { regular, bold };
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('en-US', { timeZone: 'UTC' }) + ' UTC' : 'n/a');
+
+const formatClock = (value) => new Date(value).toISOString().substring(11, 19);
+
+const transcriptLine = (row) => `[${formatClock(row.timestamp)}] ${row.speaker ? `${row.speaker}: ` : ''}${row.text}`;
+
+class MinutesService {
+  constructor() {
+    this.formats = MINUTES_FORMATS;
+    this.pdfFonts = loadPdfFonts();
+  }
+
+  /**
+   * Collect everything that goes into the minutes for a session
+   * @param {number} sessionId - Session ID
+   * @param {Object} options - { includeTranscript }
+   * @returns {Promise<Object|null>} Minutes data, or null when the session does not exist
+   */
+  async getMinutesData(sessionId, { includeTranscript = false } = {}) {
+    const sessionQuery = `
+      SELECT s.*, u.name as host_name
+      FROM sessions s
+      JOIN users u ON s.host_id = u.id
+      WHERE s.id = $1
+    `;
+    const sessionResult = await pool.query(sessionQuery, [sessionId]);
+    if (sessionResult.rows.length === 0) return null;
+
+    const participantsQuery = `
+      SELECT u.id, u.name, u.email, sp.joined_at
+      FROM session_participants sp
+      JOIN users u ON sp.user_id = u.id
+      WHERE sp.session_id = $1
+      ORDER BY sp.joined_at ASC
+    `;
+
+    // Latest row of each summary type that feeds the minutes
+    const summariesQuery = `
+      SELECT DISTINCT ON (summary_type) *
+      FROM summaries
+      WHERE session_id = $1 AND summary_type IN ('final', 'key_points')
+      ORDER BY summary_type, created_at DESC
+    `;
+
+    const [participants, summaries] = await Promise.all([
+      pool.query(participantsQuery, [sessionId]),
+      pool.query(summariesQuery, [sessionId])
+    ]);
+
+    let transcript = [];
+    if (includeTranscript) {
+      const transcriptQuery = `
+        SELECT text, speaker, language, timestamp FROM transcripts
+        WHERE session_id = $1 AND merged_into IS NULL
+        ORDER BY timestamp ASC, sort_order ASC
+      `;
+      transcript = (await pool.query(transcriptQuery, [sessionId])).rows;
+    }
+
+    const finalSummary = summaries.rows.find(row => row.summary_type === 'final') || null;
+    const keyPointsSummary = summaries.rows.find(row => row.summary_type === 'key_points') || null;
+
+    // Prefer the dedicated key points summary, falling back to the points of the final summary
+    const keyPoints = (keyPointsSummary && keyPointsSummary.key_points && keyPointsSummary.key_points.length)
+      ? keyPointsSummary.key_points
+      : (finalSummary && finalSummary.key_points) || [];
+
+    return {
+      session: sessionResult.rows[0],
+      participants: participants.rows,
+      summary: finalSummary ? finalSummary.content : null,
+      keyPoints,
+      actionItems: (finalSummary && finalSummary.action_items) || [],
+      transcript
+    };
+  }
+
+  /**
+   * Render minutes as Markdown
+   * @param {Object} data - Minutes data from getMinutesData
+   * @returns {string} Markdown document
+   */
+  toMarkdown({ session, participants, summary, keyPoints, actionItems, transcript }) {
+    const lines = [
+      `# Meeting Minutes: ${session.title}`,
+      '',
+      session.description || '',
+      '',
+      `- **Host:** ${session.host_name}`,
+      `- **Date:** ${formatDate(session.created_at)}`,
+      `- **Language:** ${session.language}`,
+      `- **Status:** ${session.status}`,
+      '',
+      `## Participants (${participants.length})`,
+      '',
+      ...(participants.length ? participants.map(p => `- ${p.name}`) : ['_No participants recorded._']),
+      '',
+      '## Summary',
+      '',
+      summary || '_No final summary has been generated for this session._',
+      '',
+      '## Key Points',
+      '',
+      ...(keyPoints.length ? keyPoints.map(point => `- ${point}`) : ['_None recorded._']),
+      '',
+      '## Action Items',
+      '',
+      ...(actionItems.length ? actionItems.map(item => `- [ ] ${item}`) : ['_None recorded._'])
+    ];
+
+    if (transcript.length) {
+      lines.push('', '## Appendix: Full Transcript', '', ...transcript.map(row => `${transcriptLine(row)}  `));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render minutes as a standalone HTML document
+   * @param {Object} data - Minutes data from getMinutesData
+   * @returns {string} HTML document
+   */
+  toHtml({ session, participants, summary, keyPoints, actionItems, transcript }) {
+    const list = (items, empty) => (items.length
+      ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : `<p><em>${empty}</em></p>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Meeting Minutes: ${escapeHtml(session.title)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; max-width: 800px; margin: 2rem auto; color: #1f2937; line-height: 1.5; }
+  h1 { border-bottom: 2px solid #4f46e5; padding-bottom: .5rem; }
+  h2 { color: #4f46e5; margin-top: 2rem; }
+  .meta { color: #6b7280; }
+  .transcript p { margin: .25rem 0; font-size: .9rem; }
+</style>
+</head>
+<body>
+<h1>Meeting Minutes: ${escapeHtml(session.title)}</h1>
+${session.description ? `<p>${escapeHtml(session.description)}</p>` : ''}
+<p class="meta">Host: ${escapeHtml(session.host_name)} &middot; Date: ${escapeHtml(formatDate(session.created_at))} &middot; Language: ${escapeHtml(session.language)} &middot; Status: ${escapeHtml(session.status)}</p>
+<h2>Participants (${participants.length})</h2>
+${list(participants.map(p => p.name), 'No participants recorded.')}
+<h2>Summary</h2>
+<p>${summary ? escapeHtml(summary) : '<em>No final summary has been generated for this session.</em>'}</p>
+<h2>Key Points</h2>
+${list(keyPoints, 'None recorded.')}
+<h2>Action Items</h2>
+${list(actionItems, 'None recorded.')}
+${transcript.length ? `<h2>Appendix: Full Transcript</h2>
+<div class="transcript">${transcript.map(row => `<p>${escapeHtml(transcriptLine(row))}</p>`).join('\n')}</div>` : ''}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Reject PDF minutes with text the PDF font cannot draw, such as CJK, Cyrillic or Arabic,
+   * unless a Unicode font is configured
+   * @param {Object} data - Minutes data from getMinutesData
+   * @throws {ServiceError} 422 pointing to the formats that can show the text
+   */
+  assertPdfRenderable({ session, participants, summary, keyPoints, actionItems, transcript }) {
+    if (this.pdfFonts.regular) return;
+
+    const texts = [
+      session.title, session.description, session.host_name, summary,
+      ...participants.map(p => p.name), ...keyPoints, ...actionItems,
+      ...transcript.flatMap(row => [row.speaker, row.text])
+    ];
+    if (texts.every(text => !text || WIN_ANSI_TEXT.test(String(text)))) return;
+
+    throw new ServiceError(
+      'These minutes contain text the PDF font cannot display, such as CJK, Cyrillic or Arabic. ' +
+      'Export them as md or html instead, or ask an administrator to set MINUTES_PDF_FONT to a Unicode font.',
+      422
+    );
+  }
+
+  /**
+   * Render minutes as a PDF and pipe it to a writable stream
+   * Call assertPdfRenderable first; characters the font lacks are drawn as blanks
+   * @param {Object} data - Minutes data from getMinutesData
+   * @param {stream.Writable} output - Destination stream (e.g. the HTTP response)
+   */
+  writePdf({ session, participants, summary, keyPoints, actionItems, transcript }, output) {
+    const doc = new PDFDocument({ margin: 50, info: { Title: `Meeting Minutes: ${session.title}` } });
+    const regular = this.pdfFonts.regular || 'Helvetica';
+    const bold = this.pdfFonts.bold || 'Helvetica-Bold';
+    doc.pipe(output);
+
+    const heading = (text) => doc.moveDown().font(bold).fontSize(14).fillColor('#4f46e5').text(text).moveDown(0.3);
+    const body = (text) => doc.font(regular).fontSize(11).fillColor('#1f2937').text(text);
+    const bullets = (items, empty) => (items.length ? doc.font(regular).fontSize(11).fillColor('#1f2937').list(items) : body(empty));
+
+    doc.font(bold).fontSize(20).fillColor('#111827').text(`Meeting Minutes: ${session.title}`);
+    if (session.description) body(session.description);
+    doc.moveDown(0.5).font(regular).fontSize(10).fillColor('#6b7280')
+      .text(`Host: ${session.host_name}   Date: ${formatDate(session.created_at)}   Language: ${session.language}   Status: ${session.status}`);
+
+    heading(`Participants (${participants.length})`);
+    bullets(participants.map(p => p.name), 'No participants recorded.');
+
+    heading('Summary');
+    body(summary || 'No final summary has been generated for this session.');
+
+    heading('Key Points');
+    bullets(keyPoints, 'None recorded.');
+
+    heading('Action Items');
+    bullets(actionItems, 'None recorded.');
+
+    if (transcript.length) {
+      doc.addPage();
+      heading('Appendix: Full Transcript');
+      doc.font(regular).fontSize(9).fillColor('#1f2937');
+      transcript.forEach(row => doc.text(transcriptLine(row)));
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = new MinutesService();
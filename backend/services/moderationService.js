@@ -0,0 +1,217 @@
+// services/moderationService.js - Host and moderator actions on participants and chat messages
+
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const chatService = require('./chatService');
+const sessionCapacityService = require('./sessionCapacityService');
+const { ServiceError } = require('./serviceError');
+
+class ModerationService {
+  /**
+   * Load the actor's and target's roles and check the actor may act on the target
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} targetUserId - Affected user ID
+   * @param {string[]} allowedRoles - Actor roles allowed to perform the action
+   * @returns {Promise<Object>} { actorRole, targetRole }
+   */
+  async authorize(sessionId, actorId, targetUserId, allowedRoles = sessionAccessService.publisherRoles) {
+    const actorRole = await sessionAccessService.getSessionRole(sessionId, actorId);
+    if (!actorRole || !allowedRoles.includes(actorRole)) {
+      throw new ServiceError('Only hosts and moderators can perform this action', 403);
+    }
+
+    if (targetUserId === undefined) return { actorRole };
+
+    const targetRole = await sessionAccessService.getSessionRole(sessionId, targetUserId);
+    if (!targetRole) {
+      throw new ServiceError('Participant not found in this session', 404);
+    }
+    if (!sessionAccessService.outranks(actorRole, targetRole)) {
+      throw new ServiceError('You cannot moderate a participant with an equal or higher role', 403);
+    }
+
+    return { actorRole, targetRole };
+  }
+
+  /**
+   * Apply a change to every connected socket of a user in a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   * @param {Function} apply - (socket) => void
+   */
+  async updateLiveSockets(sessionId, userId, apply) {
+    const sockets = await io.in(String(sessionId)).fetchSockets();
+    sockets
+      .filter(socket => socket.data.user && socket.data.user.userId === Number(userId))
+      .forEach(apply);
+  }
+
+  /**
+   * Promote a participant to moderator or demote a moderator (host only)
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} targetUserId - Affected user ID
+   * @param {string} role - 'moderator' or 'participant'
+   * @returns {Promise<Object>} Updated participant ({ userId, role, muted, editor })
+   */
+  async setRole(sessionId, actorId, targetUserId, role) {
+    if (!['moderator', 'participant'].includes(role)) {
+      throw new ServiceError('role must be one of: moderator, participant');
+    }
+    await this.authorize(sessionId, actorId, targetUserId, ['host']);
+
+    const result = await pool.query(`
+      UPDATE session_participants SET role = $3
+      WHERE session_id = $1 AND user_id = $2
+      RETURNING user_id AS "userId", role, is_muted AS muted, is_editor AS editor
+    `, [sessionId, targetUserId, role]);
+
+    const participant = result.rows[0];
+    await this.updateLiveSockets(sessionId, targetUserId, (socket) => {
+      socket.data.role = role;
+    });
+    io.to(String(sessionId)).emit('participant-updated', participant);
+    return participant;
+  }
+
+  /**
+   * Mute or unmute a participant's captions and chat
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} targetUserId - Affected user ID
+   * @param {boolean} muted - New muted state
+   * @returns {Promise<Object>} Updated participant ({ userId, role, muted, editor })
+   */
+  async setMuted(sessionId, actorId, targetUserId, muted) {
+    await this.authorize(sessionId, actorId, targetUserId);
+
+    const result = await pool.query(`
+      UPDATE session_participants SET is_muted = $3
+      WHERE session_id = $1 AND user_id = $2
+      RETURNING user_id AS "userId", role, is_muted AS muted, is_editor AS editor
+    `, [sessionId, targetUserId, Boolean(muted)]);
+
+    const participant = result.rows[0];
+    await this.updateLiveSockets(sessionId, targetUserId, (socket) => {
+      socket.data.muted = participant.muted;
+    });
+    io.to(String(sessionId)).emit('participant-updated', participant);
+    return participant;
+  }
+
+  /**
+   * Let a participant correct transcripts, or take that away (host only)
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} targetUserId - Affected user ID
+   * @param {boolean} editor - New editor state
+   * @returns {Promise<Object>} Updated participant ({ userId, role, muted, editor })
+   */
+  async setEditor(sessionId, actorId, targetUserId, editor) {
+    await this.authorize(sessionId, actorId, targetUserId, ['host']);
+
+    const result = await pool.query(`
+      UPDATE session_participants SET is_editor = $3
+      WHERE session_id = $1 AND user_id = $2
+      RETURNING user_id AS "userId", role, is_muted AS muted, is_editor AS editor
+    `, [sessionId, targetUserId, Boolean(editor)]);
+
+    const participant = result.rows[0];
+    io.to(String(sessionId)).emit('participant-updated', participant);
+    return participant;
+  }
+
+  /**
+   * Remove a participant from a session, optionally banning them from rejoining
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} targetUserId - Affected user ID
+   * @param {Object} options - { ban, reason }
+   * @returns {Promise<Object>} { userId, banned }
+   */
+  async removeParticipant(sessionId, actorId, targetUserId, { ban = false, reason = null } = {}) {
+    await this.authorize(sessionId, actorId, targetUserId);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM session_participants WHERE session_id = $1 AND user_id = $2',
+        [sessionId, targetUserId]
+      );
+      if (ban) {
+        await client.query(`
+          INSERT INTO session_bans (session_id, user_id, banned_by, reason, created_at)
+          VALUES ($1, $2, $3, $4, NOW())
+          ON CONFLICT (session_id, user_id) DO UPDATE SET banned_by = EXCLUDED.banned_by, reason = EXCLUDED.reason
+        `, [sessionId, targetUserId, actorId, reason]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const removal = { userId: Number(targetUserId), banned: Boolean(ban) };
+
+    // Disconnect the removed user's sockets from the room before telling everyone else
+    await this.updateLiveSockets(sessionId, targetUserId, (socket) => {
+      socket.emit('removed-from-session', { sessionId: String(sessionId), banned: removal.banned, reason });
+      sessionAccessService.leaveSessionRooms(socket);
+      socket.data.sessionId = null;
+      socket.data.role = null;
+    });
+    io.to(String(sessionId)).emit('participant-removed', removal);
+
+    // The freed seat goes to the next user on the waitlist
+    await sessionCapacityService.promoteWaitlisted(sessionId);
+    return removal;
+  }
+
+  /**
+   * Delete a chat message permanently
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} messageId - Chat message ID
+   * @returns {Promise<Object>} { messageId }
+   */
+  async deleteMessage(sessionId, actorId, messageId) {
+    await this.authorize(sessionId, actorId);
+
+    const deleted = await chatService.deleteMessage(sessionId, messageId);
+    if (!deleted) {
+      throw new ServiceError('Message not found', 404);
+    }
+
+    const deletion = { messageId: Number(messageId) };
+    io.to(String(sessionId)).emit('message-deleted', deletion);
+    return deletion;
+  }
+
+  /**
+   * Hide or unhide a chat message; hidden messages stay visible to hosts and moderators only
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} messageId - Chat message ID
+   * @param {boolean} hidden - New hidden state
+   * @returns {Promise<Object>} { messageId, hidden, message }
+   */
+  async setMessageHidden(sessionId, actorId, messageId, hidden) {
+    await this.authorize(sessionId, actorId);
+
+    const message = await chatService.setHidden(sessionId, messageId, hidden);
+    if (!message) {
+      throw new ServiceError('Message not found', 404);
+    }
+
+    // Unhidden messages carry the record so participants who never received it can show it
+    const update = { messageId: message.id, hidden: message.hidden, message: message.hidden ? null : message };
+    io.to(String(sessionId)).emit('message-hidden', update);
+    return update;
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,264 @@
+// services/overlayService.js - Read-only caption overlays (OBS / livestream browser sources)
+
+const crypto = require('crypto');
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const { isLanguage } = require('./socketPayloads');
+const { ServiceError } = require('./serviceError');
+
+// Overlays connect to their own namespace, so they never see session rooms or session events
+const NAMESPACE = '/overlay';
+const MAX_NAME_LENGTH = 100;
+
+// Preset keys are the same as the overlay URL's query parameters
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|rgba?\([\d\s.,%]+\))$/;
+const SETTINGS = {
+  lang: (value) => isLanguage(value) && value,
+  font: (value) => typeof value === 'string' && value.length <= 100 && /^[\w\s,'"-]+$/.test(value) && value,
+  size: (value) => Number.isInteger(Number(value)) && Number(value) >= 12 && Number(value) <= 160 && Number(value),
+  color: (value) => COLOR_PATTERN.test(value) && value,
+  bg: (value) => COLOR_PATTERN.test(value) && value,
+  position: (value) => ['top', 'middle', 'bottom'].includes(value) && value,
+  align: (value) => ['left', 'center', 'right'].includes(value) && value,
+  lines: (value) => [1, 2].includes(Number(value)) && Number(value),
+  fade: (value) => Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 60000 && Number(value)
+};
+
+const OVERLAY_COLUMNS = `
+  id, session_id AS "sessionId", name, settings, created_at AS "createdAt", revoked_at AS "revokedAt"
+`;
+
+// Only a hash is stored, like invite tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class OverlayService {
+  constructor() {
+    this.namespace = NAMESPACE;
+  }
+
+  /**
+   * Room in the overlay namespace that receives a session's captions in one language
+   * @param {number|string} sessionId - Session ID
+   * @param {string} language - Language code
+   * @returns {string} Room name
+   */
+  room(sessionId, language) {
+    return `${sessionId}:${language}`;
+  }
+
+  /**
+   * Validate overlay styling; unknown keys are rejected so typos do not silently do nothing
+   * @param {Object} settings - { lang, font, size, color, bg, position, align, lines, fade }
+   * @returns {Object} Normalized settings
+   */
+  normalizeSettings(settings = {}) {
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      throw new ServiceError('settings must be an object');
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(settings)) {
+      if (!Object.hasOwn(SETTINGS, key)) {
+        throw new ServiceError(`Unknown overlay setting: ${key}. Allowed: ${Object.keys(SETTINGS).join(', ')}`);
+      }
+      if (value === null || value === '') continue;
+      const parsed = SETTINGS[key](typeof value === 'string' ? value.trim() : value);
+      if (parsed === false) {
+        throw new ServiceError(`Invalid value for overlay setting ${key}`);
+      }
+      normalized[key] = parsed;
+    }
+    return normalized;
+  }
+
+  /**
+   * Create an overlay token with a styling preset (host only); the token is only returned here
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {Object} input - { name, settings }
+   * @returns {Promise<Object>} Overlay with token and url
+   */
+  async createOverlay(sessionId, actorId, { name, settings } = {}) {
+    await this.requireHost(sessionId, actorId);
+    const label = this.normalizeName(name);
+    const preset = this.normalizeSettings(settings);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const result = await pool.query(`
+      INSERT INTO session_overlays (session_id, token_hash, name, settings, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${OVERLAY_COLUMNS}
+    `, [sessionId, hashToken(token), label, JSON.stringify(preset), actorId]);
+
+    return { ...result.rows[0], token, url: `/overlay/${sessionId}?token=${token}` };
+  }
+
+  /**
+   * List a session's overlays (host only), newest first
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @returns {Promise<Object[]>} Overlays without tokens
+   */
+  async listOverlays(sessionId, actorId) {
+    await this.requireHost(sessionId, actorId);
+    const result = await pool.query(
+      `SELECT ${OVERLAY_COLUMNS} FROM session_overlays WHERE session_id = $1 ORDER BY created_at DESC`,
+      [sessionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Rename an overlay or replace its preset (host only); connected overlays pick it up on reload
+   * @param {number} overlayId - Overlay ID
+   * @param {number} actorId - Acting user ID
+   * @param {Object} input - { name, settings }
+   * @returns {Promise<Object>} Updated overlay
+   */
+  async updateOverlay(overlayId, actorId, { name, settings } = {}) {
+    const overlay = await this.requireOwnedOverlay(overlayId, actorId);
+    const label = name === undefined ? overlay.name : this.normalizeName(name);
+    const preset = settings === undefined ? overlay.settings : this.normalizeSettings(settings);
+
+    const result = await pool.query(`
+      UPDATE session_overlays SET name = $2, settings = $3
+      WHERE id = $1
+      RETURNING ${OVERLAY_COLUMNS}
+    `, [overlayId, label, JSON.stringify(preset)]);
+    return result.rows[0];
+  }
+
+  /**
+   * Revoke an overlay token (host only) and disconnect overlays using it
+   * @param {number} overlayId - Overlay ID
+   * @param {number} actorId - Acting user ID
+   * @returns {Promise<Object>} Revoked overlay
+   */
+  async revokeOverlay(overlayId, actorId) {
+    await this.requireOwnedOverlay(overlayId, actorId);
+    const result = await pool.query(`
+      UPDATE session_overlays SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1
+      RETURNING ${OVERLAY_COLUMNS}
+    `, [overlayId]);
+
+    const sockets = await io.of(NAMESPACE).fetchSockets();
+    sockets
+      .filter(socket => socket.data.overlay && socket.data.overlay.id === Number(overlayId))
+      .forEach(socket => socket.disconnect(true));
+
+    return result.rows[0];
+  }
+
+  /**
+   * Resolve an overlay token to its session and preset
+   * @param {string} token - Overlay token
+   * @returns {Promise<Object>} { id, sessionId, title, sessionLanguage, settings }
+   */
+  async resolveToken(token) {
+    if (!token) {
+      throw new ServiceError('Overlay token required', 401);
+    }
+    const result = await pool.query(`
+      SELECT o.id, o.session_id AS "sessionId", s.title, s.language AS "sessionLanguage", o.settings
+      FROM session_overlays o
+      JOIN sessions s ON s.id = o.session_id
+      WHERE o.token_hash = $1 AND o.revoked_at IS NULL
+    `, [hashToken(String(token))]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('This overlay link is invalid or revoked', 401);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Socket.IO middleware for the overlay namespace: accepts only overlay tokens
+   * The caption language comes from the handshake (lang), then the preset, then the session. The
+   * handshake may only pick the preset's or the session's language: every other language is translated
+   * on the host's AI quota, so only the host adds one, by creating an overlay for it.
+   * @param {Object} socket - Socket
+   * @param {Function} next - Continue or fail the handshake
+   */
+  async authenticateSocket(socket, next) {
+    try {
+      const overlay = await this.resolveToken(socket.handshake.auth?.overlayToken);
+      const allowed = [overlay.settings.lang, overlay.sessionLanguage].filter(Boolean);
+      const requested = socket.handshake.auth?.lang;
+      if (requested && !allowed.includes(requested)) {
+        throw new ServiceError(`This overlay shows ${allowed.join(' or ')} captions only`, 403);
+      }
+      const language = requested || allowed[0];
+      socket.data.overlay = { id: overlay.id, sessionId: overlay.sessionId, language };
+      next();
+    } catch (error) {
+      next(new Error(error instanceof ServiceError ? error.message : 'Invalid overlay token'));
+    }
+  }
+
+  /**
+   * Languages overlays are currently showing for a session, so captions get translated for them
+   * @param {number|string} sessionId - Session ID
+   * @returns {string[]} Language codes
+   */
+  listeningLanguages(sessionId) {
+    const prefix = this.room(sessionId, '');
+    return [...io.of(NAMESPACE).adapter.rooms.keys()]
+      .filter(room => room.startsWith(prefix))
+      .map(room => room.slice(prefix.length));
+  }
+
+  /**
+   * Send a caption line to overlays showing it in its language
+   * @param {Object} caption - { sessionId, seq, text, language, speaker, timestamp }
+   * @param {boolean} corrected - True when the line replaces an earlier version of the same seq
+   */
+  relay({ sessionId, seq, text, language, speaker, timestamp }, corrected = false) {
+    io.of(NAMESPACE).to(this.room(sessionId, language)).emit(corrected ? 'overlay-correction' : 'overlay-caption', {
+      seq, text, language, speaker, timestamp
+    });
+  }
+
+  /**
+   * Reject users who are not the host of the overlay's session
+   * @param {number} overlayId - Overlay ID
+   * @param {number} actorId - Acting user ID
+   * @returns {Promise<Object>} Overlay
+   */
+  async requireOwnedOverlay(overlayId, actorId) {
+    const result = await pool.query(`SELECT ${OVERLAY_COLUMNS} FROM session_overlays WHERE id = $1`, [overlayId]);
+    const overlay = result.rows[0];
+    if (!overlay) {
+      throw new ServiceError('Overlay not found', 404);
+    }
+    await this.requireHost(overlay.sessionId, actorId);
+    return overlay;
+  }
+
+  /**
+   * Reject users who are not the host of a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Acting user ID
+   */
+  async requireHost(sessionId, userId) {
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (role !== 'host') {
+      throw new ServiceError('Only session host can manage overlays', 403);
+    }
+  }
+
+  /**
+   * Validate an overlay name
+   * @param {*} name - Input
+   * @returns {string} Trimmed name
+   */
+  normalizeName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      throw new ServiceError(`name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+}
+
+module.exports = new OverlayService();
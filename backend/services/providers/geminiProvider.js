@@ -0,0 +1,203 @@
+// services/providers/geminiProvider.js - Google Gemini AI provider
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { parseSummary, chunkTranscripts, DEFAULT_CHUNK_CHARS } = require('../summaryFormat');
+const { translationInstructions, summaryInstructions, glossaryReference, parseGlossary } = require('../glossaryFormat');
+const { ServiceError } = require('../serviceError');
+
+const SUMMARY_MAX_ATTEMPTS = 3;
+const SUMMARY_MAX_DEPTH = 3;
+
+const SUMMARY_INSTRUCTIONS = {
+  rolling: 'Write a short rolling summary (2-3 sentences) of what is being discussed, with up to 3 key points.',
+  key_points: 'Write a one-paragraph overview and list the 3-7 most important discussion points as keyPoints.',
+  final: 'Write a complete summary of the session in one or two paragraphs, list the key points, and list every action item with its owner and deadline when mentioned.',
+  partial: 'This is one part of a longer session. Summarize this part in a few sentences and list its key points and action items.'
+};
+
+class GeminiProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+    }
+
+    this.name = 'gemini';
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
+    this.visionModel = this.genAI.getGenerativeModel({ model: 'gemini-pro-vision' });
+    this.summaryChunkChars = parseInt(process.env.SUMMARY_CHUNK_CHARS, 10) || DEFAULT_CHUNK_CHARS;
+  }
+
+  /**
+   * Refuse to transcribe: the text model cannot hear audio, and made-up text must never become a caption.
+   * Server-side transcription goes through the speech-to-text engine chosen with STT_ENGINE.
+   * @param {Buffer} audioBuffer - Audio data buffer
+   * @param {string} language - Language code
+   * @returns {Promise<string>} Never resolves with text
+   */
+  async transcribeAudio(audioBuffer, language = 'en') {
+    throw new ServiceError('The gemini AI provider cannot transcribe audio; use a speech-to-text engine (STT_ENGINE)', 501);
+  }
+
+  /**
+   * Translate text to target language
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @param {Object[]} glossary - Session glossary terms to enforce (optional)
+   * @returns {Promise<string>} Translated text
+   */
+  async translateText(text, targetLanguage, sourceLanguage = 'auto', glossary = []) {
+    try {
+      const prompt = [
+        `Translate the following text to ${targetLanguage}. Source language: ${sourceLanguage}. Reply with only the translation.`,
+        translationInstructions(glossary, targetLanguage),
+        `Text: "${text}"`
+      ].filter(Boolean).join('\n');
+
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      const translatedText = response.text().trim();
+
+      return translatedText;
+    } catch (error) {
+      console.error('Translation error:', error);
+      throw new Error('Failed to translate text');
+    }
+  }
+
+  /**
+   * Generate a structured summary of the conversation with the model
+   * Long transcripts are summarized chunk by chunk and the partial summaries reduced into one
+   * @param {string[]} transcripts - Array of transcript texts
+   * @param {string} summaryType - Type of summary ('rolling', 'final', 'key_points')
+   * @param {Object[]} glossary - Session glossary terms to spell consistently (optional)
+   * @returns {Promise<Object>} Summary object with content, keyPoints, actionItems
+   */
+  async generateSummary(transcripts, summaryType = 'rolling', glossary = []) {
+    try {
+      return await this.reduceSummary(transcripts, summaryType, 0, glossary);
+    } catch (error) {
+      console.error('Summary generation error:', error);
+      throw new Error('Failed to generate summary');
+    }
+  }
+
+  /**
+   * Summarize texts that fit in one chunk directly, otherwise map over chunks and reduce the partials
+   * Recursion stops at SUMMARY_MAX_DEPTH, where the remaining partials are summarized in one call
+   * @param {string[]} texts - Transcript texts or partial summaries
+   * @param {string} summaryType - Type of summary
+   * @param {number} depth - Current reduce depth
+   * @param {Object[]} glossary - Session glossary terms
+   * @returns {Promise<Object>} Summary object
+   */
+  async reduceSummary(texts, summaryType, depth, glossary = []) {
+    const chunks = chunkTranscripts(texts, this.summaryChunkChars);
+
+    if (chunks.length === 1 || depth >= SUMMARY_MAX_DEPTH) {
+      return this.summarizeText(chunks.join(' '), summaryType, glossary);
+    }
+
+    // Map: summarize each chunk sequentially to stay within rate limits
+    const partials = [];
+    for (const chunk of chunks) {
+      partials.push(await this.summarizeText(chunk, 'partial', glossary));
+    }
+
+    const partialTexts = partials.map((partial, index) => [
+      `Part ${index + 1}: ${partial.content}`,
+      ...partial.keyPoints.map(point => `Key point: ${point}`),
+      ...partial.actionItems.map(item => `Action item: ${item}`)
+    ].join('\n'));
+
+    return this.reduceSummary(partialTexts, summaryType, depth + 1, glossary);
+  }
+
+  /**
+   * Ask the model for a JSON summary of one chunk, retrying on malformed output
+   * @param {string} text - Transcript text that fits in the model context
+   * @param {string} summaryType - Summary type, or 'partial' for an intermediate chunk summary
+   * @param {Object[]} glossary - Session glossary terms
+   * @returns {Promise<Object>} Validated summary object
+   */
+  async summarizeText(text, summaryType, glossary = []) {
+    const prompt = [
+      'You summarize live conference transcripts.',
+      SUMMARY_INSTRUCTIONS[summaryType] || SUMMARY_INSTRUCTIONS.rolling,
+      'Respond with only a JSON object of the form {"content": string, "keyPoints": string[], "actionItems": string[]}.',
+      'Only include action items that were actually stated. Do not invent facts.',
+      summaryInstructions(glossary),
+      `Transcript: """${text}"""`
+    ].filter(Boolean).join('\n');
+
+    let lastError;
+    for (let attempt = 1; attempt <= SUMMARY_MAX_ATTEMPTS; attempt++) {
+      try {
+        const result = await this.model.generateContent(prompt);
+        const response = await result.response;
+        return parseSummary(response.text());
+      } catch (error) {
+        lastError = error;
+        console.warn(`Summary attempt ${attempt}/${SUMMARY_MAX_ATTEMPTS} failed: ${error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Generate glossary and terminology consistency
+   * @param {string[]} transcripts - Array of transcript texts
+   * @returns {Promise<Object>} Glossary object
+   */
+  async generateGlossary(transcripts) {
+    try {
+      const conversationText = transcripts.join(' ');
+
+      const prompt = `Extract technical terms, acronyms, and important terminology from this conversation. Return as a JSON object where keys are terms and values are definitions or explanations: "${conversationText}"`;
+
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      const glossary = parseGlossary(response.text());
+
+      if (Object.keys(glossary).length === 0) {
+        console.warn('Failed to parse glossary JSON');
+      }
+      return glossary;
+    } catch (error) {
+      console.error('Glossary generation error:', error);
+      throw new Error('Failed to generate glossary');
+    }
+  }
+
+  /**
+   * Clarify ambiguous content using context
+   * @param {string} text - Text to clarify
+   * @param {string[]} context - Surrounding transcript lines in order, including the text itself
+   * @param {string} targetLanguage - Language to explain in (optional)
+   * @param {Object[]} glossary - Session glossary terms with their meanings (optional)
+   * @returns {Promise<string>} Clarified text
+   */
+  async clarifyContent(text, context, targetLanguage = 'en', glossary = []) {
+    try {
+      const prompt = [
+        `An attendee listening in a second language did not follow one line of a live conference transcript. In ${targetLanguage}, explain what the line means: spell out idioms, jargon, acronyms and references to earlier remarks. Reply with 2-4 plain sentences and no preamble.`,
+        glossaryReference(glossary),
+        `Transcript:\n${context.join('\n')}`,
+        `Line to explain: "${text}"`
+      ].filter(Boolean).join('\n\n');
+
+      const result = await this.model.generateContent(prompt);
+      const response = await result.response;
+      const clarifiedText = response.text().trim();
+
+      return clarifiedText;
+    } catch (error) {
+      console.error('Content clarification error:', error);
+      throw new Error('Failed to clarify content');
+    }
+  }
+}
+
+module.exports = GeminiProvider;
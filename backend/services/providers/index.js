@@ -0,0 +1,28 @@
+// services/providers/index.js - AI provider registry and selection
+
+const GeminiProvider = require('./geminiProvider');
+const LocalProvider = require('./localProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  local: LocalProvider
+};
+
+/**
+ * Create the configured AI provider
+ * Uses AI_PROVIDER when set, otherwise Gemini when an API key is present and the local provider without one
+ * @param {string} name - Provider name (optional)
+ * @returns {Object} Provider instance
+ */
+const createProvider = (name = process.env.AI_PROVIDER) => {
+  const providerName = name || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider();
+};
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,104 @@
+// services/providers/localProvider.js - Offline deterministic AI provider for development and tests
+
+const { applyGlossary } = require('../glossaryFormat');
+
+// Phrases that usually introduce a follow-up task in meeting speech
+const ACTION_CUES = /\b(will|need to|needs to|should|must|follow up|action item|let's|todo)\b/i;
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 10);
+
+const unique = (items) => [...new Set(items)];
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * Produce a placeholder transcription; no audio is actually decoded
+   * @param {Buffer} audioBuffer - Audio data buffer
+   * @param {string} language - Language code
+   * @returns {Promise<string>} Deterministic transcription text
+   */
+  async transcribeAudio(audioBuffer, language = 'en') {
+    const size = audioBuffer ? audioBuffer.length : 0;
+    return `[${language}] Audio segment of ${size} bytes`;
+  }
+
+  /**
+   * Tag the text with the target language instead of translating it
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @param {Object[]} glossary - Glossary terms; fixed target terms are substituted (optional)
+   * @returns {Promise<string>} Tagged text, or the input when no translation is needed
+   */
+  async translateText(text, targetLanguage, sourceLanguage = 'auto', glossary = []) {
+    if (targetLanguage === sourceLanguage) {
+      return text;
+    }
+    return `[${targetLanguage}] ${applyGlossary(text, glossary, targetLanguage)}`;
+  }
+
+  /**
+   * Build an extractive summary from the transcript sentences
+   * @param {string[]} transcripts - Array of transcript texts
+   * @param {string} summaryType - Type of summary ('rolling', 'final', 'key_points')
+   * @returns {Promise<Object>} Summary object with content, keyPoints, actionItems
+   */
+  async generateSummary(transcripts, summaryType = 'rolling') {
+    const sentences = unique(splitSentences(transcripts.join(' ')));
+    const keyPoints = sentences.slice(0, 5);
+    const actionItems = sentences.filter(sentence => ACTION_CUES.test(sentence)).slice(0, 5);
+
+    if (summaryType === 'key_points') {
+      return { content: keyPoints.join(' '), keyPoints, actionItems: [] };
+    }
+
+    if (summaryType === 'final') {
+      const content = unique([...sentences.slice(0, 2), ...sentences.slice(-2)]).join(' ');
+      return { content, keyPoints, actionItems };
+    }
+
+    return { content: sentences.slice(-3).join(' '), keyPoints: [], actionItems: [] };
+  }
+
+  /**
+   * Collect acronyms and capitalised multi-word terms
+   * @param {string[]} transcripts - Array of transcript texts
+   * @returns {Promise<Object>} Glossary object mapping terms to descriptions
+   */
+  async generateGlossary(transcripts) {
+    const text = transcripts.join(' ');
+    const acronyms = text.match(/\b[A-Z]{2,}\b/g) || [];
+    const names = text.match(/\b[A-Z][a-z]+(?: [A-Z][a-z]+)+\b/g) || [];
+
+    return unique([...acronyms, ...names]).sort().reduce((glossary, term) => {
+      const occurrences = text.split(term).length - 1;
+      glossary[term] = `Term mentioned ${occurrences} time${occurrences === 1 ? '' : 's'} in this session`;
+      return glossary;
+    }, {});
+  }
+
+  /**
+   * Restate the text alongside the most recent context sentence
+   * @param {string} text - Text to clarify
+   * @param {string[]} context - Surrounding transcript lines in order, including the text itself
+   * @param {string} targetLanguage - Language to explain in; tagged like translations (optional)
+   * @returns {Promise<string>} Clarified text
+   */
+  async clarifyContent(text, context = [], targetLanguage = 'en') {
+    const index = context.indexOf(text);
+    const before = index === -1 ? context : context.slice(0, index);
+    const previous = splitSentences(before.join(' ')).pop();
+    const clarification = previous
+      ? `"${text}" was said following: "${previous}"`
+      : `"${text}" has no surrounding context to clarify it with.`;
+    return targetLanguage === 'en' ? clarification : `[${targetLanguage}] ${clarification}`;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,179 @@
+// services/questionService.js - Q&A queue with upvotes and moderator ordering
+
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const { ServiceError } = require('./serviceError');
+
+const QUESTION_STATUSES = ['open', 'answered', 'dismissed'];
+const SORT_ORDERS = {
+  votes: 'q.is_pinned DESC, votes DESC, q.created_at ASC',
+  recent: 'q.is_pinned DESC, q.created_at DESC'
+};
+const MAX_QUESTION_LENGTH = 500;
+
+// $2 is the viewing user, used for the hasVoted flag
+const QUESTION_SELECT = `
+  SELECT
+    q.id, q.session_id AS "sessionId", q.user_id AS "userId", q.user_name AS "userName",
+    q.text, q.status, q.is_pinned AS pinned, q.answered_at AS "answeredAt", q.created_at AS "createdAt",
+    COUNT(qv.user_id)::int AS votes,
+    COALESCE(BOOL_OR(qv.user_id = $2), FALSE) AS "hasVoted"
+  FROM questions q
+  LEFT JOIN question_votes qv ON qv.question_id = q.id
+`;
+
+class QuestionService {
+  /**
+   * List a session's questions, pinned first
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Viewing user ID
+   * @param {Object} options - { sort: 'votes'|'recent', includeDismissed }
+   * @returns {Promise<Object[]>} Questions with vote counts
+   */
+  async listQuestions(sessionId, userId, { sort = 'votes', includeDismissed = false } = {}) {
+    const orderBy = SORT_ORDERS[sort] || SORT_ORDERS.votes;
+
+    const result = await pool.query(`
+      ${QUESTION_SELECT}
+      WHERE q.session_id = $1 ${includeDismissed ? '' : "AND q.status <> 'dismissed'"}
+      GROUP BY q.id
+      ORDER BY ${orderBy}
+    `, [sessionId, userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Load one question as seen by a user
+   * @param {number} questionId - Question ID
+   * @param {number} userId - Viewing user ID
+   * @returns {Promise<Object|null>} Question
+   */
+  async getQuestion(questionId, userId) {
+    const result = await pool.query(`
+      ${QUESTION_SELECT}
+      WHERE q.id = $1
+      GROUP BY q.id
+    `, [questionId, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  // Broadcast a question without the per-user hasVoted flag
+  broadcast(event, question) {
+    const { hasVoted, ...shared } = question;
+    io.to(String(question.sessionId)).emit(event, shared);
+  }
+
+  /**
+   * Ask a question in a session
+   * @param {number} sessionId - Session ID
+   * @param {Object} user - Asking user ({ userId, name })
+   * @param {string} text - Question text
+   * @returns {Promise<Object>} Created question
+   */
+  async askQuestion(sessionId, user, text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed || trimmed.length > MAX_QUESTION_LENGTH) {
+      throw new ServiceError(`Question must be between 1 and ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    const membership = await sessionAccessService.getMembership(sessionId, user.userId);
+    if (!membership) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    if (membership.muted) {
+      throw new ServiceError('You have been muted in this session', 403);
+    }
+
+    const inserted = await pool.query(`
+      INSERT INTO questions (session_id, user_id, user_name, text, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING id
+    `, [sessionId, user.userId, user.name, trimmed]);
+
+    const question = await this.getQuestion(inserted.rows[0].id, user.userId);
+    this.broadcast('question-created', question);
+    return question;
+  }
+
+  /**
+   * Add or withdraw the user's upvote; each user has at most one vote per question
+   * @param {number} questionId - Question ID
+   * @param {number} userId - Voting user ID
+   * @param {boolean} upvote - True to vote, false to withdraw
+   * @returns {Promise<Object>} Updated question
+   */
+  async vote(questionId, userId, upvote = true) {
+    const question = await this.getQuestion(questionId, userId);
+    if (!question) {
+      throw new ServiceError('Question not found', 404);
+    }
+
+    const role = await sessionAccessService.getSessionRole(question.sessionId, userId);
+    if (!role) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    if (question.status !== 'open') {
+      throw new ServiceError('Only open questions can be voted on', 409);
+    }
+
+    if (upvote) {
+      await pool.query(`
+        INSERT INTO question_votes (question_id, user_id, created_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (question_id, user_id) DO NOTHING
+      `, [questionId, userId]);
+    } else {
+      await pool.query('DELETE FROM question_votes WHERE question_id = $1 AND user_id = $2', [questionId, userId]);
+    }
+
+    const updated = await this.getQuestion(questionId, userId);
+    this.broadcast('question-updated', updated);
+    return updated;
+  }
+
+  /**
+   * Change a question's status or pin state (hosts and moderators)
+   * @param {number} questionId - Question ID
+   * @param {number} userId - Acting user ID
+   * @param {Object} changes - { status, pinned }
+   * @returns {Promise<Object>} Updated question
+   */
+  async moderate(questionId, userId, { status, pinned } = {}) {
+    if (status !== undefined && !QUESTION_STATUSES.includes(status)) {
+      throw new ServiceError(`status must be one of: ${QUESTION_STATUSES.join(', ')}`);
+    }
+    if (status === undefined && pinned === undefined) {
+      throw new ServiceError('Nothing to update: provide status or pinned');
+    }
+
+    const question = await this.getQuestion(questionId, userId);
+    if (!question) {
+      throw new ServiceError('Question not found', 404);
+    }
+
+    const role = await sessionAccessService.getSessionRole(question.sessionId, userId);
+    if (!sessionAccessService.publisherRoles.includes(role)) {
+      throw new ServiceError('Only hosts and moderators can manage questions', 403);
+    }
+
+    await pool.query(`
+      UPDATE questions SET
+        status = COALESCE($2, status),
+        is_pinned = COALESCE($3, is_pinned),
+        answered_at = CASE
+          WHEN $2 = 'answered' THEN NOW()
+          WHEN $2 IS NOT NULL THEN NULL
+          ELSE answered_at
+        END
+      WHERE id = $1
+    `, [questionId, status ?? null, pinned === undefined ? null : Boolean(pinned)]);
+
+    const updated = await this.getQuestion(questionId, userId);
+    this.broadcast('question-updated', updated);
+    return updated;
+  }
+}
+
+module.exports = new QuestionService();
@@ -0,0 +1,195 @@
+// services/rateLimitService.js - Token-bucket rate limits for AI-backed actions, per user and per session
+
+const { pool } = require('../server');
+const { RateLimitError } = require('./serviceError');
+
+// Every limited route has a bucket per user and one per session: [capacity, seconds to refill it completely]
+const ROUTE_LIMITS = {
+  captions: { user: [120, 60], session: [600, 60] },
+  transcription: { user: [20, 60], session: [60, 60] },
+  summaries: { user: [3, 60], session: [10, 60] },
+  explain: { user: [20, 60], session: [100, 60] },
+  glossary: { user: [3, 60], session: [5, 60] }
+};
+
+// Idle buckets refill within a minute, so older ones can be dropped
+const MEMORY_SWEEP_MS = 60 * 1000;
+const POSTGRES_SWEEP_MS = 10 * 60 * 1000;
+
+// Buckets in this process; a bucket is forgotten once it would have refilled completely
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.buckets = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Refill a bucket for the time since it was last used and take a token if one is left
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size
+   * @param {number} refillPerSecond - Tokens added per second
+   * @returns {Promise<Object>} { allowed, tokens } with the tokens left afterwards
+   */
+  async take(key, capacity, refillPerSecond) {
+    const now = Date.now();
+    this.sweep(now);
+
+    const bucket = this.buckets.get(key);
+    const available = bucket
+      ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+      : capacity;
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+
+    this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + ((capacity - tokens) / refillPerSecond) * 1000 });
+    return { allowed, tokens };
+  }
+
+  /**
+   * Drop buckets that are full again, at most once a minute
+   * @param {number} now - Current time in ms
+   */
+  sweep(now) {
+    if (now - this.lastSweep < MEMORY_SWEEP_MS) return;
+    this.lastSweep = now;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+  }
+}
+
+// Buckets in rate_limit_buckets, shared by every server instance; one statement refills and takes
+// under the row lock, so concurrent requests cannot both take the last token
+class PostgresStore {
+  constructor() {
+    this.name = 'postgres';
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Refill a bucket for the time since it was last used and take a token if one is left
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size
+   * @param {number} refillPerSecond - Tokens added per second
+   * @returns {Promise<Object>} { allowed, tokens } with the tokens left afterwards
+   */
+  async take(key, capacity, refillPerSecond) {
+    this.sweep();
+
+    const result = await pool.query(`
+      INSERT INTO rate_limit_buckets AS b (bucket_key, tokens, allowed, updated_at)
+      VALUES ($1, $2::float8 - 1, TRUE, NOW())
+      ON CONFLICT (bucket_key) DO UPDATE SET
+        allowed = LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM NOW() - b.updated_at)::float8 * $3::float8) >= 1,
+        tokens = LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM NOW() - b.updated_at)::float8 * $3::float8)
+          - CASE WHEN LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM NOW() - b.updated_at)::float8 * $3::float8) >= 1
+              THEN 1 ELSE 0 END,
+        updated_at = NOW()
+      RETURNING tokens, allowed
+    `, [key, capacity, refillPerSecond]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Delete buckets idle for an hour, at most every ten minutes; runs in the background
+   */
+  sweep() {
+    const now = Date.now();
+    if (now - this.lastSweep < POSTGRES_SWEEP_MS) return;
+    this.lastSweep = now;
+
+    pool.query("DELETE FROM rate_limit_buckets WHERE updated_at < NOW() - INTERVAL '1 hour'").catch((error) => {
+      console.error('Error sweeping rate limit buckets:', error);
+    });
+  }
+}
+
+const RATE_LIMIT_STORES = {
+  memory: MemoryStore,
+  postgres: PostgresStore
+};
+
+/**
+ * Create the configured bucket store (RATE_LIMIT_STORE, default memory)
+ * @param {string} name - Store name (optional)
+ * @returns {Object} Store exposing take(key, capacity, refillPerSecond)
+ */
+const createStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  const Store = RATE_LIMIT_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(RATE_LIMIT_STORES).join(', ')}`);
+  }
+  return new Store();
+};
+
+class RateLimitService {
+  constructor(store) {
+    this.store = store;
+    this.limits = ROUTE_LIMITS;
+    this.resetStats();
+  }
+
+  /**
+   * Zero the allowed/rejected counters
+   */
+  resetStats() {
+    this.stats = { allowed: 0, rejected: {}, errors: 0, since: new Date().toISOString() };
+  }
+
+  /**
+   * Take a token from the user's and the session's bucket for a route
+   * Call after the user is known to belong to the session, so outsiders cannot drain a session's bucket.
+   * Store failures let the request through rather than taking the feature down.
+   * @param {string} route - Key of ROUTE_LIMITS
+   * @param {Object} subject - { userId, sessionId }; a missing ID skips that bucket
+   * @throws {RateLimitError} When a bucket is empty, with the seconds until it has a token again
+   */
+  async consume(route, { userId, sessionId } = {}) {
+    const limits = this.limits[route];
+    if (!limits) {
+      throw new Error(`Unknown rate-limited route "${route}"`);
+    }
+
+    for (const [scope, id] of [['user', userId], ['session', sessionId]]) {
+      if (id === undefined || id === null) continue;
+      const [capacity, seconds] = limits[scope];
+      const refillPerSecond = capacity / seconds;
+
+      let bucket;
+      try {
+        bucket = await this.store.take(`${route}:${scope}:${id}`, capacity, refillPerSecond);
+      } catch (error) {
+        this.stats.errors++;
+        console.error('Error checking rate limit:', error);
+        continue;
+      }
+
+      if (!bucket.allowed) {
+        const counter = `${route}:${scope}`;
+        this.stats.rejected[counter] = (this.stats.rejected[counter] || 0) + 1;
+        const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerSecond);
+        throw new RateLimitError(
+          `${scope === 'user' ? 'You are' : 'This session is'} making too many ${route} requests. Try again in ${retryAfter} seconds.`,
+          retryAfter
+        );
+      }
+    }
+    this.stats.allowed++;
+  }
+
+  /**
+   * Configured limits and counters for the admin API
+   * @returns {Object} { store, limits, allowed, rejected, errors, since }
+   */
+  getStats() {
+    const limits = Object.fromEntries(Object.entries(this.limits).map(([route, scopes]) => [
+      route,
+      Object.fromEntries(Object.entries(scopes).map(([scope, [capacity, seconds]]) => [scope, { capacity, seconds }]))
+    ]));
+    return { store: this.store.name, limits, ...this.stats };
+  }
+}
+
+module.exports = new RateLimitService(createStore());
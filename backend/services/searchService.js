@@ -0,0 +1,120 @@
+// services/searchService.js - Full-text search over transcripts and summaries
+
+const { pool } = require('../server');
+const { ServiceError } = require('./serviceError');
+
+const SEARCH_TYPES = ['all', 'transcripts', 'summaries'];
+const MAX_RESULTS = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Control characters never appear in captions, so they can mark highlights safely
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Every configuration text_search_config() in schema.sql can return. The query is parsed once per
+// configuration up front, so the right side of @@ never depends on the row and the GIN indexes apply.
+const SEARCH_CONFIGS = ['english', 'spanish', 'french', 'german', 'italian', 'portuguese', 'russian', 'dutch', 'swedish', 'simple'];
+
+// Sessions the user hosts or has joined; $1 is the user ID
+const ACCESSIBLE_SESSIONS = `
+  SELECT id FROM sessions WHERE host_id = $1
+  UNION
+  SELECT session_id FROM session_participants WHERE user_id = $1
+`;
+
+/**
+ * Split a ts_headline snippet into plain-text parts so clients can highlight without rendering HTML
+ * @param {string} headline - Snippet with highlight markers
+ * @returns {Object[]} Parts ({ text, match })
+ */
+const toSnippet = (headline) => headline
+  .split(HIGHLIGHT_START)
+  .flatMap((chunk, index) => {
+    if (index === 0) return [{ text: chunk, match: false }];
+    const [matched, rest = ''] = chunk.split(HIGHLIGHT_END);
+    return [{ text: matched, match: true }, { text: rest, match: false }];
+  })
+  .filter(part => part.text);
+
+class SearchService {
+  /**
+   * Search transcripts and summaries in the user's sessions
+   * Each row is matched with the text search configuration of its own language (summaries use the
+   * session language they were written in)
+   * @param {number} userId - Searching user ID
+   * @param {Object} options - { q, sessionId, type, limit, offset }
+   * @returns {Promise<Object>} { results, hasMore }
+   */
+  async search(userId, { q, sessionId, type = 'all', limit = 20, offset = 0 } = {}) {
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      throw new ServiceError(`q must be between 1 and ${MAX_QUERY_LENGTH} characters`);
+    }
+    if (!SEARCH_TYPES.includes(type)) {
+      throw new ServiceError(`type must be one of: ${SEARCH_TYPES.join(', ')}`);
+    }
+
+    if (sessionId !== undefined && !/^\d+$/.test(String(sessionId))) {
+      throw new ServiceError('sessionId must be a session ID');
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_RESULTS);
+    const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const params = [userId, query, sessionId || null, pageSize + 1, pageOffset, HEADLINE_OPTIONS, SEARCH_CONFIGS];
+
+    const transcriptSearch = `
+      SELECT 'transcript' AS type, t.id, t.session_id AS "sessionId", s.title AS "sessionTitle",
+        t.seq, t.timestamp, t.speaker, t.language,
+        ts_headline(q.config, t.text, q.query, $6) AS headline,
+        ts_rank(to_tsvector(q.config, t.text), q.query) AS rank
+      FROM search_queries q
+      JOIN transcripts t ON to_tsvector(text_search_config(t.language), t.text) @@ q.query
+        AND text_search_config(t.language) = q.config
+      JOIN sessions s ON s.id = t.session_id
+      WHERE t.session_id IN (${ACCESSIBLE_SESSIONS})
+        AND t.merged_into IS NULL
+        AND ($3::int IS NULL OR t.session_id = $3)
+    `;
+
+    const summarySearch = `
+      SELECT 'summary' AS type, sm.id, sm.session_id AS "sessionId", s.title AS "sessionTitle",
+        NULL::int AS seq, sm.created_at AS timestamp, NULL AS speaker, sm.language,
+        ts_headline(q.config, sm.content, q.query, $6) AS headline,
+        ts_rank(to_tsvector(q.config, sm.content), q.query) AS rank
+      FROM search_queries q
+      JOIN summaries sm ON to_tsvector(text_search_config(sm.language), sm.content) @@ q.query
+        AND text_search_config(sm.language) = q.config
+      JOIN sessions s ON s.id = sm.session_id
+      WHERE sm.session_id IN (${ACCESSIBLE_SESSIONS})
+        AND ($3::int IS NULL OR sm.session_id = $3)
+    `;
+
+    const searches = [];
+    if (type !== 'summaries') searches.push(transcriptSearch);
+    if (type !== 'transcripts') searches.push(summarySearch);
+
+    const result = await pool.query(`
+      WITH search_queries AS MATERIALIZED (
+        SELECT config, websearch_to_tsquery(config, $2) AS query
+        FROM unnest($7::regconfig[]) AS config
+      )
+      ${searches.join(' UNION ALL ')}
+      ORDER BY rank DESC, timestamp DESC
+      LIMIT $4 OFFSET $5
+    `, params);
+
+    const results = result.rows.slice(0, pageSize).map(({ headline, rank, ...row }) => ({
+      ...row,
+      snippet: toSnippet(headline),
+      rank: Number(rank),
+      link: row.seq === null
+        ? `/?session=${row.sessionId}&tab=summary`
+        : `/?session=${row.sessionId}&seq=${row.seq}`
+    }));
+
+    return { results, hasMore: result.rows.length > pageSize };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,33 @@
+// services/serviceError.js - Error type for expected service failures
+
+// Carries the HTTP status a route should answer with; anything else is treated as a 500
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+// A rate limit or quota was hit; retryAfter is in seconds
+class RateLimitError extends ServiceError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  }
+}
+
+// Answer a failed service action with its status, or a 500 for unexpected errors
+const sendServiceError = (res, error, context) => {
+  if (error instanceof ServiceError) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+module.exports = { ServiceError, RateLimitError, sendServiceError };
@@ -0,0 +1,110 @@
+// services/sessionAccessService.js - Session membership and role lookups
+
+const { io, pool } = require('../server');
+
+// Roles allowed to publish captions and summaries into a session
+const PUBLISHER_ROLES = ['host', 'moderator'];
+
+// Higher rank can moderate lower rank
+const ROLE_RANK = { participant: 1, moderator: 2, host: 3 };
+
+class SessionAccessService {
+  constructor() {
+    this.publisherRoles = PUBLISHER_ROLES;
+  }
+
+  /**
+   * Resolve a user's membership in a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} { role, muted, editor, status } or null without access
+   */
+  async getMembership(sessionId, userId) {
+    const membershipQuery = `
+      SELECT
+        CASE WHEN s.host_id = $2 THEN 'host' ELSE sp.role END AS role,
+        COALESCE(sp.is_muted, FALSE) AND s.host_id <> $2 AS muted,
+        s.host_id = $2 OR COALESCE(sp.is_editor, FALSE) AS editor,
+        s.status
+      FROM sessions s
+      LEFT JOIN session_participants sp ON sp.session_id = s.id AND sp.user_id = $2
+      WHERE s.id = $1 AND (s.host_id = $2 OR sp.user_id IS NOT NULL)
+    `;
+
+    const result = await pool.query(membershipQuery, [sessionId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve a user's role in a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   * @returns {Promise<string|null>} 'host', 'moderator', 'participant', or null without access
+   */
+  async getSessionRole(sessionId, userId) {
+    const membership = await this.getMembership(sessionId, userId);
+    return membership ? membership.role : null;
+  }
+
+  /**
+   * Check whether one session role may moderate another
+   * @param {string} actorRole - Role of the acting user
+   * @param {string} targetRole - Role of the affected user
+   * @returns {boolean} True when the actor ranks strictly higher
+   */
+  outranks(actorRole, targetRole) {
+    return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+  }
+
+  /**
+   * Room each socket of a user joins on connect, for events addressed to the user in any session
+   * @param {number} userId - User ID
+   * @returns {string} Room name
+   */
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Leave the session and translation rooms a socket has joined, keeping its own and its user room
+   * @param {Object} socket - Socket.IO socket
+   */
+  leaveSessionRooms(socket) {
+    const kept = [socket.id, this.userRoom(socket.data.user.userId)];
+    [...socket.rooms].forEach((room) => {
+      if (!kept.includes(room)) socket.leave(room);
+    });
+  }
+
+  /**
+   * Tell the clients whose session list shows a session that it changed: the host, participants and
+   * waitlisted users through their user rooms, plus everyone when the session is (or was) listed as
+   * open to join. Invite-only sessions never reach users outside them.
+   * @param {number} sessionId - Session ID
+   * @param {Object} options - { wasListed } whether everyone's list showed it before the change
+   */
+  async notifySessionsChanged(sessionId, { wasListed = false } = {}) {
+    const id = Number(sessionId);
+    const result = await pool.query(`
+      SELECT s.host_id AS "hostId", s.status = 'active' AND s.visibility <> 'invite' AS listed,
+        ARRAY(
+          SELECT user_id FROM session_participants WHERE session_id = s.id
+          UNION SELECT user_id FROM session_waitlist WHERE session_id = s.id
+        ) AS "memberIds"
+      FROM sessions s
+      WHERE s.id = $1
+    `, [sessionId]);
+    if (result.rows.length === 0) return;
+
+    const { hostId, listed, memberIds } = result.rows[0];
+    if (listed || wasListed) {
+      io.emit('sessions-changed', { sessionId: id });
+      return;
+    }
+
+    const rooms = [hostId, ...memberIds].map(userId => this.userRoom(userId));
+    io.to([String(sessionId), ...rooms]).emit('sessions-changed', { sessionId: id });
+  }
+}
+
+module.exports = new SessionAccessService();
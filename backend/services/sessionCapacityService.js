@@ -0,0 +1,287 @@
+// services/sessionCapacityService.js - Participant cap, ordered waitlist and automatic promotion
+
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const { ServiceError } = require('./serviceError');
+
+const MAX_CAPACITY = 100000;
+
+// Hosts are never counted against max_participants
+const COUNTS_QUERY = `
+  SELECT
+    s.max_participants AS "maxParticipants",
+    (SELECT COUNT(*)::int FROM session_participants WHERE session_id = s.id) AS "participantCount",
+    (SELECT COUNT(*)::int FROM session_waitlist WHERE session_id = s.id) AS "waitlistCount"
+  FROM sessions s
+  WHERE s.id = $1
+`;
+
+class SessionCapacityService {
+  /**
+   * Run work in a transaction holding the session row lock
+   * Joins, leaves and cap changes for one session are serialized on this lock, so two
+   * concurrent joins can never both take the last seat
+   * @param {number} sessionId - Session ID
+   * @param {Function} work - async (client, session) => result
+   * @returns {Promise<*>} Result of work
+   */
+  async withSessionLock(sessionId, work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const session = await client.query(
+        'SELECT id, max_participants FROM sessions WHERE id = $1 FOR UPDATE',
+        [sessionId]
+      );
+      if (session.rows.length === 0) {
+        throw new ServiceError('Session not found', 404);
+      }
+      const result = await work(client, session.rows[0]);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move the longest-waiting users into free seats; call with the session lock held
+   * @param {Object} client - Transaction client
+   * @param {Object} session - Locked session row ({ id, max_participants })
+   * @returns {Promise<Object[]>} Promoted users ({ userId, role })
+   */
+  async fillSeats(client, session) {
+    const count = await client.query(
+      'SELECT COUNT(*)::int AS count FROM session_participants WHERE session_id = $1',
+      [session.id]
+    );
+    const free = session.max_participants - count.rows[0].count;
+    if (free <= 0) return [];
+
+    const promoted = await client.query(`
+      DELETE FROM session_waitlist
+      WHERE id IN (
+        SELECT id FROM session_waitlist WHERE session_id = $1 ORDER BY id LIMIT $2
+      )
+      RETURNING user_id AS "userId", role
+    `, [session.id, free]);
+
+    for (const { userId, role } of promoted.rows) {
+      await client.query(`
+        INSERT INTO session_participants (session_id, user_id, role, joined_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (session_id, user_id) DO NOTHING
+      `, [session.id, userId, role]);
+    }
+    return promoted.rows;
+  }
+
+  /**
+   * Seat a user, or put them at the back of the waitlist when the session is full
+   * Waiting users are seated first, so nobody skips the queue. Membership is checked again under
+   * the lock, so concurrent joins by the same user admit them once.
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Joining user ID
+   * @param {Object} options - { redeem } async (client) => { role } consuming an invite in the
+   *   admission transaction; without it the user joins as a participant
+   * @returns {Promise<Object>} { role, status: 'joined'|'waitlisted', position }
+   */
+  async admit(sessionId, userId, { redeem = null } = {}) {
+    const { admission, promoted } = await this.withSessionLock(sessionId, async (client, session) => {
+      const seat = await client.query(
+        'SELECT id FROM session_participants WHERE session_id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      if (seat.rows.length > 0) {
+        throw new ServiceError('Already joined this session', 409);
+      }
+      const waiting = await client.query(
+        'SELECT role FROM session_waitlist WHERE session_id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      if (waiting.rows.length > 0) {
+        const position = await this.getWaitlistPosition(sessionId, userId, client);
+        return { admission: { role: waiting.rows[0].role, status: 'waitlisted', position }, promoted: [] };
+      }
+
+      const role = redeem ? (await redeem(client)).role : 'participant';
+      const seated = await this.fillSeats(client, session);
+      const count = await client.query(
+        'SELECT COUNT(*)::int AS count FROM session_participants WHERE session_id = $1',
+        [sessionId]
+      );
+
+      if (count.rows[0].count < session.max_participants) {
+        await client.query(`
+          INSERT INTO session_participants (session_id, user_id, role, joined_at)
+          VALUES ($1, $2, $3, NOW())
+          ON CONFLICT (session_id, user_id) DO NOTHING
+        `, [sessionId, userId, role]);
+        return { admission: { role, status: 'joined', position: null }, promoted: seated };
+      }
+
+      await client.query(`
+        INSERT INTO session_waitlist (session_id, user_id, role, created_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (session_id, user_id) DO NOTHING
+      `, [sessionId, userId, role]);
+      const position = await this.getWaitlistPosition(sessionId, userId, client);
+      return { admission: { role, status: 'waitlisted', position }, promoted: seated };
+    });
+
+    await this.announce(sessionId, promoted);
+    return admission;
+  }
+
+  /**
+   * Remove a user's seat or waitlist entry and hand any freed seat to the next in line
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Leaving user ID
+   * @returns {Promise<Object>} { left: 'participant'|'waitlist'|null }
+   */
+  async leave(sessionId, userId) {
+    const { left, promoted } = await this.withSessionLock(sessionId, async (client, session) => {
+      const seat = await client.query(
+        'DELETE FROM session_participants WHERE session_id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      const waiting = await client.query(
+        'DELETE FROM session_waitlist WHERE session_id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      const seated = await this.fillSeats(client, session);
+      return {
+        left: seat.rowCount > 0 ? 'participant' : (waiting.rowCount > 0 ? 'waitlist' : null),
+        promoted: seated
+      };
+    });
+
+    await this.announce(sessionId, promoted);
+    return { left };
+  }
+
+  /**
+   * Seat waiting users after a seat was freed elsewhere (e.g. a moderator removed someone)
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object[]>} Promoted users
+   */
+  async promoteWaitlisted(sessionId) {
+    const promoted = await this.withSessionLock(sessionId, (client, session) => this.fillSeats(client, session));
+    await this.announce(sessionId, promoted);
+    return promoted;
+  }
+
+  /**
+   * Change the participant cap (host only); raising it seats waiting users immediately
+   * Lowering it never removes anyone already seated
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {number} maxParticipants - New cap
+   * @returns {Promise<Object>} Capacity ({ maxParticipants, participantCount, waitlistCount })
+   */
+  async setCapacity(sessionId, actorId, maxParticipants) {
+    const cap = Number(maxParticipants);
+    if (!Number.isInteger(cap) || cap < 1 || cap > MAX_CAPACITY) {
+      throw new ServiceError(`max_participants must be an integer between 1 and ${MAX_CAPACITY}`);
+    }
+
+    const role = await sessionAccessService.getSessionRole(sessionId, actorId);
+    if (role !== 'host') {
+      throw new ServiceError('Only session host can change capacity', 403);
+    }
+
+    const promoted = await this.withSessionLock(sessionId, async (client, session) => {
+      await client.query('UPDATE sessions SET max_participants = $2, updated_at = NOW() WHERE id = $1', [sessionId, cap]);
+      return this.fillSeats(client, { ...session, max_participants: cap });
+    });
+
+    return this.announce(sessionId, promoted);
+  }
+
+  /**
+   * Current counts, plus the caller's waitlist position, and the full queue for hosts
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Viewing user ID
+   * @returns {Promise<Object>} { maxParticipants, participantCount, waitlistCount, position, waitlist? }
+   */
+  async getCapacity(sessionId, userId) {
+    const counts = await pool.query(COUNTS_QUERY, [sessionId]);
+    if (counts.rows.length === 0) {
+      throw new ServiceError('Session not found', 404);
+    }
+
+    const capacity = { ...counts.rows[0], position: await this.getWaitlistPosition(sessionId, userId) };
+
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (role === 'host') {
+      const waitlist = await pool.query(`
+        SELECT w.user_id AS "userId", u.name, w.role, w.created_at AS "createdAt",
+          ROW_NUMBER() OVER (ORDER BY w.id)::int AS position
+        FROM session_waitlist w
+        JOIN users u ON u.id = w.user_id
+        WHERE w.session_id = $1
+        ORDER BY w.id
+      `, [sessionId]);
+      capacity.waitlist = waitlist.rows;
+    }
+    return capacity;
+  }
+
+  /**
+   * 1-based position of a user on a session's waitlist
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   * @param {Object} client - Query client (defaults to the pool)
+   * @returns {Promise<number|null>} Position, or null when not waiting
+   */
+  async getWaitlistPosition(sessionId, userId, client = pool) {
+    const result = await client.query(`
+      SELECT position FROM (
+        SELECT user_id, ROW_NUMBER() OVER (ORDER BY id)::int AS position
+        FROM session_waitlist WHERE session_id = $1
+      ) queue
+      WHERE user_id = $2
+    `, [sessionId, userId]);
+    return result.rows.length > 0 ? result.rows[0].position : null;
+  }
+
+  /**
+   * Tell promoted users they are in, tell everyone still waiting their new position, and
+   * send the session's counts to its room and to whoever lists the session
+   * @param {number} sessionId - Session ID
+   * @param {Object[]} promoted - Promoted users ({ userId, role })
+   * @returns {Promise<Object>} Capacity counts
+   */
+  async announce(sessionId, promoted = []) {
+    const id = Number(sessionId);
+    const counts = await pool.query(COUNTS_QUERY, [sessionId]);
+    const capacity = counts.rows[0];
+
+    const queue = await pool.query(
+      'SELECT user_id AS "userId" FROM session_waitlist WHERE session_id = $1 ORDER BY id',
+      [sessionId]
+    );
+    const positions = new Map(queue.rows.map(({ userId }, index) => [userId, index + 1]));
+    const promotedRoles = new Map(promoted.map(({ userId, role }) => [userId, role]));
+
+    // Waiting users are not in the session room, so reach them through their user rooms
+    promotedRoles.forEach((role, userId) => {
+      io.to(sessionAccessService.userRoom(userId)).emit('waitlist-promoted', { sessionId: id, role });
+    });
+    positions.forEach((position, userId) => {
+      if (promotedRoles.has(userId)) return;
+      io.to(sessionAccessService.userRoom(userId)).emit('waitlist-position', {
+        sessionId: id, position, waitlistCount: positions.size
+      });
+    });
+
+    io.to(String(sessionId)).emit('session-capacity', { sessionId: id, ...capacity });
+    await sessionAccessService.notifySessionsChanged(sessionId);
+    return capacity;
+  }
+}
+
+module.exports = new SessionCapacityService();
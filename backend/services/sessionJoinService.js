@@ -0,0 +1,275 @@
+// services/sessionJoinService.js - Session visibility, invite links, access codes and joining
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const sessionCapacityService = require('./sessionCapacityService');
+const { ServiceError } = require('./serviceError');
+
+// public: anyone signed in can join; invite: invite link only; code: access code or invite link
+const VISIBILITIES = ['public', 'invite', 'code'];
+const INVITE_ROLES = ['participant', 'moderator'];
+const MIN_CODE_LENGTH = 4;
+const MAX_CODE_LENGTH = 64;
+const MAX_INVITE_HOURS = 24 * 90;
+
+const INVITE_COLUMNS = `
+  id, session_id AS "sessionId", role, max_uses AS "maxUses", use_count AS "useCount",
+  expires_at AS "expiresAt", revoked_at AS "revokedAt", created_at AS "createdAt"
+`;
+
+// Only a hash is stored, so a leaked database does not leak working invite links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionJoinService {
+  constructor() {
+    this.visibilities = VISIBILITIES;
+  }
+
+  /**
+   * Validate visibility settings and hash the access code
+   * @param {Object} input - { visibility, access_code }
+   * @param {string} currentVisibility - Visibility before the change (null for new sessions)
+   * @returns {Promise<Object>} { visibility, accessCodeHash } (accessCodeHash undefined when unchanged)
+   */
+  async normalizeAccess({ visibility, access_code: accessCode } = {}, currentVisibility = null) {
+    const next = visibility ?? currentVisibility ?? 'public';
+    if (!VISIBILITIES.includes(next)) {
+      throw new ServiceError(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    if (next !== 'code') {
+      return { visibility: next, accessCodeHash: null };
+    }
+
+    if (accessCode === undefined && currentVisibility === 'code') {
+      return { visibility: next, accessCodeHash: undefined };
+    }
+    if (typeof accessCode !== 'string' || accessCode.trim().length < MIN_CODE_LENGTH || accessCode.trim().length > MAX_CODE_LENGTH) {
+      throw new ServiceError(`access_code must be between ${MIN_CODE_LENGTH} and ${MAX_CODE_LENGTH} characters`);
+    }
+    return { visibility: next, accessCodeHash: await bcrypt.hash(accessCode.trim(), 10) };
+  }
+
+  /**
+   * Change who can join a session (host only)
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {Object} input - { visibility, access_code }
+   * @returns {Promise<Object>} { visibility, has_access_code }
+   */
+  async updateAccess(sessionId, actorId, input) {
+    await this.requireHost(sessionId, actorId);
+    const current = await pool.query('SELECT visibility, status FROM sessions WHERE id = $1', [sessionId]);
+    const { visibility, accessCodeHash } = await this.normalizeAccess(input, current.rows[0].visibility);
+
+    const result = await pool.query(`
+      UPDATE sessions SET
+        visibility = $2,
+        access_code_hash = CASE WHEN $4 THEN access_code_hash ELSE $3 END,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING visibility, access_code_hash IS NOT NULL AS has_access_code
+    `, [sessionId, visibility, accessCodeHash ?? null, accessCodeHash === undefined]);
+
+    const { visibility: previous, status } = current.rows[0];
+    await sessionAccessService.notifySessionsChanged(sessionId, { wasListed: status === 'active' && previous !== 'invite' });
+    return result.rows[0];
+  }
+
+  /**
+   * Add a user to a session, checking bans, visibility, and the invite token or access code
+   * Full sessions put the user on the waitlist instead
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Joining user ID
+   * @param {Object} credentials - { inviteToken, accessCode }
+   * @returns {Promise<Object>} { role, status: 'joined'|'waitlisted', position }
+   */
+  async join(sessionId, userId, { inviteToken, accessCode } = {}) {
+    const sessionResult = await pool.query(
+      'SELECT host_id, status, visibility, access_code_hash FROM sessions WHERE id = $1',
+      [sessionId]
+    );
+    const session = sessionResult.rows[0];
+
+    if (!session || session.status !== 'active') {
+      throw new ServiceError('Session not found or not active', 404);
+    }
+
+    // Hosts belong to their own sessions without a participant row
+    if (session.host_id === userId) {
+      return { role: 'host', status: 'joined', position: null };
+    }
+
+    const ban = await pool.query('SELECT id FROM session_bans WHERE session_id = $1 AND user_id = $2', [sessionId, userId]);
+    if (ban.rows.length > 0) {
+      throw new ServiceError('You have been removed from this session', 403);
+    }
+
+    const existing = await pool.query(
+      'SELECT id FROM session_participants WHERE session_id = $1 AND user_id = $2',
+      [sessionId, userId]
+    );
+    if (existing.rows.length > 0) {
+      throw new ServiceError('Already joined this session', 409);
+    }
+
+    // Asking again while queued reports the current place without using the invite again
+    const position = await sessionCapacityService.getWaitlistPosition(sessionId, userId);
+    if (position !== null) {
+      const waiting = await pool.query(
+        'SELECT role FROM session_waitlist WHERE session_id = $1 AND user_id = $2',
+        [sessionId, userId]
+      );
+      return { role: waiting.rows[0].role, status: 'waitlisted', position };
+    }
+
+    if (inviteToken) {
+      // The invite use is counted in the admission transaction, so a failed join does not burn it
+      return sessionCapacityService.admit(sessionId, userId, {
+        redeem: client => this.redeemInvite(sessionId, inviteToken, client)
+      });
+    }
+    if (session.visibility === 'invite') {
+      throw new ServiceError('This session is invite-only', 403);
+    } else if (session.visibility === 'code') {
+      const valid = typeof accessCode === 'string' && session.access_code_hash &&
+        await bcrypt.compare(accessCode.trim(), session.access_code_hash);
+      if (!valid) {
+        throw new ServiceError('A valid access code is required to join this session', 403);
+      }
+    }
+
+    return sessionCapacityService.admit(sessionId, userId);
+  }
+
+  /**
+   * Consume one use of an invite for a session
+   * The use is counted in the same statement that checks expiry, revocation and max uses
+   * @param {number} sessionId - Session ID
+   * @param {string} token - Invite token
+   * @param {Object} client - Query client; pass the admission transaction so the use rolls back with it
+   * @returns {Promise<Object>} Invite
+   */
+  async redeemInvite(sessionId, token, client = pool) {
+    const result = await client.query(`
+      UPDATE session_invites SET use_count = use_count + 1
+      WHERE token_hash = $1 AND session_id = $2
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+        AND (max_uses IS NULL OR use_count < max_uses)
+      RETURNING ${INVITE_COLUMNS}
+    `, [hashToken(String(token)), sessionId]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('This invite link is invalid, expired or used up', 403);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Describe the session behind an invite so the join page can show it before joining
+   * @param {string} token - Invite token
+   * @returns {Promise<Object>} { sessionId, title, hostName, status, role }
+   */
+  async previewInvite(token) {
+    const result = await pool.query(`
+      SELECT i.session_id AS "sessionId", s.title, u.name AS "hostName", s.status, i.role
+      FROM session_invites i
+      JOIN sessions s ON s.id = i.session_id
+      JOIN users u ON u.id = s.host_id
+      WHERE i.token_hash = $1
+        AND i.revoked_at IS NULL
+        AND (i.expires_at IS NULL OR i.expires_at > NOW())
+        AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+    `, [hashToken(String(token))]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('This invite link is invalid, expired or used up', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Create an invite link (host only); the token is only returned here
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {Object} options - { role, maxUses, expiresInHours }
+   * @returns {Promise<Object>} Invite with token and link
+   */
+  async createInvite(sessionId, actorId, { role = 'participant', maxUses = null, expiresInHours = null } = {}) {
+    await this.requireHost(sessionId, actorId);
+
+    if (!INVITE_ROLES.includes(role)) {
+      throw new ServiceError(`role must be one of: ${INVITE_ROLES.join(', ')}`);
+    }
+    const uses = maxUses === null || maxUses === '' ? null : Number(maxUses);
+    if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+      throw new ServiceError('maxUses must be a positive integer');
+    }
+    const hours = expiresInHours === null || expiresInHours === '' ? null : Number(expiresInHours);
+    if (hours !== null && (!(hours > 0) || hours > MAX_INVITE_HOURS)) {
+      throw new ServiceError(`expiresInHours must be between 0 and ${MAX_INVITE_HOURS}`);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const result = await pool.query(`
+      INSERT INTO session_invites (session_id, token_hash, role, max_uses, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, CASE WHEN $5::float IS NULL THEN NULL ELSE NOW() + $5::float * INTERVAL '1 hour' END, $6)
+      RETURNING ${INVITE_COLUMNS}
+    `, [sessionId, hashToken(token), role, uses, hours, actorId]);
+
+    return { ...result.rows[0], token, link: `/join/${token}` };
+  }
+
+  /**
+   * List a session's invites (host only), newest first
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @returns {Promise<Object[]>} Invites without tokens
+   */
+  async listInvites(sessionId, actorId) {
+    await this.requireHost(sessionId, actorId);
+    const result = await pool.query(
+      `SELECT ${INVITE_COLUMNS} FROM session_invites WHERE session_id = $1 ORDER BY created_at DESC`,
+      [sessionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke an invite (host only)
+   * @param {number} sessionId - Session ID
+   * @param {number} inviteId - Invite ID
+   * @param {number} actorId - Acting user ID
+   * @returns {Promise<Object>} Revoked invite
+   */
+  async revokeInvite(sessionId, inviteId, actorId) {
+    await this.requireHost(sessionId, actorId);
+    const result = await pool.query(`
+      UPDATE session_invites SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND session_id = $2
+      RETURNING ${INVITE_COLUMNS}
+    `, [inviteId, sessionId]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('Invite not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Reject users who are not the host of a session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - Acting user ID
+   */
+  async requireHost(sessionId, userId) {
+    const role = await sessionAccessService.getSessionRole(sessionId, userId);
+    if (role !== 'host') {
+      throw new ServiceError('Only session host can manage access', 403);
+    }
+  }
+}
+
+module.exports = new SessionJoinService();
@@ -0,0 +1,143 @@
+// services/sessionLifecycleService.js - Session status transitions and end-of-session finalization
+
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const summaryService = require('./summaryService');
+const { ServiceError } = require('./serviceError');
+
+// Allowed status changes; ended is terminal
+const TRANSITIONS = {
+  active: ['paused', 'ended'],
+  paused: ['active', 'ended'],
+  ended: []
+};
+
+const SESSION_COLUMNS = `
+  id, status, started_at AS "startedAt", ended_at AS "endedAt", paused_seconds AS "pausedSeconds",
+  duration_seconds AS "durationSeconds"
+`;
+
+// Seconds of the pause a transition ends (0 when the session was not paused)
+const CURRENT_PAUSE = 'COALESCE(EXTRACT(EPOCH FROM NOW() - paused_at)::int, 0)';
+
+class SessionLifecycleService {
+  constructor() {
+    this.statuses = Object.keys(TRANSITIONS);
+  }
+
+  /**
+   * Check whether a session may move from one status to another
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} True when the transition is allowed
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Change a session's status (host only), broadcast it and finalize ended sessions
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {string} status - Requested status
+   * @returns {Promise<Object>} Updated session ({ id, status, startedAt, endedAt, pausedSeconds, durationSeconds })
+   */
+  async changeStatus(sessionId, actorId, status) {
+    if (!this.statuses.includes(status)) {
+      throw new ServiceError(`status must be one of: ${this.statuses.join(', ')}`);
+    }
+
+    const current = await pool.query('SELECT host_id, status, visibility FROM sessions WHERE id = $1', [sessionId]);
+    if (current.rows.length === 0 || current.rows[0].host_id !== actorId) {
+      throw new ServiceError('Only session host can update status', 403);
+    }
+
+    const from = current.rows[0].status;
+    if (!this.canTransition(from, status)) {
+      throw new ServiceError(`Cannot change session status from ${from} to ${status}`, 409);
+    }
+
+    // Guard on the previous status so concurrent requests cannot both apply a transition.
+    // Each pause is added to paused_seconds when it ends, and the duration leaves all of them out.
+    const result = await pool.query(`
+      UPDATE sessions SET
+        status = $2::varchar,
+        ended_at = CASE WHEN $2::varchar = 'ended' THEN NOW() ELSE ended_at END,
+        paused_at = CASE WHEN $2::varchar = 'paused' THEN NOW() END,
+        paused_seconds = COALESCE(paused_seconds, 0) + ${CURRENT_PAUSE},
+        duration_seconds = CASE
+          WHEN $2::varchar = 'ended' THEN GREATEST(
+            EXTRACT(EPOCH FROM NOW() - COALESCE(started_at, created_at))::int - COALESCE(paused_seconds, 0) - ${CURRENT_PAUSE}, 0
+          )
+          ELSE duration_seconds
+        END,
+        updated_at = NOW()
+      WHERE id = $1 AND status = $3
+      RETURNING ${SESSION_COLUMNS}
+    `, [sessionId, status, from]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('Session status changed concurrently; reload and try again', 409);
+    }
+
+    const session = result.rows[0];
+    const room = String(sessionId);
+
+    await this.updateLiveSockets(sessionId, (socket) => {
+      socket.data.sessionStatus = status;
+    });
+    io.to(room).emit('session-status', { sessionId: Number(sessionId), ...session });
+    await sessionAccessService.notifySessionsChanged(sessionId, {
+      wasListed: from === 'active' && current.rows[0].visibility !== 'invite'
+    });
+
+    if (status === 'ended') {
+      this.finalizeSession(sessionId).catch((error) => {
+        console.error('Error finalizing session:', error);
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Produce the final summary, then tell the room the session is over and close it
+   * @param {number} sessionId - Session ID
+   */
+  async finalizeSession(sessionId) {
+    const room = String(sessionId);
+    let summary = null;
+
+    try {
+      summary = await summaryService.generateSummary(sessionId, 'final');
+      io.to(room).emit('summary-update', { sessionId: room, summary });
+    } catch (error) {
+      // A session without transcripts simply ends without a summary
+      if (!(error instanceof ServiceError)) {
+        console.error('Error generating final summary:', error);
+      }
+    }
+
+    io.to(room).emit('session-ended', { sessionId: Number(sessionId), summaryId: summary ? summary.id : null });
+
+    await this.updateLiveSockets(sessionId, (socket) => {
+      sessionAccessService.leaveSessionRooms(socket);
+      socket.data.sessionId = null;
+      socket.data.role = null;
+      socket.data.sessionStatus = null;
+      socket.data.audio = null;
+    });
+  }
+
+  /**
+   * Apply a change to every socket in a session room
+   * @param {number} sessionId - Session ID
+   * @param {Function} apply - (socket) => void
+   */
+  async updateLiveSockets(sessionId, apply) {
+    const sockets = await io.in(String(sessionId)).fetchSockets();
+    sockets.forEach(apply);
+  }
+}
+
+module.exports = new SessionLifecycleService();
@@ -0,0 +1,113 @@
+// services/socketPayloads.js - Validation of payloads clients send over Socket.IO
+
+// Clients can emit anything, including null, so handlers parse payloads here instead of destructuring them
+
+// Language codes accepted anywhere in the app: a base language with an optional region or script
+// ("pt-BR", "es-419", "zh-Hant"), short enough for the VARCHAR(10) language columns
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,4})?$/;
+
+const isObject = (data) => typeof data === 'object' && data !== null && !Array.isArray(data);
+
+/**
+ * Check a language code such as "es" or "pt-BR"
+ * @param {*} value - Input
+ * @returns {boolean} Whether it is a language code
+ */
+const isLanguage = (value) => typeof value === 'string' && LANGUAGE_PATTERN.test(value);
+
+// Longest caption line accepted, interim or final
+const MAX_CAPTION_LENGTH = 2000;
+
+/**
+ * Parse a final caption, sent as a caption-update payload or to POST /api/transcripts
+ * @param {*} data - { text, language, timestamp, confidence }
+ * @returns {Object} { text, language, timestamp, confidence } with text trimmed, or { error }
+ */
+const parseCaption = (data) => {
+  if (!isObject(data)) return { error: 'Caption payload must be an object' };
+
+  const { language = 'en', timestamp, confidence = null } = data;
+  const text = typeof data.text === 'string' ? data.text.trim() : '';
+  if (!text) return { error: 'Caption text is required' };
+  if (text.length > MAX_CAPTION_LENGTH) {
+    return { error: `Caption text must be at most ${MAX_CAPTION_LENGTH} characters` };
+  }
+  if (!isLanguage(language)) {
+    return { error: 'language must be a language code such as "es" or "pt-BR"' };
+  }
+  if (confidence !== null && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+    return { error: 'confidence must be a number between 0 and 1' };
+  }
+  return { text, language, timestamp, confidence };
+};
+
+/**
+ * Parse a caption-partial payload
+ * @param {*} data - { text, language }
+ * @returns {Object|null} { text, language }, or null for a malformed payload
+ */
+const parsePartialCaption = (data) => {
+  if (!isObject(data) || typeof data.text !== 'string' || data.text.length > MAX_CAPTION_LENGTH) return null;
+  const language = data.language === undefined ? 'en' : data.language;
+  if (!isLanguage(language)) return null;
+  return { text: data.text, language };
+};
+
+// A listener follows at most this many translations at once
+const MAX_CAPTION_LANGUAGES = 10;
+
+/**
+ * Parse a set-caption-languages payload
+ * @param {*} data - { languages }
+ * @returns {Object} { languages } with distinct language codes, or { error }
+ */
+const parseCaptionLanguages = (data) => {
+  const languages = isObject(data) && data.languages !== undefined ? data.languages : [];
+  if (!Array.isArray(languages)) return { error: 'languages must be an array of language codes' };
+  if (!languages.every(isLanguage)) return { error: 'languages must be language codes such as "es" or "pt-BR"' };
+
+  const distinct = [...new Set(languages)];
+  if (distinct.length > MAX_CAPTION_LANGUAGES) {
+    return { error: `At most ${MAX_CAPTION_LANGUAGES} caption languages can be followed at once` };
+  }
+  return { languages: distinct };
+};
+
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+(;[\w\s=.,"+-]*)?$/;
+
+/**
+ * View binary data received over Socket.IO as a Buffer
+ * @param {*} chunk - Buffer, ArrayBuffer or typed array
+ * @returns {Buffer|null} Buffer, or null when the value is not binary data
+ */
+const toBuffer = (chunk) => {
+  if (Buffer.isBuffer(chunk)) return chunk;
+  if (chunk instanceof ArrayBuffer) return Buffer.from(chunk);
+  if (ArrayBuffer.isView(chunk)) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  return null;
+};
+
+/**
+ * Parse an audio-chunk payload
+ * @param {*} data - { chunk, mimeType, language, final }
+ * @returns {Object} { chunk, mimeType, language, final } with chunk a Buffer or null, or { error }
+ */
+const parseAudioChunk = (data) => {
+  if (!isObject(data)) return { error: 'Audio chunk payload must be an object' };
+
+  const { mimeType = 'audio/webm', language = 'en', final = false } = data;
+  let chunk = null;
+  if (data.chunk !== undefined && data.chunk !== null) {
+    chunk = toBuffer(data.chunk);
+    if (!chunk) return { error: 'chunk must be binary audio data' };
+  }
+  if (typeof mimeType !== 'string' || mimeType.length > 100 || !MIME_TYPE_PATTERN.test(mimeType)) {
+    return { error: 'mimeType must be a MIME type such as audio/webm' };
+  }
+  if (!isLanguage(language)) {
+    return { error: 'language must be a language code such as "es" or "pt-BR"' };
+  }
+  return { chunk, mimeType, language, final: final === true };
+};
+
+module.exports = { LANGUAGE_PATTERN, isLanguage, parseCaption, parsePartialCaption, parseCaptionLanguages, parseAudioChunk };
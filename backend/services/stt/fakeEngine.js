@@ -0,0 +1,28 @@
+// services/stt/fakeEngine.js - Deterministic speech-to-text engine for development and tests
+
+class FakeEngine {
+  /**
+   * @param {Object} options - { segments } fixed segments to return instead of the generated one
+   */
+  constructor({ segments = null } = {}) {
+    this.name = 'fake';
+    this.segments = segments;
+  }
+
+  /**
+   * Return fixed segments, or one segment describing the audio; nothing is decoded
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language, mimeType }
+   * @returns {Promise<Object[]>} Segments ({ text, start, end, confidence }) with offsets in seconds
+   */
+  async transcribe(audioBuffer, { language = 'en' } = {}) {
+    if (this.segments) {
+      return this.segments.map(segment => ({ confidence: null, ...segment }));
+    }
+
+    const size = audioBuffer ? audioBuffer.length : 0;
+    return [{ text: `[${language}] Audio segment of ${size} bytes`, start: 0, end: 2, confidence: 1 }];
+  }
+}
+
+module.exports = FakeEngine;
@@ -0,0 +1,66 @@
+// services/stt/googleSpeechEngine.js - Google Cloud Speech-to-Text engine
+
+// Encodings Google can decode from the containers browsers record in
+const ENCODINGS = {
+  'audio/webm': { encoding: 'WEBM_OPUS', sampleRateHertz: 48000 },
+  'audio/ogg': { encoding: 'OGG_OPUS', sampleRateHertz: 48000 },
+  'audio/wav': { encoding: 'LINEAR16' },
+  'audio/x-wav': { encoding: 'LINEAR16' },
+  'audio/flac': { encoding: 'FLAC' }
+};
+
+const toSeconds = (duration) => (duration ? Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9 : 0);
+
+class GoogleSpeechEngine {
+  constructor() {
+    // Loaded here so the gRPC client is only pulled in when this engine is selected
+    const speech = require('@google-cloud/speech');
+
+    this.name = 'google';
+    this.client = new speech.SpeechClient();
+  }
+
+  /**
+   * Transcribe up to one minute of audio with synchronous recognition
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language, mimeType }
+   * @returns {Promise<Object[]>} Segments ({ text, start, end, confidence }) with offsets in seconds
+   */
+  async transcribe(audioBuffer, { language = 'en', mimeType = 'audio/webm' } = {}) {
+    const format = ENCODINGS[mimeType.split(';')[0]];
+    if (!format) {
+      throw new Error(`Unsupported audio type for Google Speech-to-Text: ${mimeType}`);
+    }
+
+    const [response] = await this.client.recognize({
+      config: {
+        ...format,
+        languageCode: language,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true
+      },
+      audio: { content: audioBuffer.toString('base64') }
+    });
+
+    let previousEnd = 0;
+    return (response.results || [])
+      .map((result) => {
+        const [alternative] = result.alternatives || [];
+        if (!alternative || !alternative.transcript) return null;
+
+        const end = toSeconds(result.resultEndTime);
+        const start = alternative.words?.length ? toSeconds(alternative.words[0].startTime) : previousEnd;
+        previousEnd = end;
+
+        return {
+          text: alternative.transcript.trim(),
+          start,
+          end,
+          confidence: alternative.confidence ?? null
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = GoogleSpeechEngine;
@@ -0,0 +1,30 @@
+// services/stt/index.js - Speech-to-text engine registry and selection
+
+const WhisperEngine = require('./whisperEngine');
+const GoogleSpeechEngine = require('./googleSpeechEngine');
+const FakeEngine = require('./fakeEngine');
+
+const STT_ENGINES = {
+  whisper: WhisperEngine,
+  google: GoogleSpeechEngine,
+  fake: FakeEngine
+};
+
+/**
+ * Create the configured speech-to-text engine
+ * Uses STT_ENGINE when set, otherwise whisper.cpp when a model is configured and the fake engine without one
+ * @param {string} name - Engine name (optional)
+ * @returns {Object} Engine instance exposing transcribe(audioBuffer, options)
+ */
+const createSttEngine = (name = process.env.STT_ENGINE) => {
+  const engineName = name || (process.env.WHISPER_MODEL ? 'whisper' : 'fake');
+  const Engine = STT_ENGINES[engineName];
+
+  if (!Engine) {
+    throw new Error(`Unknown STT engine "${engineName}". Available: ${Object.keys(STT_ENGINES).join(', ')}`);
+  }
+
+  return new Engine();
+};
+
+module.exports = { createSttEngine, STT_ENGINES };
@@ -0,0 +1,76 @@
+// services/stt/whisperEngine.js - Local CPU speech-to-text through the whisper.cpp CLI
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const PROCESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+class WhisperEngine {
+  /**
+   * @param {Object} options - { binary, model, ffmpeg, threads }
+   */
+  constructor({
+    binary = process.env.WHISPER_BIN || 'whisper-cli',
+    model = process.env.WHISPER_MODEL,
+    ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg',
+    threads = parseInt(process.env.WHISPER_THREADS, 10) || 2
+  } = {}) {
+    if (!model) {
+      throw new Error('WHISPER_MODEL is required for the whisper STT engine');
+    }
+
+    this.name = 'whisper';
+    this.binary = binary;
+    this.model = model;
+    this.ffmpeg = ffmpeg;
+    this.threads = threads;
+  }
+
+  /**
+   * Transcribe audio in any format ffmpeg can decode
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language }
+   * @returns {Promise<Object[]>} Segments ({ text, start, end, confidence }) with offsets in seconds
+   */
+  async transcribe(audioBuffer, { language = 'en' } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+
+    try {
+      const inputPath = path.join(workDir, 'input');
+      const wavPath = path.join(workDir, 'audio.wav');
+      const outputPrefix = path.join(workDir, 'output');
+      await fs.writeFile(inputPath, audioBuffer);
+
+      // whisper.cpp only reads 16 kHz mono PCM WAV
+      await execFileAsync(this.ffmpeg, [
+        '-y', '-loglevel', 'error', '-i', inputPath,
+        '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath
+      ], { timeout: PROCESS_TIMEOUT_MS });
+
+      await execFileAsync(this.binary, [
+        '-m', this.model, '-f', wavPath,
+        '-l', language.split('-')[0], '-t', String(this.threads),
+        '-oj', '-of', outputPrefix, '-np'
+      ], { timeout: PROCESS_TIMEOUT_MS });
+
+      const output = JSON.parse(await fs.readFile(`${outputPrefix}.json`, 'utf8'));
+      return (output.transcription || [])
+        .map(segment => ({
+          text: segment.text.trim(),
+          start: segment.offsets.from / 1000,
+          end: segment.offsets.to / 1000,
+          confidence: null
+        }))
+        .filter(segment => segment.text);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = WhisperEngine;
@@ -0,0 +1,176 @@
+// services/subtitleService.js - Build SRT and WebVTT subtitle files from transcript segments
+
+const SUBTITLE_FORMATS = {
+  srt: { contentType: 'application/x-subrip', extension: 'srt' },
+  vtt: { contentType: 'text/vtt', extension: 'vtt' }
+};
+
+// Readability limits commonly used for broadcast subtitles
+const MAX_LINE_CHARS = 42;
+const MAX_CUE_CHARS = MAX_LINE_CHARS * 2;
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;
+const CHARS_PER_SECOND = 15;
+const MERGE_GAP_MS = 1000;
+
+const readingTime = (text) => Math.min(
+  Math.max(MIN_CUE_MS, Math.round((text.length / CHARS_PER_SECOND) * 1000)),
+  MAX_CUE_MS
+);
+
+const splitWords = (text, maxChars) => {
+  const pieces = [];
+  let current = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    if (current && current.length + word.length + 1 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${word}` : word;
+  });
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// Break a cue into at most two lines at the word boundary closest to the middle
+const wrapLines = (text) => {
+  if (text.length <= MAX_LINE_CHARS) return text;
+
+  const middle = text.length / 2;
+  let best = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === ' ' && (best === -1 || Math.abs(i - middle) < Math.abs(best - middle))) {
+      best = i;
+    }
+  }
+  return best === -1 ? text : `${text.slice(0, best)}\n${text.slice(best + 1)}`;
+};
+
+const formatTime = (ms, separator) => {
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+const escapeVtt = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+class SubtitleService {
+  constructor() {
+    this.formats = SUBTITLE_FORMATS;
+  }
+
+  /**
+   * Turn transcript rows into timed cues relative to the session start
+   * Segment timestamps are treated as cue start times; a cue ends when the next one starts
+   * or after its reading time, whichever comes first. Short neighbouring segments from the
+   * same speaker are merged and long ones are split so each cue stays readable.
+   * @param {Object[]} segments - Transcript rows ({ text, speaker, timestamp }) ordered by timestamp
+   * @param {Date|string} sessionStart - Session start time
+   * @returns {Object[]} Cues ({ start, end, text, speaker }) in milliseconds
+   */
+  buildCues(segments, sessionStart) {
+    const origin = new Date(sessionStart).getTime();
+
+    const timed = segments
+      .filter(segment => segment.text && segment.text.trim())
+      .map(segment => ({
+        start: Math.max(0, new Date(segment.timestamp).getTime() - origin),
+        text: segment.text.trim().replace(/\s+/g, ' '),
+        speaker: segment.speaker || null
+      }));
+
+    timed.forEach((cue, index) => {
+      const next = timed[index + 1];
+      const naturalEnd = cue.start + readingTime(cue.text);
+      cue.end = next && next.start > cue.start ? Math.min(naturalEnd, next.start) : naturalEnd;
+    });
+
+    // Merge short consecutive cues from the same speaker
+    const merged = [];
+    timed.forEach((cue) => {
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        previous.speaker === cue.speaker &&
+        cue.start - previous.end <= MERGE_GAP_MS &&
+        previous.text.length + cue.text.length + 1 <= MAX_CUE_CHARS &&
+        cue.end - previous.start <= MAX_CUE_MS
+      ) {
+        previous.text = `${previous.text} ${cue.text}`;
+        previous.end = cue.end;
+      } else {
+        merged.push({ ...cue });
+      }
+    });
+
+    // Split long cues, sharing the cue duration in proportion to text length; the pieces may take
+    // longer than the original cue, but never run into the next one
+    return merged.flatMap((cue, index) => {
+      if (cue.text.length <= MAX_CUE_CHARS) return [cue];
+
+      const next = merged[index + 1];
+      const limit = next && next.start > cue.start ? next.start : Infinity;
+      const pieces = splitWords(cue.text, MAX_CUE_CHARS);
+      const duration = Math.min(Math.max(cue.end - cue.start, pieces.length * MIN_CUE_MS), limit - cue.start);
+      const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0);
+
+      let start = cue.start;
+      return pieces.map((piece) => {
+        const end = Math.min(start + Math.round((piece.length / totalChars) * duration), limit);
+        const split = { start, end, text: piece, speaker: cue.speaker };
+        start = end;
+        return split;
+      });
+    });
+  }
+
+  /**
+   * Render cues as a SubRip (.srt) document
+   * @param {Object[]} cues - Cues from buildCues
+   * @returns {string} SRT file contents
+   */
+  toSrt(cues) {
+    return cues.map((cue, index) => [
+      index + 1,
+      `${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}`,
+      wrapLines(cue.text)
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  /**
+   * Render cues as a WebVTT (.vtt) document with speaker voice tags
+   * @param {Object[]} cues - Cues from buildCues
+   * @returns {string} WebVTT file contents
+   */
+  toVtt(cues) {
+    const body = cues.map((cue) => {
+      const text = escapeVtt(wrapLines(cue.text));
+      const speaker = cue.speaker ? escapeVtt(cue.speaker) : null;
+      return [
+        `${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}`,
+        speaker ? `<v ${speaker}>${text}` : text
+      ].join('\n');
+    });
+
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+  }
+
+  /**
+   * Build a subtitle file in the requested format
+   * @param {Object[]} segments - Transcript rows ordered by timestamp
+   * @param {Date|string} sessionStart - Session start time
+   * @param {string} format - 'srt' or 'vtt'
+   * @returns {string} Subtitle file contents
+   */
+  render(segments, sessionStart, format) {
+    const cues = this.buildCues(segments, sessionStart);
+    return format === 'vtt' ? this.toVtt(cues) : this.toSrt(cues);
+  }
+}
+
+module.exports = new SubtitleService();
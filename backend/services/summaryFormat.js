@@ -0,0 +1,86 @@
+// services/summaryFormat.js - Structured summary parsing, validation and transcript chunking
+
+const SUMMARY_TYPES = ['rolling', 'final', 'key_points'];
+
+// Roughly 3-4k tokens of transcript per model call
+const DEFAULT_CHUNK_CHARS = 12000;
+
+const normalizeList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new Error(`Summary field "${field}" must be an array`);
+  }
+  return value
+    .map(item => (typeof item === 'string' ? item.trim() : ''))
+    .filter(item => item.length > 0);
+};
+
+/**
+ * Parse and validate model output into { content, keyPoints, actionItems }
+ * Accepts raw JSON or JSON wrapped in a Markdown code fence
+ * @param {string} text - Raw model output
+ * @returns {Object} Normalized summary object
+ * @throws {Error} When the output is not valid JSON or does not match the summary shape
+ */
+const parseSummary = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+
+  let data;
+  try {
+    data = JSON.parse(candidate);
+  } catch (error) {
+    throw new Error('Summary output is not valid JSON');
+  }
+
+  if (!data || typeof data.content !== 'string' || data.content.trim().length === 0) {
+    throw new Error('Summary field "content" must be a non-empty string');
+  }
+
+  return {
+    content: data.content.trim(),
+    keyPoints: normalizeList(data.keyPoints, 'keyPoints'),
+    actionItems: normalizeList(data.actionItems, 'actionItems')
+  };
+};
+
+/**
+ * Group transcript lines into chunks that each fit within a character budget
+ * Lines longer than the budget are split on word boundaries
+ * @param {string[]} transcripts - Array of transcript texts
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]} Chunk texts
+ */
+const chunkTranscripts = (transcripts, maxChars = DEFAULT_CHUNK_CHARS) => {
+  const chunks = [];
+  let current = '';
+
+  const push = (piece) => {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  };
+
+  transcripts.forEach((line) => {
+    if (line.length <= maxChars) {
+      push(line);
+      return;
+    }
+    let piece = '';
+    line.split(/\s+/).forEach((word) => {
+      if (piece && piece.length + word.length + 1 > maxChars) {
+        push(piece);
+        piece = '';
+      }
+      piece = piece ? `${piece} ${word}` : word;
+    });
+    if (piece) push(piece);
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+module.exports = { SUMMARY_TYPES, DEFAULT_CHUNK_CHARS, parseSummary, chunkTranscripts };
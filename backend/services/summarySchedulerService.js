@@ -0,0 +1,191 @@
+// services/summarySchedulerService.js - Periodic rolling summaries for active sessions
+
+const { io, pool } = require('../server');
+const summaryService = require('./summaryService');
+const sessionAccessService = require('./sessionAccessService');
+const { ServiceError, RateLimitError } = require('./serviceError');
+
+// How often active sessions are checked for a due rolling summary
+const TICK_MS = parseInt(process.env.SUMMARY_SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+const MAX_EVERY_SEGMENTS = 10000;
+
+// A session whose summary failed is skipped for a while, doubling the wait after each further failure
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// A session is due once enough minutes have passed or enough segments arrived since its last
+// rolling summary; a threshold of 0 disables that trigger
+const DUE_SESSIONS_QUERY = `
+  SELECT s.id
+  FROM sessions s
+  LEFT JOIN LATERAL (
+    SELECT MAX(to_seq) AS last_seq, MAX(created_at) AS last_at
+    FROM summaries WHERE session_id = s.id AND summary_type = 'rolling'
+  ) r ON TRUE
+  WHERE s.status = 'active'
+    AND s.caption_seq > COALESCE(r.last_seq, 0)
+    AND (
+      (s.summary_every_segments > 0 AND s.caption_seq - COALESCE(r.last_seq, 0) >= s.summary_every_segments)
+      OR (s.summary_interval_minutes > 0
+        AND COALESCE(r.last_at, s.started_at, s.created_at) <= NOW() - s.summary_interval_minutes * INTERVAL '1 minute')
+    )
+  ORDER BY s.id
+`;
+
+class SummarySchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+    // Session ID -> { attempts, retryAt } for sessions whose last summary failed
+    this.failures = new Map();
+  }
+
+  /**
+   * Start checking sessions on a timer
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        console.error('Error running summary scheduler:', error);
+      });
+    }, TICK_MS);
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the timer
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Summarize every due session, one at a time to stay within AI provider rate limits
+   * A tick that starts while the previous one is still running is skipped, and so are sessions
+   * still backing off after a failure
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await pool.query(DUE_SESSIONS_QUERY);
+      const dueIds = new Set(due.rows.map(({ id }) => String(id)));
+      // Sessions that ended or stopped being due no longer need their failure remembered
+      for (const id of this.failures.keys()) {
+        if (!dueIds.has(id)) this.failures.delete(id);
+      }
+
+      for (const { id } of due.rows) {
+        if (this.isBackingOff(id)) continue;
+        await this.summarizeSession(id);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Make an incremental rolling summary and push it to the session room
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object|null>} Saved summary, or null when nothing new was said or it failed
+   */
+  async summarizeSession(sessionId) {
+    try {
+      const summary = await summaryService.generateRollingSummary(sessionId);
+      this.failures.delete(String(sessionId));
+      if (summary) {
+        io.to(String(sessionId)).emit('summary-update', { sessionId: String(sessionId), summary });
+      }
+      return summary;
+    } catch (error) {
+      // A host over quota stays due every tick without calling the provider; the admin usage
+      // report shows it instead of the log. Other failures back off so paid calls are not repeated.
+      if (!(error instanceof RateLimitError)) {
+        const delay = this.recordFailure(sessionId);
+        console.error(`Error generating rolling summary for session ${sessionId}; retrying in ${delay / 1000}s:`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a session's last summary failed recently enough to skip it
+   * @param {number|string} sessionId - Session ID
+   * @returns {boolean} True while the session is backing off
+   */
+  isBackingOff(sessionId) {
+    const failure = this.failures.get(String(sessionId));
+    return Boolean(failure) && Date.now() < failure.retryAt;
+  }
+
+  /**
+   * Remember a failed summary and schedule the next attempt
+   * @param {number|string} sessionId - Session ID
+   * @returns {number} Milliseconds until the session is tried again
+   */
+  recordFailure(sessionId) {
+    const key = String(sessionId);
+    const attempts = (this.failures.has(key) ? this.failures.get(key).attempts : 0) + 1;
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+    this.failures.set(key, { attempts, retryAt: Date.now() + delay });
+    return delay;
+  }
+
+  /**
+   * Validate schedule settings; omitted fields stay undefined
+   * @param {Object} input - { summary_interval_minutes, summary_every_segments }
+   * @returns {Object} { intervalMinutes, everySegments }
+   */
+  normalizeSchedule({ summary_interval_minutes: intervalMinutes, summary_every_segments: everySegments } = {}) {
+    const parse = (value, field, max) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0 || number > max) {
+        throw new ServiceError(`${field} must be an integer between 0 and ${max}`);
+      }
+      return number;
+    };
+
+    return {
+      intervalMinutes: parse(intervalMinutes, 'summary_interval_minutes', MAX_INTERVAL_MINUTES),
+      everySegments: parse(everySegments, 'summary_every_segments', MAX_EVERY_SEGMENTS)
+    };
+  }
+
+  /**
+   * Change how often a session gets rolling summaries (host only)
+   * @param {number} sessionId - Session ID
+   * @param {number} actorId - Acting user ID
+   * @param {Object} input - { summary_interval_minutes, summary_every_segments }
+   * @returns {Promise<Object>} { summary_interval_minutes, summary_every_segments }
+   */
+  async updateSchedule(sessionId, actorId, input) {
+    const { intervalMinutes, everySegments } = this.normalizeSchedule(input);
+    if (intervalMinutes === undefined && everySegments === undefined) {
+      throw new ServiceError('Nothing to update: provide summary_interval_minutes or summary_every_segments');
+    }
+
+    const role = await sessionAccessService.getSessionRole(sessionId, actorId);
+    if (role !== 'host') {
+      throw new ServiceError('Only session host can change the summary schedule', 403);
+    }
+
+    const result = await pool.query(`
+      UPDATE sessions SET
+        summary_interval_minutes = COALESCE($2, summary_interval_minutes),
+        summary_every_segments = COALESCE($3, summary_every_segments),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING summary_interval_minutes, summary_every_segments
+    `, [sessionId, intervalMinutes ?? null, everySegments ?? null]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = new SummarySchedulerService();
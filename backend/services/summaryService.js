@@ -0,0 +1,90 @@
+// services/summaryService.js - Summary generation and storage
+
+const { pool } = require('../server');
+const aiService = require('./aiService');
+const glossaryService = require('./glossaryService');
+const usageService = require('./usageService');
+const { SUMMARY_TYPES } = require('./summaryFormat');
+const { ServiceError } = require('./serviceError');
+
+class SummaryService {
+  /**
+   * Summarize a session's transcripts with the configured AI provider and store the result
+   * @param {number} sessionId - Session ID
+   * @param {string} summaryType - One of SUMMARY_TYPES
+   * @returns {Promise<Object>} Saved summary record
+   */
+  async generateSummary(sessionId, summaryType = 'rolling') {
+    if (!SUMMARY_TYPES.includes(summaryType)) {
+      throw new ServiceError(`summaryType must be one of: ${SUMMARY_TYPES.join(', ')}`);
+    }
+
+    const transcriptsResult = await pool.query(
+      'SELECT seq, text FROM transcripts WHERE session_id = $1 AND merged_into IS NULL ORDER BY sort_order ASC',
+      [sessionId]
+    );
+
+    if (transcriptsResult.rows.length === 0) {
+      throw new ServiceError('Nothing to summarize: this session has no transcripts yet', 422);
+    }
+
+    return this.summarizeSegments(sessionId, summaryType, transcriptsResult.rows);
+  }
+
+  /**
+   * Summarize only the segments captioned since the previous rolling summary; halves split off
+   * segments it already covered are not new speech and are skipped
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object|null>} Saved summary record, or null when nothing new was said
+   */
+  async generateRollingSummary(sessionId) {
+    const transcriptsResult = await pool.query(`
+      SELECT seq, text FROM transcripts
+      WHERE session_id = $1 AND merged_into IS NULL AND source_seq > (
+        SELECT COALESCE(MAX(to_seq), 0) FROM summaries
+        WHERE session_id = $1 AND summary_type = 'rolling'
+      )
+      ORDER BY sort_order ASC
+    `, [sessionId]);
+
+    if (transcriptsResult.rows.length === 0) {
+      return null;
+    }
+
+    return this.summarizeSegments(sessionId, 'rolling', transcriptsResult.rows);
+  }
+
+  /**
+   * Summarize transcript segments and store the summary with the range of segments it covers
+   * The session glossary is passed along so terms are spelled as the host curated them.
+   * Counts against the host's monthly AI quota.
+   * @param {number} sessionId - Session ID
+   * @param {string} summaryType - One of SUMMARY_TYPES
+   * @param {Object[]} segments - Transcript rows ({ seq, text }) in caption order
+   * @returns {Promise<Object>} Saved summary record
+   */
+  async summarizeSegments(sessionId, summaryType, segments) {
+    await usageService.assertWithinQuota(sessionId);
+    const glossary = await glossaryService.getSessionGlossary(sessionId);
+    const texts = segments.map(row => row.text);
+    const summaryData = await aiService.generateSummary(texts, summaryType, glossary);
+    await usageService.record(sessionId, 'summary', texts.reduce((size, text) => size + text.length, 0));
+
+    const insertQuery = `
+      INSERT INTO summaries (session_id, summary_type, language, content, key_points, action_items, from_seq, to_seq, created_at)
+      SELECT $1, $2, s.language, $3, $4, $5, $6, $7, NOW()
+      FROM sessions s WHERE s.id = $1
+      RETURNING *
+    `;
+
+    const newSummary = await pool.query(insertQuery, [
+      sessionId, summaryType, summaryData.content, JSON.stringify(summaryData.keyPoints), JSON.stringify(summaryData.actionItems),
+      // Segments split after they were captioned sort before higher sequence numbers
+      Math.min(...segments.map(row => row.seq)), Math.max(...segments.map(row => row.seq))
+    ]);
+
+    return newSummary.rows[0];
+  }
+}
+
+module.exports = new SummaryService();
@@ -0,0 +1,67 @@
+// services/textDiff.js - Word-level diffs for transcript revisions
+
+// Longer texts skip the LCS table and are recorded as a full replacement
+const MAX_DIFF_CELLS = 250000;
+
+// Split into words and the whitespace between them, so joining the parts restores the text
+const tokenize = (text) => (text ? text.match(/\s+|[^\s]+/g) : []);
+
+const push = (ops, op, text) => {
+  const last = ops[ops.length - 1];
+  if (last && last[0] === op) {
+    last[1] += text;
+  } else {
+    ops.push([op, text]);
+  }
+};
+
+/**
+ * Diff two texts word by word
+ * Joining the '=' and '-' parts gives the old text; joining '=' and '+' gives the new one
+ * @param {string} before - Old text ('' or null for none)
+ * @param {string} after - New text
+ * @returns {Array<Array<string>>} [[op, text], ...] with op '=', '-' or '+'
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const ops = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length) push(ops, '-', a.join(''));
+    if (b.length) push(ops, '+', b.join(''));
+    return ops;
+  }
+
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(ops, '=', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(ops, '-', a[i++]);
+    } else {
+      push(ops, '+', b[j++]);
+    }
+  }
+  while (i < a.length) push(ops, '-', a[i++]);
+  while (j < b.length) push(ops, '+', b[j++]);
+
+  return ops;
+};
+
+module.exports = {
+  diffWords
+};
@@ -0,0 +1,405 @@
+// services/transcriptEditService.js - Transcript corrections (edit, split, merge, revert) with revision history
+
+const { randomUUID } = require('crypto');
+const { io, pool } = require('../server');
+const sessionAccessService = require('./sessionAccessService');
+const translationService = require('./translationService');
+const overlayService = require('./overlayService');
+const { diffWords } = require('./textDiff');
+const { ServiceError } = require('./serviceError');
+
+const MAX_SPEAKER_LENGTH = 255;
+
+const REVISION_COLUMNS = `
+  r.id, r.transcript_id AS "transcriptId", r.revision, r.action,
+  r.text_before AS "textBefore", r.text_after AS "textAfter",
+  r.speaker_before AS "speakerBefore", r.speaker_after AS "speakerAfter",
+  r.diff, r.details, r.author_id AS "authorId", u.name AS "authorName", r.created_at AS "createdAt"
+`;
+
+class TranscriptEditService {
+  /**
+   * Check the user may correct transcripts in the session (hosts and designated editors)
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   */
+  async authorizeEditor(sessionId, userId) {
+    const membership = await sessionAccessService.getMembership(sessionId, userId);
+    if (!membership) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    if (!membership.editor) {
+      throw new ServiceError('Only hosts and transcript editors can correct transcripts', 403);
+    }
+  }
+
+  /**
+   * Load a segment, check the user may edit it, and run work in a transaction holding its row lock
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Acting user ID
+   * @param {Function} work - async (client, transcript) => result
+   * @returns {Promise<*>} Result of work
+   */
+  async withSegment(transcriptId, userId, work) {
+    const found = await pool.query('SELECT session_id FROM transcripts WHERE id = $1', [transcriptId]);
+    if (found.rows.length === 0) {
+      throw new ServiceError('Transcript segment not found', 404);
+    }
+    await this.authorizeEditor(found.rows[0].session_id, userId);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query('SELECT * FROM transcripts WHERE id = $1 FOR UPDATE', [transcriptId]);
+      if (locked.rows.length === 0) {
+        throw new ServiceError('Transcript segment not found', 404);
+      }
+      if (locked.rows[0].merged_into !== null) {
+        throw new ServiceError('This segment was merged into the one before it; revert that merge to correct it', 409);
+      }
+      const result = await work(client, locked.rows[0]);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Change a segment's text and speaker and record the change as its next revision
+   * @param {Object} client - Transaction client
+   * @param {Object} transcript - Locked transcript row
+   * @param {string} action - 'edit', 'split', 'merge' or 'revert'
+   * @param {Object} next - { text, speaker }
+   * @param {number} authorId - Acting user ID
+   * @param {Object} details - Extra bookkeeping stored with the revision
+   * @returns {Promise<Object>} Updated transcript row
+   */
+  async applyRevision(client, transcript, action, { text, speaker }, authorId, details = null) {
+    const updated = await client.query(`
+      UPDATE transcripts SET text = $2, speaker = $3, revision = revision + 1, edited_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [transcript.id, text, speaker]);
+    const row = updated.rows[0];
+
+    await client.query(`
+      INSERT INTO transcript_revisions (
+        transcript_id, revision, action, text_before, text_after, speaker_before, speaker_after,
+        diff, details, author_id, created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    `, [
+      transcript.id, row.revision, action, transcript.text, text, transcript.speaker, speaker,
+      JSON.stringify(diffWords(transcript.text, text)), details ? JSON.stringify(details) : null, authorId
+    ]);
+
+    return row;
+  }
+
+  /**
+   * Correct a segment's text and/or speaker
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Acting user ID
+   * @param {Object} changes - { text, speaker }; omitted fields keep their value
+   * @returns {Promise<Object>} Updated transcript row
+   */
+  async editSegment(transcriptId, userId, { text, speaker } = {}) {
+    if (text === undefined && speaker === undefined) {
+      throw new ServiceError('Nothing to update: provide text or speaker');
+    }
+    const nextText = text === undefined ? undefined : this.normalizeText(text);
+    const nextSpeaker = speaker === undefined ? undefined : this.normalizeSpeaker(speaker);
+
+    const segment = await this.withSegment(transcriptId, userId, (client, transcript) => {
+      const next = {
+        text: nextText ?? transcript.text,
+        speaker: nextSpeaker === undefined ? transcript.speaker : nextSpeaker
+      };
+      if (next.text === transcript.text && next.speaker === transcript.speaker) {
+        throw new ServiceError('Nothing changed');
+      }
+      return this.applyRevision(client, transcript, 'edit', next, userId);
+    });
+
+    this.broadcast('edit', [segment]);
+    return segment;
+  }
+
+  /**
+   * Split a segment in two at a character offset; the second half becomes a new segment
+   * placed right after the first
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Acting user ID
+   * @param {number} at - Character offset into the current text
+   * @returns {Promise<Object[]>} [first, second] transcript rows
+   */
+  async splitSegment(transcriptId, userId, at) {
+    const offset = Number(at);
+
+    const segments = await this.withSegment(transcriptId, userId, async (client, transcript) => {
+      if (!Number.isInteger(offset) || offset <= 0 || offset >= transcript.text.length) {
+        throw new ServiceError('at must be a character offset inside the segment text');
+      }
+      const firstText = transcript.text.slice(0, offset).trim();
+      const secondText = transcript.text.slice(offset).trim();
+      if (!firstText || !secondText) {
+        throw new ServiceError('Both halves of a split need some text');
+      }
+
+      // The new segment takes the next sequence number but sorts between this segment and the one after it,
+      // and keeps this segment's source_seq so rolling summaries do not take it for new speech
+      const following = await client.query(
+        'SELECT MIN(sort_order) AS next FROM transcripts WHERE session_id = $1 AND sort_order > $2',
+        [transcript.session_id, transcript.sort_order]
+      );
+      const nextSort = following.rows[0].next === null ? transcript.sort_order + 1 : following.rows[0].next;
+      const inserted = await client.query(`
+        WITH next AS (
+          UPDATE sessions SET caption_seq = caption_seq + 1 WHERE id = $1 RETURNING caption_seq
+        )
+        INSERT INTO transcripts (
+          session_id, seq, sort_order, source_seq, text, language, speaker, timestamp, confidence, revision, edited_at, created_at
+        )
+        SELECT $1, next.caption_seq, $2, $8, $3, $4, $5, $6, $7, 1, NOW(), NOW() FROM next
+        RETURNING *
+      `, [
+        transcript.session_id, (transcript.sort_order + nextSort) / 2, secondText,
+        transcript.language, transcript.speaker, transcript.timestamp, transcript.confidence, transcript.source_seq
+      ]);
+      const second = inserted.rows[0];
+
+      const first = await this.applyRevision(client, transcript, 'split', {
+        text: firstText, speaker: transcript.speaker
+      }, userId, { splitAt: offset, otherSeq: second.seq });
+
+      await client.query(`
+        INSERT INTO transcript_revisions (
+          transcript_id, revision, action, text_before, text_after, speaker_before, speaker_after,
+          diff, details, author_id, created_at
+        )
+        VALUES ($1, 1, 'split', NULL, $2, NULL, $3, $4, $5, $6, NOW())
+      `, [
+        second.id, secondText, second.speaker, JSON.stringify(diffWords(null, secondText)),
+        JSON.stringify({ splitFromSeq: transcript.seq }), userId
+      ]);
+
+      return [first, second];
+    });
+
+    this.broadcast('split', segments);
+    return segments;
+  }
+
+  /**
+   * Merge a segment with the one after it; the later segment's text is appended and the segment is
+   * hidden (merged_into) rather than deleted, so reverting the merge can bring it back with its history
+   * @param {number} transcriptId - Transcript ID of the earlier segment
+   * @param {number} userId - Acting user ID
+   * @returns {Promise<Object>} { segment, removedSeq }
+   */
+  async mergeWithNext(transcriptId, userId) {
+    const merge = await this.withSegment(transcriptId, userId, async (client, transcript) => {
+      const following = await client.query(`
+        SELECT * FROM transcripts
+        WHERE session_id = $1 AND sort_order > $2 AND merged_into IS NULL
+        ORDER BY sort_order ASC
+        LIMIT 1
+        FOR UPDATE
+      `, [transcript.session_id, transcript.sort_order]);
+      const next = following.rows[0];
+      if (!next) {
+        throw new ServiceError('There is no following segment to merge with');
+      }
+      if (next.language !== transcript.language) {
+        throw new ServiceError('Only segments in the same language can be merged');
+      }
+
+      await client.query('UPDATE transcripts SET merged_into = $2 WHERE id = $1', [next.id, transcript.id]);
+      const segment = await this.applyRevision(client, transcript, 'merge', {
+        text: `${transcript.text} ${next.text}`,
+        speaker: transcript.speaker
+      }, userId, { mergedSeq: next.seq, mergedText: next.text, mergedSpeaker: next.speaker });
+
+      return { segment, removedSeq: next.seq };
+    });
+
+    this.broadcast('merge', [merge.segment], [merge.removedSeq]);
+    return merge;
+  }
+
+  /**
+   * Restore a segment's text and speaker as they were after an earlier revision
+   * (revision 0 is the original caption); the revert is itself recorded as a new revision.
+   * Segments merged in after that revision reappear, and segments merged in as of that revision
+   * that an earlier revert brought back are merged in again.
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Acting user ID
+   * @param {number} revision - Revision to restore
+   * @returns {Promise<Object>} { segment, segments, removedSeqs } where segments are every segment that changed
+   */
+  async revertSegment(transcriptId, userId, revision) {
+    const target = Number(revision);
+    if (!Number.isInteger(target) || target < 0) {
+      throw new ServiceError('revision must be a non-negative integer');
+    }
+
+    const revert = await this.withSegment(transcriptId, userId, async (client, transcript) => {
+      if (target >= transcript.revision) {
+        throw new ServiceError(`revision must be lower than the current revision (${transcript.revision})`);
+      }
+
+      // Revision 0 is the state before the first correction
+      const source = await client.query(
+        'SELECT * FROM transcript_revisions WHERE transcript_id = $1 AND revision = $2',
+        [transcriptId, Math.max(target, 1)]
+      );
+      const row = source.rows[0];
+      const restored = target === 0
+        ? { text: row && row.text_before, speaker: row && row.speaker_before }
+        : { text: row && row.text_after, speaker: row && row.speaker_after };
+      if (!restored.text) {
+        throw new ServiceError(`Revision ${target} cannot be restored`, 404);
+      }
+
+      const merges = await this.mergedSeqsByRevision(client, transcript.id);
+      const mergedNow = merges[transcript.revision] || [];
+      const mergedThen = merges[target] || [];
+
+      const segment = await this.applyRevision(client, transcript, 'revert', restored, userId, { revertedTo: target });
+      const unmerged = await client.query(`
+        UPDATE transcripts SET merged_into = NULL
+        WHERE merged_into = $1 AND seq = ANY($2::int[])
+        RETURNING *
+      `, [transcript.id, mergedNow.filter(seq => !mergedThen.includes(seq))]);
+      const remerged = await client.query(`
+        UPDATE transcripts SET merged_into = $1
+        WHERE session_id = $2 AND merged_into IS NULL AND seq = ANY($3::int[])
+        RETURNING seq
+      `, [transcript.id, transcript.session_id, mergedThen.filter(seq => !mergedNow.includes(seq))]);
+
+      return {
+        segment,
+        segments: [segment, ...unmerged.rows],
+        removedSeqs: remerged.rows.map(row => row.seq)
+      };
+    });
+
+    this.broadcast('revert', revert.segments, revert.removedSeqs);
+    return revert;
+  }
+
+  /**
+   * Sequence numbers of the segments merged into a segment as of each of its revisions
+   * A revert takes on the merges of the revision it restored
+   * @param {Object} client - Transaction client
+   * @param {number} transcriptId - Transcript ID
+   * @returns {Promise<number[][]>} Merged seqs indexed by revision (index 0 is the original caption)
+   */
+  async mergedSeqsByRevision(client, transcriptId) {
+    const result = await client.query(
+      'SELECT revision, action, details FROM transcript_revisions WHERE transcript_id = $1 ORDER BY revision ASC',
+      [transcriptId]
+    );
+
+    const merges = [[]];
+    result.rows.forEach(({ revision, action, details }) => {
+      const previous = merges[revision - 1] || [];
+      if (action === 'merge') {
+        merges[revision] = [...previous, details.mergedSeq];
+      } else if (action === 'revert') {
+        merges[revision] = merges[details.revertedTo] || [];
+      } else {
+        merges[revision] = previous;
+      }
+    });
+    return merges;
+  }
+
+  /**
+   * A segment's revisions, newest first (any session member)
+   * @param {number} transcriptId - Transcript ID
+   * @param {number} userId - Viewing user ID
+   * @returns {Promise<Object[]>} Revisions with author names
+   */
+  async listRevisions(transcriptId, userId) {
+    const found = await pool.query('SELECT session_id FROM transcripts WHERE id = $1', [transcriptId]);
+    if (found.rows.length === 0) {
+      throw new ServiceError('Transcript segment not found', 404);
+    }
+    const role = await sessionAccessService.getSessionRole(found.rows[0].session_id, userId);
+    if (!role) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+
+    const result = await pool.query(`
+      SELECT ${REVISION_COLUMNS}
+      FROM transcript_revisions r
+      LEFT JOIN users u ON u.id = r.author_id
+      WHERE r.transcript_id = $1
+      ORDER BY r.revision DESC
+    `, [transcriptId]);
+    return result.rows;
+  }
+
+  /**
+   * Push corrected segments to the session room and overlays, and re-translate their new text
+   * @param {string} action - 'edit', 'split', 'merge' or 'revert'
+   * @param {Object[]} segments - Updated transcript rows
+   * @param {number[]} removedSeqs - Sequence numbers of segments that no longer exist
+   */
+  broadcast(action, segments, removedSeqs = []) {
+    const sessionId = String(segments[0].session_id);
+    io.to(sessionId).emit('transcript-corrected', { sessionId, action, segments, removedSeqs });
+
+    segments.forEach((segment) => {
+      overlayService.relay({ ...segment, sessionId }, true);
+      translationService.fanOutCaption({
+        captionId: randomUUID(),
+        sessionId,
+        transcriptId: segment.id,
+        seq: segment.seq,
+        text: segment.text,
+        language: segment.language,
+        speaker: segment.speaker,
+        timestamp: segment.timestamp,
+        confidence: segment.confidence === null ? null : Number(segment.confidence),
+        isFinal: true,
+        corrected: true
+      }).catch((error) => {
+        console.error('Error translating corrected segment:', error);
+      });
+    });
+  }
+
+  /**
+   * Validate corrected text
+   * @param {*} text - Input
+   * @returns {string} Trimmed text
+   */
+  normalizeText(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      throw new ServiceError('text must be a non-empty string');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate a corrected speaker name; an empty name clears it
+   * @param {*} speaker - Input
+   * @returns {string|null} Trimmed name or null
+   */
+  normalizeSpeaker(speaker) {
+    if (speaker === null) return null;
+    if (typeof speaker !== 'string' || speaker.trim().length > MAX_SPEAKER_LENGTH) {
+      throw new ServiceError(`speaker must be a string of at most ${MAX_SPEAKER_LENGTH} characters`);
+    }
+    return speaker.trim() || null;
+  }
+}
+
+module.exports = new TranscriptEditService();
@@ -0,0 +1,158 @@
+// services/transcriptionService.js - Caption publishing and server-side audio transcription
+
+const { randomUUID } = require('crypto');
+const { io, pool } = require('../server');
+const { createSttEngine } = require('./stt');
+const sessionAccessService = require('./sessionAccessService');
+const overlayService = require('./overlayService');
+const translationService = require('./translationService');
+const rateLimitService = require('./rateLimitService');
+const usageService = require('./usageService');
+const { parseCaption } = require('./socketPayloads');
+const { ServiceError } = require('./serviceError');
+
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES, 10) || 25 * 1024 * 1024;
+
+class TranscriptionService {
+  constructor(engine) {
+    this.engine = engine;
+    this.maxAudioBytes = MAX_AUDIO_BYTES;
+  }
+
+  /**
+   * Name of the active speech-to-text engine
+   * @returns {string} Engine name
+   */
+  get engineName() {
+    return this.engine.name;
+  }
+
+  /**
+   * Check the user may publish captions into the session
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID
+   */
+  async authorizePublisher(sessionId, userId) {
+    const membership = await sessionAccessService.getMembership(sessionId, userId);
+    if (!membership) {
+      throw new ServiceError('Access denied to this session', 403);
+    }
+    if (!sessionAccessService.publisherRoles.includes(membership.role)) {
+      throw new ServiceError('Only hosts and moderators can publish captions', 403);
+    }
+    if (membership.muted) {
+      throw new ServiceError('You have been muted in this session', 403);
+    }
+    if (membership.status !== 'active') {
+      throw new ServiceError('Captions are only accepted while the session is active', 409);
+    }
+  }
+
+  /**
+   * Save a final caption from a speaker and broadcast it to the session
+   * @param {number} sessionId - Session ID
+   * @param {Object} user - Speaking user ({ userId, name })
+   * @param {Object} segment - { text, language, timestamp, confidence }
+   * @returns {Promise<Object>} { transcript, caption }
+   */
+  async publishCaption(sessionId, user, segment) {
+    await this.authorizePublisher(sessionId, user.userId);
+    await rateLimitService.consume('captions', { userId: user.userId, sessionId });
+    return this.saveCaption(sessionId, user, segment);
+  }
+
+  /**
+   * Store a caption as a transcript, then relay it to the room and its translation rooms
+   * Callers must already have checked that the user may publish into the session
+   * @param {number} sessionId - Session ID
+   * @param {Object} user - Speaking user ({ userId, name })
+   * @param {Object} segment - { text, language, timestamp, confidence }
+   * @returns {Promise<Object>} { transcript, caption }
+   */
+  async saveCaption(sessionId, user, segment) {
+    const { text, language, timestamp, confidence, error } = parseCaption(segment);
+    if (error) {
+      throw new ServiceError(error);
+    }
+
+    // Bumping the session's counter locks its row, so sequence numbers never repeat or go backwards;
+    // paused and ended sessions match no row and reject the caption
+    const spokenAt = new Date(timestamp || Date.now());
+    const result = await pool.query(`
+      WITH next AS (
+        UPDATE sessions SET caption_seq = caption_seq + 1 WHERE id = $1 AND status = 'active' RETURNING caption_seq
+      )
+      INSERT INTO transcripts (session_id, seq, sort_order, source_seq, text, language, speaker, timestamp, confidence, created_at)
+      SELECT $1, next.caption_seq, next.caption_seq, next.caption_seq, $2, $3, $4, $5, $6, NOW() FROM next
+      RETURNING *
+    `, [sessionId, text, language, user.name, isNaN(spokenAt) ? new Date() : spokenAt, confidence]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('Captions are only accepted while the session is active', 409);
+    }
+
+    const transcript = result.rows[0];
+    const caption = {
+      captionId: randomUUID(),
+      sessionId: String(sessionId),
+      transcriptId: transcript.id,
+      seq: transcript.seq,
+      userId: user.userId,
+      text: transcript.text,
+      language: transcript.language,
+      speaker: transcript.speaker,
+      timestamp: transcript.timestamp,
+      confidence: transcript.confidence === null ? null : Number(transcript.confidence),
+      isFinal: true
+    };
+
+    io.to(String(sessionId)).emit('caption-update', caption);
+    overlayService.relay(caption);
+    translationService.fanOutCaption(caption).catch((error) => {
+      console.error('Error fanning out caption translations:', error);
+    });
+
+    return { transcript, caption };
+  }
+
+  /**
+   * Transcribe an audio clip, save the segments as transcripts and broadcast them as captions
+   * Rate-limited per speaker and session, and counted against the host's monthly AI quota
+   * @param {number} sessionId - Session ID
+   * @param {Object} user - Speaking user ({ userId, name })
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {Object} options - { language, mimeType, startedAt } where startedAt is when the clip began
+   * @returns {Promise<Object[]>} Saved transcript records
+   */
+  async ingestAudio(sessionId, user, audioBuffer, { language = 'en', mimeType = 'audio/webm', startedAt = new Date() } = {}) {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      throw new ServiceError('Audio data is required');
+    }
+    if (audioBuffer.length > this.maxAudioBytes) {
+      throw new ServiceError(`Audio exceeds the ${this.maxAudioBytes} byte limit`, 413);
+    }
+
+    await this.authorizePublisher(sessionId, user.userId);
+    await rateLimitService.consume('transcription', { userId: user.userId, sessionId });
+    await usageService.assertWithinQuota(sessionId);
+
+    const segments = await this.engine.transcribe(audioBuffer, { language, mimeType });
+    await usageService.record(sessionId, 'transcription', audioBuffer.length);
+    const clipStart = new Date(startedAt).getTime() || Date.now();
+    const transcripts = [];
+
+    for (const segment of segments) {
+      const { transcript } = await this.saveCaption(sessionId, user, {
+        text: segment.text,
+        language,
+        timestamp: new Date(clipStart + segment.start * 1000),
+        confidence: segment.confidence
+      });
+      transcripts.push(transcript);
+    }
+
+    return transcripts;
+  }
+}
+
+module.exports = new TranscriptionService(createSttEngine());
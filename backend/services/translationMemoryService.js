@@ -0,0 +1,299 @@
+// services/translationMemoryService.js - Translation memory: an in-process LRU over a persistent table
+
+const crypto = require('crypto');
+const { pool } = require('../server');
+const aiService = require('./aiService');
+const { glossaryRules } = require('./glossaryFormat');
+
+const MEMORY_SIZE = parseInt(process.env.TRANSLATION_MEMORY_SIZE, 10) || 5000;
+// Long passages rarely repeat, so they are translated without touching the memory
+const MAX_CACHED_TEXT_LENGTH = 2000;
+const MAX_PAGE_SIZE = 100;
+
+const ENTRY_COLUMNS = `
+  id, source_text AS "sourceText", source_language AS "sourceLanguage", target_language AS "targetLanguage",
+  glossary_version AS "glossaryVersion", translated_text AS "translatedText", provider,
+  hit_count AS "hitCount", created_at AS "createdAt", last_used_at AS "lastUsedAt"
+`;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Normalize source text so trivially different captions share an entry
+ * @param {string} text - Source text
+ * @returns {string} NFC text with collapsed whitespace
+ */
+const normalizeText = (text) => text.normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Version of the glossary rules that can affect one translation
+ * Only terms found in the text count, so unrelated glossary edits keep entries valid
+ * @param {string} text - Normalized source text
+ * @param {Object[]} glossary - Glossary terms
+ * @param {string} targetLanguage - Target language code
+ * @returns {string} Short hash, or an empty string when no term applies
+ */
+const glossaryVersion = (text, glossary, targetLanguage) => {
+  const lowered = text.toLowerCase();
+  const rules = glossaryRules(glossary, targetLanguage)
+    .filter(({ term }) => lowered.includes(term.toLowerCase()))
+    .map(({ term, target }) => `${term.toLowerCase()}=${target}`)
+    .sort();
+
+  return rules.length > 0 ? sha256(rules.join('\n')).slice(0, 16) : '';
+};
+
+// Map-backed LRU: re-inserting a key moves it to the end, so the first key is the least recently used
+class LruCache {
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class TranslationMemoryService {
+  constructor() {
+    this.memory = new LruCache(MEMORY_SIZE);
+    this.resetStats();
+  }
+
+  /**
+   * Zero the hit/miss counters
+   */
+  resetStats() {
+    this.stats = { memoryHits: 0, persistentHits: 0, misses: 0, writes: 0, errors: 0, since: new Date().toISOString() };
+  }
+
+  /**
+   * Translate through the memory, calling the AI provider only on a miss
+   * Entries are keyed by provider, normalized text, languages and glossary version
+   * @param {string} text - Text to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code
+   * @param {Object[]} glossary - Session glossary terms
+   * @param {Object} options - { onProviderCall } called with the text whenever the provider is used (optional)
+   * @returns {Promise<string>} Translated text
+   */
+  async translate(text, targetLanguage, sourceLanguage = 'auto', glossary = [], { onProviderCall } = {}) {
+    const sourceText = normalizeText(text);
+    if (!sourceText || sourceText.length > MAX_CACHED_TEXT_LENGTH) {
+      if (onProviderCall) onProviderCall(text);
+      return aiService.translateText(text, targetLanguage, sourceLanguage, glossary);
+    }
+
+    const entry = {
+      sourceText,
+      sourceLanguage,
+      targetLanguage,
+      glossaryVersion: glossaryVersion(sourceText, glossary, targetLanguage),
+      provider: aiService.providerName
+    };
+    const key = sha256([entry.provider, sourceLanguage, targetLanguage, entry.glossaryVersion, sourceText].join('\u0000'));
+
+    const remembered = this.memory.get(key);
+    if (remembered) {
+      this.stats.memoryHits++;
+      return remembered.translatedText;
+    }
+
+    const stored = await this.lookup(key);
+    if (stored !== null) {
+      this.stats.persistentHits++;
+      this.memory.set(key, { sourceText, translatedText: stored });
+      return stored;
+    }
+
+    this.stats.misses++;
+    if (onProviderCall) onProviderCall(sourceText);
+    const translatedText = await aiService.translateText(sourceText, targetLanguage, sourceLanguage, glossary);
+    this.memory.set(key, { sourceText, translatedText });
+
+    // Captions should not wait for the write
+    this.store(key, { ...entry, translatedText }).catch((error) => {
+      this.stats.errors++;
+      console.error('Error storing translation memory entry:', error);
+    });
+
+    return translatedText;
+  }
+
+  /**
+   * Read an entry from the table, counting the hit
+   * Lookup failures are treated as misses so translation keeps working without the table
+   * @param {string} key - Entry key
+   * @returns {Promise<string|null>} Stored translation
+   */
+  async lookup(key) {
+    try {
+      const result = await pool.query(`
+        UPDATE translation_memory SET hit_count = hit_count + 1, last_used_at = NOW()
+        WHERE cache_key = $1
+        RETURNING translated_text
+      `, [key]);
+      return result.rows.length > 0 ? result.rows[0].translated_text : null;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Error reading translation memory:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a translation
+   * @param {string} key - Entry key
+   * @param {Object} entry - { sourceText, sourceLanguage, targetLanguage, glossaryVersion, provider, translatedText }
+   */
+  async store(key, { sourceText, sourceLanguage, targetLanguage, glossaryVersion: version, provider, translatedText }) {
+    await pool.query(`
+      INSERT INTO translation_memory
+        (cache_key, source_text, source_language, target_language, glossary_version, provider, translated_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (cache_key) DO UPDATE SET translated_text = EXCLUDED.translated_text, last_used_at = NOW()
+    `, [key, sourceText, sourceLanguage, targetLanguage, version, provider, translatedText]);
+    this.stats.writes++;
+  }
+
+  /**
+   * Drop entries whose source text mentions any of the given glossary terms
+   * Called when terms are added, changed or removed
+   * @param {string[]} terms - Glossary terms
+   * @returns {Promise<number>} Persistent entries removed
+   */
+  async invalidateTerms(terms) {
+    const lowered = [...new Set(terms.filter(Boolean).map(term => term.toLowerCase()))];
+    if (lowered.length === 0) return 0;
+
+    [...this.memory.entries].forEach(([key, { sourceText }]) => {
+      const text = sourceText.toLowerCase();
+      if (lowered.some(term => text.includes(term))) this.memory.delete(key);
+    });
+
+    try {
+      const result = await pool.query(`
+        DELETE FROM translation_memory
+        WHERE EXISTS (SELECT 1 FROM unnest($1::text[]) AS term WHERE strpos(lower(source_text), term) > 0)
+      `, [lowered]);
+      return result.rowCount;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Error invalidating translation memory:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Hit/miss counters and memory sizes
+   * @returns {Promise<Object>} Stats
+   */
+  async getStats() {
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM translation_memory');
+    const { memoryHits, persistentHits, misses } = this.stats;
+    const lookups = memoryHits + persistentHits + misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? (memoryHits + persistentHits) / lookups : 0,
+      provider: aiService.providerName,
+      memoryEntries: this.memory.size,
+      memoryCapacity: this.memory.maxSize,
+      persistentEntries: result.rows[0].count
+    };
+  }
+
+  /**
+   * List stored entries, most recently used first
+   * @param {Object} filters - { q, sourceLanguage, targetLanguage, limit, offset }
+   * @returns {Promise<Object[]>} Entries
+   */
+  async listEntries({ q, sourceLanguage, targetLanguage, limit = 50, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const { where, params } = this.buildFilters({ q, sourceLanguage, targetLanguage });
+
+    const result = await pool.query(`
+      SELECT ${ENTRY_COLUMNS} FROM translation_memory
+      ${where}
+      ORDER BY last_used_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pageSize, pageOffset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Delete stored entries matching the filters (all entries without filters) and clear the LRU
+   * @param {Object} filters - { q, sourceLanguage, targetLanguage, olderThanDays }
+   * @returns {Promise<number>} Entries removed
+   */
+  async purge(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const result = await pool.query(`DELETE FROM translation_memory ${where}`, params);
+    this.memory.clear();
+    return result.rowCount;
+  }
+
+  /**
+   * Delete one stored entry
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<boolean>} True when an entry was removed
+   */
+  async deleteEntry(entryId) {
+    const result = await pool.query('DELETE FROM translation_memory WHERE id = $1 RETURNING cache_key', [entryId]);
+    if (result.rows.length === 0) return false;
+    this.memory.delete(result.rows[0].cache_key);
+    return true;
+  }
+
+  /**
+   * Build a WHERE clause from admin filters
+   * @param {Object} filters - { q, sourceLanguage, targetLanguage, olderThanDays }
+   * @returns {Object} { where, params }
+   */
+  buildFilters({ q, sourceLanguage, targetLanguage, olderThanDays } = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (q) add('strpos(lower(source_text), lower(?)) > 0', String(q));
+    if (sourceLanguage) add('source_language = ?', String(sourceLanguage));
+    if (targetLanguage) add('target_language = ?', String(targetLanguage));
+    if (olderThanDays !== undefined && olderThanDays !== '') {
+      add("last_used_at < NOW() - (? * INTERVAL '1 day')", Math.max(parseInt(olderThanDays, 10) || 0, 0));
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+}
+
+module.exports = new TranslationMemoryService();
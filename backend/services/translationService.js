@@ -0,0 +1,110 @@
+// services/translationService.js - Live caption translation fan-out
+
+const { io, pool } = require('../server');
+const translationMemoryService = require('./translationMemoryService');
+const glossaryService = require('./glossaryService');
+const overlayService = require('./overlayService');
+const usageService = require('./usageService');
+
+class TranslationService {
+  /**
+   * Name of the Socket.IO sub-room that receives captions in one language
+   * @param {number|string} sessionId - Session ID
+   * @param {string} language - Language code
+   * @returns {string} Room name
+   */
+  languageRoom(sessionId, language) {
+    return `${sessionId}:lang:${language}`;
+  }
+
+  /**
+   * Collect the output languages wanted by the host and participants of a session, and by its overlays
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<string[]>} Distinct language codes
+   */
+  async getSessionTargetLanguages(sessionId) {
+    const languagesQuery = `
+      SELECT DISTINCT jsonb_array_elements_text(lp.output_languages) AS language
+      FROM language_preferences lp
+      WHERE lp.user_id IN (
+        SELECT host_id FROM sessions WHERE id = $1
+        UNION
+        SELECT user_id FROM session_participants WHERE session_id = $1
+      )
+    `;
+
+    const result = await pool.query(languagesQuery, [sessionId]);
+    return [...new Set([...result.rows.map(row => row.language), ...overlayService.listeningLanguages(sessionId)])];
+  }
+
+  /**
+   * Translate a caption once per wanted language and emit each result to its language room
+   * Corrected captions ({ corrected: true }) replace the overlay line with the same seq.
+   * Nothing is translated once the host's monthly AI quota is used up; the original caption still goes out.
+   * @param {Object} caption - Caption payload ({ captionId, sessionId, text, language, ... })
+   * @returns {Promise<void>}
+   */
+  async fanOutCaption(caption) {
+    const { sessionId, text, language: sourceLanguage = 'auto' } = caption;
+    if (!sessionId || !text) return;
+
+    const languages = await this.getSessionTargetLanguages(sessionId);
+    const targets = languages.filter(language => language !== sourceLanguage);
+    if (targets.length === 0) return;
+    if (await usageService.remainingQuota(sessionId) <= 0) return;
+
+    const glossary = await glossaryService.getSessionGlossary(sessionId);
+
+    await Promise.all(targets.map(async (targetLanguage) => {
+      try {
+        const translatedText = await translationMemoryService.translate(text, targetLanguage, sourceLanguage, glossary, {
+          onProviderCall: (sourceText) => usageService.record(sessionId, 'translation', sourceText.length)
+        });
+
+        io.to(this.languageRoom(sessionId, targetLanguage)).emit('caption-translation', {
+          ...caption,
+          text: translatedText,
+          language: targetLanguage,
+          originalText: text,
+          originalLanguage: sourceLanguage
+        });
+        overlayService.relay({ ...caption, text: translatedText, language: targetLanguage }, Boolean(caption.corrected));
+      } catch (error) {
+        console.error(`Error translating caption to ${targetLanguage}:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Translate transcript rows into one language, e.g. for a subtitle export
+   * Rows already in that language are kept; the rest go through the translation memory, and
+   * provider calls count against the host's monthly AI quota
+   * @param {number} sessionId - Session ID
+   * @param {Object[]} segments - Transcript rows ({ text, language, ... })
+   * @param {string} targetLanguage - Language code
+   * @returns {Promise<Object[]>} Rows in the same order with text in the target language
+   * @throws {RateLimitError} When a row needs translating and the quota is used up
+   */
+  async translateSegments(sessionId, segments, targetLanguage) {
+    if (segments.every(segment => segment.language === targetLanguage)) return segments;
+
+    await usageService.assertWithinQuota(sessionId);
+    const glossary = await glossaryService.getSessionGlossary(sessionId);
+
+    // One row at a time, so exporting a long session does not fire hundreds of provider calls at once
+    const translated = [];
+    for (const segment of segments) {
+      if (segment.language === targetLanguage) {
+        translated.push(segment);
+        continue;
+      }
+      const text = await translationMemoryService.translate(segment.text, targetLanguage, segment.language, glossary, {
+        onProviderCall: (sourceText) => usageService.record(sessionId, 'translation', sourceText.length)
+      });
+      translated.push({ ...segment, text, language: targetLanguage });
+    }
+    return translated;
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,158 @@
+// services/usageService.js - Monthly AI usage per host and quota enforcement
+
+const { pool } = require('../server');
+const { ServiceError, RateLimitError } = require('./serviceError');
+
+// AI requests a host's sessions may make per calendar month (UTC); users.ai_monthly_quota overrides it
+const DEFAULT_MONTHLY_QUOTA = parseInt(process.env.AI_MONTHLY_QUOTA, 10) || 20000;
+const MAX_QUOTA = 100000000;
+const USAGE_KINDS = ['translation', 'summary', 'clarification', 'glossary', 'transcription'];
+
+/**
+ * First day of a date's month in UTC
+ * @param {Date} date - Date (default now)
+ * @returns {Date} Month start
+ */
+const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Seconds until the next UTC month starts and quotas reset
+ * @returns {number} Seconds
+ */
+const secondsUntilNextMonth = () => {
+  const now = new Date();
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return (next.getTime() - now.getTime()) / 1000;
+};
+
+const toDateParam = date => date.toISOString().slice(0, 10);
+
+class UsageService {
+  constructor() {
+    this.defaultQuota = DEFAULT_MONTHLY_QUOTA;
+  }
+
+  /**
+   * AI requests left this month for the host of a session
+   * @param {number|string} sessionId - Session ID
+   * @returns {Promise<number>} Remaining requests; Infinity for an unknown session
+   */
+  async remainingQuota(sessionId) {
+    const result = await pool.query(`
+      SELECT COALESCE(u.ai_monthly_quota, $2) AS quota,
+        COALESCE((
+          SELECT SUM(a.requests) FROM ai_usage a WHERE a.host_id = s.host_id AND a.month = $3
+        ), 0)::int AS used
+      FROM sessions s
+      JOIN users u ON u.id = s.host_id
+      WHERE s.id = $1
+    `, [sessionId, this.defaultQuota, toDateParam(monthStart())]);
+
+    const row = result.rows[0];
+    return row ? row.quota - row.used : Infinity;
+  }
+
+  /**
+   * Reject AI work for a session whose host has used up this month's quota
+   * @param {number|string} sessionId - Session ID
+   * @throws {RateLimitError} With the seconds until the quota resets
+   */
+  async assertWithinQuota(sessionId) {
+    if (await this.remainingQuota(sessionId) <= 0) {
+      throw new RateLimitError(
+        "The session host's monthly AI quota is used up; it resets at the start of next month",
+        secondsUntilNextMonth()
+      );
+    }
+  }
+
+  /**
+   * Count one provider call against the host of a session
+   * Failures are logged and swallowed, so accounting never breaks captions or summaries
+   * @param {number|string} sessionId - Session ID
+   * @param {string} kind - One of USAGE_KINDS
+   * @param {number} inputSize - Characters sent to the provider, or audio bytes
+   */
+  async record(sessionId, kind, inputSize = 0) {
+    try {
+      await pool.query(`
+        INSERT INTO ai_usage (host_id, month, kind, requests, input_size)
+        SELECT host_id, $2, $3, 1, $4 FROM sessions WHERE id = $1
+        ON CONFLICT (host_id, month, kind) DO UPDATE SET
+          requests = ai_usage.requests + 1,
+          input_size = ai_usage.input_size + EXCLUDED.input_size,
+          updated_at = NOW()
+      `, [sessionId, toDateParam(monthStart()), kind, Math.max(0, Math.round(inputSize))]);
+    } catch (error) {
+      console.error('Error recording AI usage:', error);
+    }
+  }
+
+  /**
+   * AI usage by host for one month, heaviest users first
+   * @param {Object} options - { month } as YYYY-MM (default: the current month)
+   * @returns {Promise<Object>} { month, defaultQuota, totals, hosts }
+   */
+  async getReport({ month } = {}) {
+    let start = monthStart();
+    if (month !== undefined && month !== '') {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+        throw new ServiceError('month must be formatted as YYYY-MM');
+      }
+      start = new Date(`${month}-01T00:00:00Z`);
+    }
+
+    const result = await pool.query(`
+      SELECT u.id AS "hostId", u.name, u.email,
+        COALESCE(u.ai_monthly_quota, $2) AS quota,
+        u.ai_monthly_quota IS NOT NULL AS "customQuota",
+        SUM(a.requests)::int AS used,
+        jsonb_object_agg(a.kind, jsonb_build_object('requests', a.requests, 'inputSize', a.input_size)) AS "byKind"
+      FROM ai_usage a
+      JOIN users u ON u.id = a.host_id
+      WHERE a.month = $1
+      GROUP BY u.id
+      ORDER BY used DESC, u.id
+    `, [toDateParam(start), this.defaultQuota]);
+
+    const totals = Object.fromEntries(USAGE_KINDS.map(kind => [kind, { requests: 0, inputSize: 0 }]));
+    result.rows.forEach(({ byKind }) => {
+      Object.entries(byKind).forEach(([kind, { requests, inputSize }]) => {
+        totals[kind].requests += requests;
+        totals[kind].inputSize += inputSize;
+      });
+    });
+
+    return {
+      month: toDateParam(start).slice(0, 7),
+      defaultQuota: this.defaultQuota,
+      totals,
+      hosts: result.rows.map(row => ({ ...row, remaining: Math.max(0, row.quota - row.used) }))
+    };
+  }
+
+  /**
+   * Override a host's monthly quota; null restores the default
+   * @param {number} userId - User ID
+   * @param {number|null} quota - Requests per month
+   * @returns {Promise<Object>} { id, name, email, aiMonthlyQuota }
+   */
+  async setQuota(userId, quota) {
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0 || quota > MAX_QUOTA)) {
+      throw new ServiceError(`quota must be null or an integer between 0 and ${MAX_QUOTA}`);
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET ai_monthly_quota = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, name, email, ai_monthly_quota AS "aiMonthlyQuota"
+    `, [userId, quota]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('User not found', 404);
+    }
+    return result.rows[0];
+  }
+}
+
+module.exports = new UsageService();
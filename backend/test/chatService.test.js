@@ -0,0 +1,49 @@
+// test/chatService.test.js - Chat history paging
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const chatService = require('../services/chatService');
+
+// Messages 1..count, answered newest first like the paging query
+const history = (count) => {
+  fakeServer.answer([[/FROM chat_messages/, (params) => {
+    const before = params[2] || count + 1;
+    return Array.from({ length: count }, (_, index) => ({ id: count - index }))
+      .filter(({ id }) => id < before)
+      .slice(0, params[1]);
+  }]]);
+};
+
+describe('chatService.getMessages', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('returns the newest page in chronological order', async () => {
+    history(5);
+    const page = await chatService.getMessages(5, { limit: 3 });
+    assert.deepEqual(page.messages.map(({ id }) => id), [3, 4, 5]);
+    assert.equal(page.hasMore, true);
+  });
+
+  it('pages back from a message ID cursor', async () => {
+    history(5);
+    const page = await chatService.getMessages(5, { limit: 3, before: '3' });
+    assert.deepEqual(page.messages.map(({ id }) => id), [1, 2]);
+    assert.equal(page.hasMore, false);
+    assert.equal(fakeServer.queries[0].params[2], 3);
+  });
+
+  it('rejects cursors that are not positive message IDs', async () => {
+    for (const before of ['abc', '0', '-4', '1.5', '']) {
+      await assert.rejects(chatService.getMessages(5, { before }), { status: 400 }, before);
+    }
+    assert.equal(fakeServer.queries.length, 0);
+  });
+
+  it('hides hidden messages unless asked for them', async () => {
+    await chatService.getMessages(5);
+    await chatService.getMessages(5, { includeHidden: true });
+    assert.match(fakeServer.queries[0].sql, /is_hidden = FALSE/);
+    assert.doesNotMatch(fakeServer.queries[1].sql, /is_hidden = FALSE/);
+  });
+});
@@ -0,0 +1,71 @@
+// test/glossaryService.test.js - Glossary terms, their validation and the session glossary cache
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const glossaryService = require('../services/glossaryService');
+const translationMemoryService = require('../services/translationMemoryService');
+
+const HOST_ID = 1;
+const TERM = { id: 9, sessionId: 5, ownerId: HOST_ID, term: 'keynote', translations: { 'es-419': 'ponencia' } };
+
+describe('glossaryService', () => {
+  beforeEach((t) => {
+    fakeServer.reset();
+    glossaryService.cache.clear();
+    t.mock.method(translationMemoryService, 'invalidateTerms', async () => {});
+  });
+
+  it('adds a session term for the host and forgets translations that mention it', async () => {
+    fakeServer.answer([
+      [/FROM sessions s\s+LEFT JOIN session_participants/, [{ role: 'host' }]],
+      [/INSERT INTO glossary_terms/, [{ id: 9 }]],
+      [/FROM glossary_terms g WHERE g.id/, [TERM]]
+    ]);
+
+    const term = await glossaryService.createTerm(HOST_ID, {
+      sessionId: 5, term: ' keynote ', translations: { 'es-419': ' ponencia ', 'zh-Hant': '主題演講' }
+    });
+
+    assert.equal(term.id, 9);
+    const insert = fakeServer.queries.find(({ sql }) => sql.includes('INSERT INTO glossary_terms'));
+    assert.equal(insert.params[2], 'keynote');
+    assert.deepEqual(JSON.parse(insert.params[5]), { 'es-419': 'ponencia', 'zh-Hant': '主題演講' });
+    assert.deepEqual(translationMemoryService.invalidateTerms.mock.calls[0].arguments, [['keynote']]);
+  });
+
+  it('checks translation languages like every other language code', async () => {
+    for (const language of ['EN', 'english', 'en_US', 'pt-Brazil1']) {
+      await assert.rejects(
+        glossaryService.createTerm(HOST_ID, { term: 'keynote', translations: { [language]: 'x' } }),
+        { status: 400, message: `Invalid translation for "${language}"` }
+      );
+    }
+    assert.equal(fakeServer.queries.length, 0);
+  });
+
+  it('only lets the host change a session glossary', async () => {
+    fakeServer.answer([[/FROM sessions s\s+LEFT JOIN session_participants/, [{ role: 'moderator' }]]]);
+    await assert.rejects(glossaryService.createTerm(2, { sessionId: 5, term: 'keynote' }), { status: 403 });
+  });
+
+  it('reports duplicate terms as a conflict', async () => {
+    const duplicate = Object.assign(new Error('duplicate key'), { code: '23505' });
+    fakeServer.answer([[/INSERT INTO glossary_terms/, duplicate]]);
+    await assert.rejects(glossaryService.createTerm(HOST_ID, { term: 'keynote' }), { status: 409 });
+  });
+
+  it('caches a session glossary until a term is written', async () => {
+    fakeServer.answer([
+      [/SELECT DISTINCT ON/, [TERM]],
+      [/INSERT INTO glossary_terms/, [{ id: 10 }]]
+    ]);
+
+    await glossaryService.getSessionGlossary(5);
+    await glossaryService.getSessionGlossary(5);
+    await glossaryService.createTerm(HOST_ID, { term: 'panel' });
+    await glossaryService.getSessionGlossary(5);
+
+    assert.equal(fakeServer.queries.filter(({ sql }) => sql.includes('SELECT DISTINCT ON')).length, 2);
+  });
+});
@@ -0,0 +1,65 @@
+// test/helpers/fakeServer.js - Stand-in for server.js so services load without a database or an open port
+
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+
+// Queries and emits are recorded; tests set respond to answer pool.query
+const fake = {
+  queries: [],
+  emitted: [],
+  sockets: [],
+  respond: async () => ({ rows: [] }),
+
+  /**
+   * Answer queries by the first pattern their SQL matches; unmatched queries get no rows
+   * @param {Array} routes - [[RegExp, rows or (params) => rows or Error], ...]
+   */
+  answer(routes) {
+    this.respond = async (sql, params) => {
+      const route = routes.find(([pattern]) => pattern.test(sql));
+      const rows = route ? (typeof route[1] === 'function' ? route[1](params) : route[1]) : [];
+      if (rows instanceof Error) throw rows;
+      return { rows, rowCount: rows.length };
+    };
+  },
+
+  /**
+   * Forget recorded calls and restore the default empty query result
+   */
+  reset() {
+    this.queries = [];
+    this.emitted = [];
+    this.sockets = [];
+    this.respond = async () => ({ rows: [] });
+  }
+};
+
+fake.pool = {
+  query: async (sql, params = []) => {
+    fake.queries.push({ sql, params });
+    return fake.respond(sql, params);
+  },
+  // Transaction clients share the recorded queries, so tests can check for BEGIN, COMMIT and ROLLBACK
+  connect: async () => ({ query: fake.pool.query, release: () => {} })
+};
+
+const emitter = room => ({
+  emit: (event, payload) => fake.emitted.push({ room, event, payload })
+});
+
+fake.io = {
+  ...emitter(null),
+  to: emitter,
+  in: () => ({ fetchSockets: async () => fake.sockets })
+};
+
+// Services require '../server' at load time, so this must be required before any of them
+require.cache[SERVER_PATH] = {
+  id: SERVER_PATH,
+  filename: SERVER_PATH,
+  loaded: true,
+  exports: { app: null, server: null, io: fake.io, pool: fake.pool }
+};
+
+module.exports = fake;
@@ -0,0 +1,53 @@
+// test/identityService.test.js - Linking external identities to users
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const identityService = require('../services/identityService');
+
+const PROFILE = { email: 'ana@example.com', name: 'Ana' };
+
+// User 1 is registered as ana@example.com; new users get the next id
+const existingAccount = () => {
+  const emails = new Map([['ana@example.com', 1]]);
+  let linkedUserId = null;
+  const upsert = ({ reuse }) => (params) => {
+    if (emails.has(params[1])) return reuse ? [{ id: emails.get(params[1]) }] : [];
+    emails.set(params[1], emails.size + 1);
+    return [{ id: emails.get(params[1]) }];
+  };
+  fakeServer.answer([
+    [/FROM user_identities ui/, () => (linkedUserId ? [{ id: linkedUserId }] : [])],
+    [/ON CONFLICT \(email\) DO NOTHING/, upsert({ reuse: false })],
+    [/INSERT INTO users/, upsert({ reuse: true })],
+    [/INSERT INTO user_identities/, (params) => {
+      linkedUserId = params[0];
+      return [];
+    }]
+  ]);
+};
+
+describe('identityService.findOrCreateUser', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('links a verified email to the existing account', async () => {
+    existingAccount();
+    const user = await identityService.findOrCreateUser('clerk', 'user_1', async () => ({ ...PROFILE, emailVerified: true }));
+    assert.equal(user.id, 1);
+  });
+
+  it('gives an unverified email an account of its own', async () => {
+    existingAccount();
+    const user = await identityService.findOrCreateUser('clerk', 'user_1', async () => ({ ...PROFILE, emailVerified: false }));
+
+    assert.equal(user.id, 2);
+    const inserts = fakeServer.queries.filter(({ sql }) => sql.includes('INSERT INTO users'));
+    assert.deepEqual(inserts.map(({ params }) => params[1]), ['ana@example.com', 'user_1@clerk.invalid']);
+  });
+
+  it('returns the linked user without loading the profile again', async () => {
+    fakeServer.answer([[/FROM user_identities ui/, [{ id: 3 }]]]);
+    const user = await identityService.findOrCreateUser('clerk', 'user_1', async () => assert.fail('profile loaded'));
+    assert.equal(user.id, 3);
+  });
+});
@@ -0,0 +1,88 @@
+// test/minutesService.test.js - Rendering meeting minutes, and the PDF font check
+
+require('./helpers/fakeServer');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const minutesService = require('../services/minutesService');
+const { ServiceError } = require('../services/serviceError');
+
+const UNICODE_FONT = '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+const minutes = (overrides = {}) => ({
+  session: { title: 'Planning', description: null, host_name: 'Ana', created_at: '2024-05-01T10:00:00Z', language: 'en', status: 'ended' },
+  participants: [{ name: 'Ben' }],
+  summary: 'The launch moves to Friday.',
+  keyPoints: ['Launch on Friday'],
+  actionItems: ['Ben will tell sales'],
+  transcript: [],
+  ...overrides
+});
+
+// Render a PDF into a Buffer
+const renderPdf = data => new Promise((resolve, reject) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  output.on('end', () => resolve(Buffer.concat(chunks)));
+  output.on('error', reject);
+  minutesService.writePdf(data, output);
+});
+
+describe('minutesService.toMarkdown', () => {
+  it('lists the summary, key points and action items', () => {
+    const markdown = minutesService.toMarkdown(minutes());
+    assert.match(markdown, /^# Meeting Minutes: Planning$/m);
+    assert.match(markdown, /^- Launch on Friday$/m);
+    assert.match(markdown, /^- \[ \] Ben will tell sales$/m);
+    assert.doesNotMatch(markdown, /Appendix/);
+  });
+});
+
+describe('minutesService.assertPdfRenderable', () => {
+  const fonts = minutesService.pdfFonts;
+  afterEach(() => {
+    minutesService.pdfFonts = fonts;
+  });
+
+  it('accepts Western European text with the built-in font', () => {
+    minutesService.pdfFonts = { regular: null, bold: null };
+    minutesService.assertPdfRenderable(minutes({ summary: 'Café “Straße” – 20 €, naïve façade' }));
+  });
+
+  it('rejects other scripts with the built-in font', () => {
+    minutesService.pdfFonts = { regular: null, bold: null };
+    const transcript = [{ speaker: 'Иван', text: 'Привет', timestamp: '2024-05-01T10:00:00Z' }];
+    assert.throws(() => minutesService.assertPdfRenderable(minutes({ transcript })), (error) => {
+      assert.ok(error instanceof ServiceError);
+      assert.equal(error.status, 422);
+      assert.match(error.message, /md or html/);
+      return true;
+    });
+    assert.throws(() => minutesService.assertPdfRenderable(minutes({ keyPoints: ['会議は金曜日'] })), { status: 422 });
+  });
+
+  it('accepts any text once a Unicode font is configured', () => {
+    minutesService.pdfFonts = { regular: UNICODE_FONT, bold: UNICODE_FONT };
+    minutesService.assertPdfRenderable(minutes({ summary: 'مرحبا 你好 Привет' }));
+  });
+});
+
+describe('minutesService.writePdf', () => {
+  it('renders a PDF with the built-in font', async () => {
+    const pdf = await renderPdf(minutes());
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('embeds a configured font', { skip: !fs.existsSync(UNICODE_FONT) && 'no Unicode font installed' }, async () => {
+    const fonts = minutesService.pdfFonts;
+    minutesService.pdfFonts = { regular: UNICODE_FONT, bold: UNICODE_FONT };
+    try {
+      const pdf = await renderPdf(minutes({ summary: 'Привет' }));
+      assert.match(pdf.toString('latin1'), /DejaVuSans/);
+    } finally {
+      minutesService.pdfFonts = fonts;
+    }
+  });
+});
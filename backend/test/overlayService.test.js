@@ -0,0 +1,43 @@
+// test/overlayService.test.js - Overlay presets and the overlay socket handshake
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const overlayService = require('../services/overlayService');
+
+// Connect with a valid overlay token whose preset shows Spanish in an English session
+const handshake = async (lang, settings = { lang: 'es' }) => {
+  fakeServer.answer([[/FROM session_overlays o/, [{ id: 2, sessionId: 5, sessionLanguage: 'en', settings }]]]);
+  const socket = { handshake: { auth: { overlayToken: 'token', lang } }, data: {} };
+  const error = await new Promise(resolve => overlayService.authenticateSocket(socket, resolve));
+  return { socket, error };
+};
+
+describe('overlayService.authenticateSocket', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('shows the preset language unless the handshake asks for another', async () => {
+    assert.equal((await handshake(undefined)).socket.data.overlay.language, 'es');
+    assert.equal((await handshake(undefined, {})).socket.data.overlay.language, 'en');
+  });
+
+  it('lets the handshake pick the preset or the session language', async () => {
+    for (const lang of ['es', 'en']) {
+      const { socket, error } = await handshake(lang);
+      assert.equal(error, undefined);
+      assert.deepEqual(socket.data.overlay, { id: 2, sessionId: 5, language: lang });
+    }
+  });
+
+  it('refuses languages the host did not set up, which would be translated on their quota', async () => {
+    const { socket, error } = await handshake('fr');
+    assert.match(error.message, /shows es or en captions only/);
+    assert.equal(socket.data.overlay, undefined);
+  });
+
+  it('refuses revoked or unknown tokens', async () => {
+    const socket = { handshake: { auth: { overlayToken: 'nope' } }, data: {} };
+    const error = await new Promise(resolve => overlayService.authenticateSocket(socket, resolve));
+    assert.match(error.message, /invalid or revoked/);
+  });
+});
@@ -0,0 +1,95 @@
+// test/providers.test.js - Provider and speech-to-text engine selection and the offline implementations
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider, PROVIDERS } = require('../services/providers');
+const { createSttEngine } = require('../services/stt');
+const { ServiceError } = require('../services/serviceError');
+
+// Run a function with environment variables unset, restoring them afterwards
+const withoutEnv = (names, fn) => {
+  const saved = names.map(name => [name, process.env[name]]);
+  names.forEach(name => delete process.env[name]);
+  try {
+    return fn();
+  } finally {
+    saved.forEach(([name, value]) => {
+      if (value !== undefined) process.env[name] = value;
+    });
+  }
+};
+
+describe('createProvider', () => {
+  it('uses the local provider when no API key is configured', () => {
+    withoutEnv(['AI_PROVIDER', 'GEMINI_API_KEY'], () => assert.equal(createProvider().name, 'local'));
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createProvider('openai'), /Unknown AI provider "openai"\. Available: gemini, local/);
+  });
+});
+
+describe('local provider', () => {
+  const provider = createProvider('local');
+
+  it('tags translations with the target language', async () => {
+    assert.equal(await provider.translateText('Good morning', 'es', 'en'), '[es] Good morning');
+    assert.equal(await provider.translateText('Good morning', 'en', 'en'), 'Good morning');
+  });
+
+  it('applies fixed glossary translations', async () => {
+    const glossary = [{ term: 'keynote', translations: { es: 'ponencia' } }];
+    assert.equal(await provider.translateText('The keynote starts soon', 'es', 'en', glossary), '[es] The ponencia starts soon');
+  });
+
+  it('summarises deterministically, picking out action items', async () => {
+    const transcripts = ['Welcome to the planning call.', 'Revenue grew this quarter.', 'Maria will send the report tomorrow.'];
+    const first = await provider.generateSummary(transcripts, 'final');
+    assert.deepEqual(await provider.generateSummary(transcripts, 'final'), first);
+    assert.deepEqual(first.actionItems, ['Maria will send the report tomorrow.']);
+    assert.equal(first.keyPoints.length, 3);
+  });
+
+  it('suggests acronyms and capitalised names as glossary terms', async () => {
+    const glossary = await provider.generateGlossary(['The API team met Ada Lovelace.', 'The API is ready.']);
+    assert.deepEqual(Object.keys(glossary), ['API', 'Ada Lovelace']);
+    assert.match(glossary.API, /2 times/);
+  });
+});
+
+describe('gemini provider', () => {
+  it('refuses to transcribe audio instead of making text up', async (t) => {
+    const provider = new PROVIDERS.gemini({ apiKey: 'test-key' });
+    const generateContent = t.mock.method(provider.model, 'generateContent', async () => assert.fail('model called'));
+
+    await assert.rejects(provider.transcribeAudio(Buffer.alloc(16), 'en'), (error) => {
+      assert.ok(error instanceof ServiceError);
+      assert.equal(error.status, 501);
+      return true;
+    });
+    assert.equal(generateContent.mock.callCount(), 0);
+  });
+});
+
+describe('createSttEngine', () => {
+  it('uses the fake engine when no engine or Whisper model is configured', () => {
+    withoutEnv(['STT_ENGINE', 'WHISPER_MODEL'], () => assert.equal(createSttEngine().name, 'fake'));
+  });
+
+  it('rejects unknown engines', () => {
+    assert.throws(() => createSttEngine('vosk'), /Unknown STT engine "vosk"/);
+  });
+});
+
+describe('fake STT engine', () => {
+  it('describes the audio it was given', async () => {
+    const segments = await createSttEngine('fake').transcribe(Buffer.alloc(16), { language: 'de' });
+    assert.deepEqual(segments, [{ text: '[de] Audio segment of 16 bytes', start: 0, end: 2, confidence: 1 }]);
+  });
+
+  it('returns configured segments', async () => {
+    const FakeEngine = createSttEngine('fake').constructor;
+    const engine = new FakeEngine({ segments: [{ text: 'Hello', start: 0.5, end: 1.2 }] });
+    assert.deepEqual(await engine.transcribe(Buffer.alloc(0)), [{ text: 'Hello', start: 0.5, end: 1.2, confidence: null }]);
+  });
+});
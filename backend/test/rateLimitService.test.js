@@ -0,0 +1,96 @@
+// test/rateLimitService.test.js - Token-bucket math of the in-memory rate limiter
+
+require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimitService = require('../services/rateLimitService');
+const { RateLimitError } = require('../services/serviceError');
+
+const RateLimitService = rateLimitService.constructor;
+const MemoryStore = rateLimitService.store.constructor;
+
+describe('rateLimitService', () => {
+  let now;
+  let service;
+
+  beforeEach((t) => {
+    now = Date.parse('2024-05-01T10:00:00.000Z');
+    t.mock.method(Date, 'now', () => now);
+    service = new RateLimitService(new MemoryStore());
+    // 3 requests per user and 5 per session, refilled over 60 seconds
+    service.limits = { test: { user: [3, 60], session: [5, 60] } };
+  });
+
+  it('allows a full bucket of requests, then rejects with the wait for the next token', async () => {
+    for (let i = 0; i < 3; i++) {
+      await service.consume('test', { userId: 1 });
+    }
+    await assert.rejects(service.consume('test', { userId: 1 }), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 20);
+      assert.match(error.message, /You are making too many test requests/);
+      return true;
+    });
+  });
+
+  it('refills in proportion to the time elapsed', async () => {
+    for (let i = 0; i < 3; i++) {
+      await service.consume('test', { userId: 1 });
+    }
+
+    now += 10 * 1000;
+    await assert.rejects(service.consume('test', { userId: 1 }), { retryAfter: 10 });
+
+    now += 10 * 1000;
+    await service.consume('test', { userId: 1 });
+    await assert.rejects(service.consume('test', { userId: 1 }), RateLimitError);
+  });
+
+  it('never refills beyond the bucket capacity', async () => {
+    await service.consume('test', { userId: 1 });
+    now += 60 * 60 * 1000;
+    for (let i = 0; i < 3; i++) {
+      await service.consume('test', { userId: 1 });
+    }
+    await assert.rejects(service.consume('test', { userId: 1 }), RateLimitError);
+  });
+
+  it('keeps a bucket per user and one per session', async () => {
+    for (let userId = 1; userId <= 5; userId++) {
+      await service.consume('test', { userId, sessionId: 7 });
+    }
+    await assert.rejects(service.consume('test', { userId: 6, sessionId: 7 }), /This session is making too many/);
+    await service.consume('test', { userId: 6, sessionId: 8 });
+  });
+
+  it('counts allowed and rejected requests', async () => {
+    for (let i = 0; i < 4; i++) {
+      await service.consume('test', { userId: 1 }).catch(() => {});
+    }
+    const stats = service.getStats();
+    assert.equal(stats.store, 'memory');
+    assert.deepEqual(stats.limits.test.user, { capacity: 3, seconds: 60 });
+    assert.equal(stats.allowed, 3);
+    assert.deepEqual(stats.rejected, { 'test:user': 1 });
+  });
+
+  it('lets requests through when the store fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    service.store = { name: 'broken', take: async () => { throw new Error('connection refused'); } };
+    await service.consume('test', { userId: 1, sessionId: 7 });
+    assert.equal(service.getStats().errors, 2);
+  });
+
+  it('rejects unknown routes', async () => {
+    await assert.rejects(service.consume('nope', { userId: 1 }), /Unknown rate-limited route/);
+  });
+
+  it('forgets buckets once they are full again', async () => {
+    const store = new MemoryStore();
+    await store.take('a', 3, 3 / 60);
+    now += 61 * 1000;
+    await store.take('b', 3, 3 / 60);
+    assert.deepEqual([...store.buckets.keys()], ['b']);
+  });
+});
@@ -0,0 +1,74 @@
+// test/searchService.test.js - Search validation, paging and highlighted snippets
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const searchService = require('../services/searchService');
+
+const row = (overrides = {}) => ({
+  type: 'transcript',
+  id: 1,
+  sessionId: 5,
+  sessionTitle: 'Planning',
+  seq: 3,
+  timestamp: '2024-05-01T10:00:00Z',
+  speaker: 'Ana',
+  language: 'en',
+  headline: 'We \u0002launch\u0003 on Friday',
+  rank: '0.06',
+  ...overrides
+});
+
+describe('searchService.search', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('rejects empty, overlong and malformed searches', async () => {
+    await assert.rejects(searchService.search(1, { q: '   ' }), { status: 400 });
+    await assert.rejects(searchService.search(1, { q: 'x'.repeat(201) }), { status: 400 });
+    await assert.rejects(searchService.search(1, { q: 'launch', type: 'chat' }), /type must be one of/);
+    await assert.rejects(searchService.search(1, { q: 'launch', sessionId: '5; DROP' }), /sessionId/);
+    assert.equal(fakeServer.queries.length, 0);
+  });
+
+  it('parses the query once per text search configuration, not per row', async () => {
+    await searchService.search(1, { q: 'launch' });
+    const [{ sql, params }] = fakeServer.queries;
+
+    assert.match(sql, /websearch_to_tsquery\(config, \$2\)/);
+    assert.doesNotMatch(sql, /LATERAL/);
+    assert.ok(params[6].includes('english') && params[6].includes('simple'));
+  });
+
+  it('only searches the requested kind of content', async () => {
+    await searchService.search(1, { q: 'launch', type: 'summaries' });
+    assert.doesNotMatch(fakeServer.queries[0].sql, /FROM search_queries q\s+JOIN transcripts/);
+    assert.match(fakeServer.queries[0].sql, /JOIN summaries/);
+  });
+
+  it('splits highlights into snippet parts and links to the caption or summary', async () => {
+    fakeServer.respond = async () => ({
+      rows: [row(), row({ type: 'summary', id: 9, seq: null, headline: '\u0002Launch\u0003 agreed' })]
+    });
+    const { results, hasMore } = await searchService.search(1, { q: 'launch' });
+
+    assert.equal(hasMore, false);
+    assert.deepEqual(results[0].snippet, [
+      { text: 'We ', match: false },
+      { text: 'launch', match: true },
+      { text: ' on Friday', match: false }
+    ]);
+    assert.equal(results[0].rank, 0.06);
+    assert.equal(results[0].link, '/?session=5&seq=3');
+    assert.equal(results[1].link, '/?session=5&tab=summary');
+    assert.equal(results[0].headline, undefined);
+  });
+
+  it('fetches one extra row to tell whether there are more results', async () => {
+    fakeServer.respond = async () => ({ rows: [row({ id: 1 }), row({ id: 2 }), row({ id: 3 })] });
+    const { results, hasMore } = await searchService.search(1, { q: 'launch', limit: 2, offset: 4 });
+
+    assert.deepEqual(results.map(result => result.id), [1, 2]);
+    assert.equal(hasMore, true);
+    assert.deepEqual(fakeServer.queries[0].params.slice(3, 5), [3, 4]);
+  });
+});
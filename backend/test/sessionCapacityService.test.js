@@ -0,0 +1,70 @@
+// test/sessionCapacityService.test.js - Participant cap, waitlist promotion and waitlist notifications
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sessionCapacityService = require('../services/sessionCapacityService');
+
+const COUNTS = { maxParticipants: 2, participantCount: 2, waitlistCount: 1 };
+
+describe('sessionCapacityService', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('hands a freed seat to the longest-waiting user', async () => {
+    fakeServer.answer([
+      [/FOR UPDATE/, [{ id: 5, max_participants: 2 }]],
+      [/DELETE FROM session_participants/, [{}]],
+      [/COUNT\(\*\)::int AS count FROM session_participants/, [{ count: 1 }]],
+      [/DELETE FROM session_waitlist\s+WHERE id IN/, [{ userId: 7, role: 'moderator' }]],
+      [/s\.max_participants AS "maxParticipants"/, [COUNTS]],
+      [/SELECT user_id AS "userId" FROM session_waitlist/, [{ userId: 8 }]]
+    ]);
+
+    assert.deepEqual(await sessionCapacityService.leave(5, 3), { left: 'participant' });
+
+    const seat = fakeServer.queries.find(({ sql }) => /INSERT INTO session_participants/.test(sql));
+    assert.deepEqual(seat.params, [5, 7, 'moderator']);
+  });
+
+  it('tells promoted and waiting users through their user rooms, and only members about an unlisted session', async () => {
+    fakeServer.answer([
+      [/s\.max_participants AS "maxParticipants"/, [COUNTS]],
+      [/SELECT user_id AS "userId" FROM session_waitlist/, [{ userId: 8 }, { userId: 9 }]],
+      [/AS "memberIds"/, [{ hostId: 1, listed: false, memberIds: [7, 8, 9] }]]
+    ]);
+
+    const capacity = await sessionCapacityService.announce(5, [{ userId: 7, role: 'participant' }]);
+
+    assert.deepEqual(capacity, COUNTS);
+    assert.deepEqual(fakeServer.emitted, [
+      { room: 'user:7', event: 'waitlist-promoted', payload: { sessionId: 5, role: 'participant' } },
+      { room: 'user:8', event: 'waitlist-position', payload: { sessionId: 5, position: 1, waitlistCount: 2 } },
+      { room: 'user:9', event: 'waitlist-position', payload: { sessionId: 5, position: 2, waitlistCount: 2 } },
+      { room: '5', event: 'session-capacity', payload: { sessionId: 5, ...COUNTS } },
+      { room: ['5', 'user:1', 'user:7', 'user:8', 'user:9'], event: 'sessions-changed', payload: { sessionId: 5 } }
+    ]);
+  });
+
+  it('validates the cap and only lets the host change it', async () => {
+    await assert.rejects(sessionCapacityService.setCapacity(5, 1, 0), /max_participants must be an integer/);
+    await assert.rejects(sessionCapacityService.setCapacity(5, 1, 2.5), { status: 400 });
+
+    fakeServer.answer([[/FROM sessions s\s+LEFT JOIN session_participants/, [{ role: 'moderator' }]]]);
+    await assert.rejects(sessionCapacityService.setCapacity(5, 1, 20), { status: 403 });
+  });
+
+  it('seats waiting users as soon as the cap is raised', async () => {
+    fakeServer.answer([
+      [/FROM sessions s\s+LEFT JOIN session_participants/, [{ role: 'host' }]],
+      [/FOR UPDATE/, [{ id: 5, max_participants: 2 }]],
+      [/COUNT\(\*\)::int AS count FROM session_participants/, [{ count: 2 }]],
+      [/DELETE FROM session_waitlist\s+WHERE id IN/, params => (params[1] === 1 ? [{ userId: 8, role: 'participant' }] : [])],
+      [/s\.max_participants AS "maxParticipants"/, [{ ...COUNTS, maxParticipants: 3 }]]
+    ]);
+
+    await sessionCapacityService.setCapacity(5, 1, 3);
+
+    assert.equal(fakeServer.emitted[0].room, 'user:8');
+    assert.equal(fakeServer.emitted[0].event, 'waitlist-promoted');
+  });
+});
@@ -0,0 +1,112 @@
+// test/sessionJoinService.test.js - Joining sessions with invites and access codes, and the seat cap
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const sessionJoinService = require('../services/sessionJoinService');
+
+const HOST_ID = 1;
+const USER_ID = 2;
+
+// Queries of a join, answered for an active session with the given visibility and seat usage;
+// the user has a waitlist position once they were put on the waitlist
+const joinRoutes = ({ visibility = 'public', accessCodeHash = null, seated = 0, max = 10, invite = { role: 'moderator' } } = {}) => {
+  let queued = false;
+  return [
+    [/SELECT host_id, status, visibility/, [{ host_id: HOST_ID, status: 'active', visibility, access_code_hash: accessCodeHash }]],
+    [/FROM session_bans/, []],
+    [/SELECT id FROM session_participants/, []],
+    [/FOR UPDATE/, [{ id: 5, max_participants: max }]],
+    [/UPDATE session_invites SET use_count/, invite ? [invite] : []],
+    [/COUNT\(\*\)::int AS count FROM session_participants/, [{ count: seated }]],
+    [/INSERT INTO session_waitlist/, () => { queued = true; return []; }],
+    [/ROW_NUMBER\(\) OVER \(ORDER BY id\)::int AS position/, () => (queued ? [{ position: 1 }] : [])]
+  ];
+};
+
+const statements = () => fakeServer.queries.map(({ sql }) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('sessionJoinService.join', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('lets the host in without a seat', async () => {
+    fakeServer.answer(joinRoutes());
+    assert.deepEqual(await sessionJoinService.join(5, HOST_ID), { role: 'host', status: 'joined', position: null });
+    assert.equal(fakeServer.queries.length, 1);
+  });
+
+  it('turns away banned users', async () => {
+    fakeServer.answer([[/FROM session_bans/, [{ id: 1 }]], ...joinRoutes()]);
+    await assert.rejects(sessionJoinService.join(5, USER_ID), { status: 403 });
+  });
+
+  it('reports an existing membership as a conflict', async () => {
+    fakeServer.answer([[/SELECT id FROM session_participants/, [{ id: 1 }]], ...joinRoutes()]);
+    await assert.rejects(sessionJoinService.join(5, USER_ID), { status: 409, message: 'Already joined this session' });
+  });
+
+  it('seats a user in a public session with a free seat', async () => {
+    fakeServer.answer(joinRoutes());
+    assert.deepEqual(await sessionJoinService.join(5, USER_ID), { role: 'participant', status: 'joined', position: null });
+    assert.ok(statements().includes('INSERT INTO session_participants'));
+    assert.ok(statements().includes('COMMIT'));
+  });
+
+  it('puts the user on the waitlist when the session is full', async () => {
+    fakeServer.answer(joinRoutes({ seated: 10 }));
+    assert.deepEqual(await sessionJoinService.join(5, USER_ID), { role: 'participant', status: 'waitlisted', position: 1 });
+    assert.ok(statements().includes('INSERT INTO session_waitlist'));
+  });
+
+  it('requires an invite for invite-only sessions', async () => {
+    fakeServer.answer(joinRoutes({ visibility: 'invite' }));
+    await assert.rejects(sessionJoinService.join(5, USER_ID), /invite-only/);
+  });
+
+  it('checks the access code of code sessions', async () => {
+    const accessCodeHash = await bcrypt.hash('open sesame', 4);
+    fakeServer.answer(joinRoutes({ visibility: 'code', accessCodeHash }));
+
+    await assert.rejects(sessionJoinService.join(5, USER_ID, { accessCode: 'wrong' }), { status: 403 });
+    const admission = await sessionJoinService.join(5, USER_ID, { accessCode: ' open sesame ' });
+    assert.equal(admission.status, 'joined');
+  });
+
+  it('counts the invite use inside the admission transaction and joins with its role', async () => {
+    fakeServer.answer(joinRoutes({ visibility: 'invite' }));
+    const admission = await sessionJoinService.join(5, USER_ID, { inviteToken: 'token' });
+
+    assert.equal(admission.role, 'moderator');
+    const order = statements();
+    assert.ok(order.indexOf('BEGIN') < order.indexOf('UPDATE session_invites SET'));
+    assert.ok(order.indexOf('UPDATE session_invites SET') < order.indexOf('COMMIT'));
+  });
+
+  it('rolls the invite use back when the admission fails', async () => {
+    fakeServer.answer([[/INSERT INTO session_participants/, new Error('connection lost')], ...joinRoutes({ visibility: 'invite' })]);
+    await assert.rejects(sessionJoinService.join(5, USER_ID, { inviteToken: 'token' }), /connection lost/);
+
+    const order = statements();
+    assert.ok(order.indexOf('UPDATE session_invites SET') < order.indexOf('ROLLBACK'));
+    assert.equal(order.includes('COMMIT'), false);
+  });
+
+  it('does not use the invite when a concurrent join already seated the user', async () => {
+    // The membership check before the lock passes; the one under the lock sees the seat
+    let checks = 0;
+    fakeServer.answer([
+      [/SELECT id FROM session_participants/, () => (checks++ === 0 ? [] : [{ id: 1 }])],
+      ...joinRoutes({ visibility: 'invite' })
+    ]);
+    await assert.rejects(sessionJoinService.join(5, USER_ID, { inviteToken: 'token' }), { status: 409, message: /Already joined/ });
+    assert.equal(statements().includes('UPDATE session_invites SET'), false);
+    assert.ok(statements().includes('ROLLBACK'));
+  });
+
+  it('rejects invalid or used-up invites', async () => {
+    fakeServer.answer(joinRoutes({ visibility: 'invite', invite: null }));
+    await assert.rejects(sessionJoinService.join(5, USER_ID, { inviteToken: 'token' }), { status: 403 });
+    assert.ok(statements().includes('ROLLBACK'));
+  });
+});
@@ -0,0 +1,109 @@
+// test/sessionLifecycleService.test.js - Session status transitions
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sessionLifecycleService = require('../services/sessionLifecycleService');
+const { ServiceError } = require('../services/serviceError');
+
+const HOST_ID = 1;
+
+// Answer the status lookup with a session in the given status; updated says whether the guarded UPDATE applies
+const sessionIn = (status, { updated = true, visibility = 'public' } = {}) => async (sql, params) => {
+  if (sql.startsWith('SELECT host_id, status, visibility FROM sessions')) {
+    return { rows: [{ host_id: HOST_ID, status, visibility }] };
+  }
+  if (sql.includes('UPDATE sessions SET')) {
+    return { rows: updated ? [{ id: params[0], status: params[1], startedAt: null, endedAt: null, durationSeconds: null }] : [] };
+  }
+  if (sql.includes('AS "memberIds"')) {
+    return { rows: [{ hostId: HOST_ID, listed: false, memberIds: [7] }] };
+  }
+  return { rows: [] };
+};
+
+describe('sessionLifecycleService.canTransition', () => {
+  it('allows pausing, resuming and ending', () => {
+    assert.ok(sessionLifecycleService.canTransition('active', 'paused'));
+    assert.ok(sessionLifecycleService.canTransition('paused', 'active'));
+    assert.ok(sessionLifecycleService.canTransition('active', 'ended'));
+    assert.ok(sessionLifecycleService.canTransition('paused', 'ended'));
+  });
+
+  it('treats ended as terminal', () => {
+    sessionLifecycleService.statuses.forEach(status => {
+      assert.equal(sessionLifecycleService.canTransition('ended', status), false);
+    });
+  });
+
+  it('rejects no-op and unknown transitions', () => {
+    assert.equal(sessionLifecycleService.canTransition('active', 'active'), false);
+    assert.equal(sessionLifecycleService.canTransition('scheduled', 'active'), false);
+  });
+});
+
+describe('sessionLifecycleService.changeStatus', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('applies an allowed transition and tells the room', async () => {
+    fakeServer.respond = sessionIn('active');
+    const socket = { data: { sessionStatus: 'active' } };
+    fakeServer.sockets = [socket];
+
+    const session = await sessionLifecycleService.changeStatus(5, HOST_ID, 'paused');
+
+    assert.equal(session.status, 'paused');
+    assert.deepEqual(fakeServer.queries[1].params, [5, 'paused', 'active']);
+    assert.equal(socket.data.sessionStatus, 'paused');
+    assert.deepEqual(fakeServer.emitted.map(({ room, event }) => [room, event]), [
+      ['5', 'session-status'],
+      [null, 'sessions-changed']
+    ]);
+  });
+
+  it('keeps invite-only sessions out of other users\' session lists', async () => {
+    fakeServer.respond = sessionIn('active', { visibility: 'invite' });
+
+    await sessionLifecycleService.changeStatus(5, HOST_ID, 'paused');
+
+    assert.deepEqual(fakeServer.emitted[1], {
+      room: ['5', 'user:1', 'user:7'], event: 'sessions-changed', payload: { sessionId: 5 }
+    });
+  });
+
+  it('adds each pause to paused_seconds and leaves it out of the duration', async () => {
+    fakeServer.respond = sessionIn('paused');
+    await sessionLifecycleService.changeStatus(5, HOST_ID, 'ended');
+
+    const { sql } = fakeServer.queries[1];
+    assert.match(sql, /paused_at = CASE WHEN \$2::varchar = 'paused' THEN NOW\(\) END/);
+    assert.match(sql, /paused_seconds = COALESCE\(paused_seconds, 0\) \+ COALESCE\(EXTRACT\(EPOCH FROM NOW\(\) - paused_at\)::int, 0\)/);
+    assert.match(sql, /created_at\)\)::int - COALESCE\(paused_seconds, 0\) - COALESCE\(EXTRACT\(EPOCH FROM NOW\(\) - paused_at\)/);
+  });
+
+  it('rejects unknown statuses before touching the database', async () => {
+    await assert.rejects(sessionLifecycleService.changeStatus(5, HOST_ID, 'archived'), { status: 400 });
+    assert.equal(fakeServer.queries.length, 0);
+  });
+
+  it('only lets the host change the status', async () => {
+    fakeServer.respond = sessionIn('active');
+    await assert.rejects(sessionLifecycleService.changeStatus(5, HOST_ID + 1, 'paused'), { status: 403 });
+  });
+
+  it('refuses transitions out of ended', async () => {
+    fakeServer.respond = sessionIn('ended');
+    await assert.rejects(sessionLifecycleService.changeStatus(5, HOST_ID, 'active'), (error) => {
+      assert.ok(error instanceof ServiceError);
+      assert.equal(error.status, 409);
+      assert.match(error.message, /from ended to active/);
+      return true;
+    });
+  });
+
+  it('reports a conflict when the status changed concurrently', async () => {
+    fakeServer.respond = sessionIn('active', { updated: false });
+    await assert.rejects(sessionLifecycleService.changeStatus(5, HOST_ID, 'paused'), /changed concurrently/);
+    assert.equal(fakeServer.emitted.length, 0);
+  });
+});
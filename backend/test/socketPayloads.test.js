@@ -0,0 +1,124 @@
+// test/socketPayloads.test.js - Validation of Socket.IO payloads
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isLanguage,
+  parseCaption,
+  parsePartialCaption,
+  parseCaptionLanguages,
+  parseAudioChunk
+} = require('../services/socketPayloads');
+
+describe('isLanguage', () => {
+  it('accepts language codes with an optional region or script', () => {
+    ['en', 'fil', 'pt-BR', 'zh-Hant', 'es-419'].forEach(code => assert.ok(isLanguage(code), code));
+  });
+
+  it('rejects anything else', () => {
+    ['', 'EN', 'english', 'e', 'en_US', 'en-', 'en-abcdef', 42, null, undefined, ['en']].forEach(value => {
+      assert.equal(isLanguage(value), false, String(value));
+    });
+  });
+});
+
+describe('parseCaption', () => {
+  it('trims the text and fills in defaults', () => {
+    assert.deepEqual(parseCaption({ text: '  Hello  ' }), {
+      text: 'Hello', language: 'en', timestamp: undefined, confidence: null
+    });
+    assert.deepEqual(parseCaption({ text: 'Hola', language: 'es', timestamp: 5, confidence: 0.9, extra: true }), {
+      text: 'Hola', language: 'es', timestamp: 5, confidence: 0.9
+    });
+  });
+
+  it('rejects malformed payloads with a reason', () => {
+    [null, 'Hello', {}, { text: '   ' }, { text: 5 }].forEach(data => {
+      assert.ok(parseCaption(data).error, JSON.stringify(data));
+    });
+    assert.match(parseCaption({ text: 'x'.repeat(2001) }).error, /at most 2000 characters/);
+    assert.match(parseCaption({ text: 'Hi', language: 'english' }).error, /language/);
+  });
+
+  it('only accepts confidences between 0 and 1', () => {
+    assert.equal(parseCaption({ text: 'Hi', confidence: 0 }).confidence, 0);
+    [-0.1, 1.5, '0.5', NaN].forEach(confidence => {
+      assert.match(parseCaption({ text: 'Hi', confidence }).error, /confidence/, String(confidence));
+    });
+  });
+});
+
+describe('parsePartialCaption', () => {
+  it('defaults the language to English', () => {
+    assert.deepEqual(parsePartialCaption({ text: 'Hello' }), { text: 'Hello', language: 'en' });
+  });
+
+  it('keeps a valid language and drops other fields', () => {
+    assert.deepEqual(parsePartialCaption({ text: 'Hola', language: 'es', extra: true }), { text: 'Hola', language: 'es' });
+  });
+
+  it('returns null for malformed payloads', () => {
+    [null, undefined, 'Hello', ['Hello'], {}, { text: 5 }, { text: 'Hi', language: 'not a code' }, { text: 'x'.repeat(2001) }].forEach(data => {
+      assert.equal(parsePartialCaption(data), null, JSON.stringify(data));
+    });
+  });
+});
+
+describe('parseCaptionLanguages', () => {
+  it('treats a missing payload or list as following no languages', () => {
+    assert.deepEqual(parseCaptionLanguages(undefined), { languages: [] });
+    assert.deepEqual(parseCaptionLanguages(null), { languages: [] });
+    assert.deepEqual(parseCaptionLanguages({}), { languages: [] });
+  });
+
+  it('removes duplicates', () => {
+    assert.deepEqual(parseCaptionLanguages({ languages: ['es', 'fr', 'es'] }), { languages: ['es', 'fr'] });
+  });
+
+  it('rejects a list that is not an array', () => {
+    assert.match(parseCaptionLanguages({ languages: 'es' }).error, /must be an array/);
+  });
+
+  it('rejects invalid language codes', () => {
+    assert.match(parseCaptionLanguages({ languages: ['es', { code: 'fr' }] }).error, /language codes/);
+  });
+
+  it('caps the number of distinct languages', () => {
+    const languages = ['ar', 'de', 'es', 'fr', 'hi', 'it', 'ja', 'ko', 'pt', 'ru', 'zh'];
+    assert.match(parseCaptionLanguages({ languages }).error, /At most 10/);
+    assert.deepEqual(parseCaptionLanguages({ languages: [...languages.slice(0, 10), 'ar'] }).languages, languages.slice(0, 10));
+  });
+});
+
+describe('parseAudioChunk', () => {
+  it('fills in defaults', () => {
+    const chunk = Buffer.from([1, 2, 3]);
+    assert.deepEqual(parseAudioChunk({ chunk }), { chunk, mimeType: 'audio/webm', language: 'en', final: false });
+  });
+
+  it('accepts a final message without audio', () => {
+    assert.deepEqual(parseAudioChunk({ final: true }), { chunk: null, mimeType: 'audio/webm', language: 'en', final: true });
+  });
+
+  it('converts ArrayBuffers and typed arrays to Buffers', () => {
+    const bytes = new Uint8Array([0, 1, 2, 3, 4]);
+    assert.deepEqual(parseAudioChunk({ chunk: bytes.buffer }).chunk, Buffer.from([0, 1, 2, 3, 4]));
+    assert.deepEqual(parseAudioChunk({ chunk: bytes.subarray(1, 3) }).chunk, Buffer.from([1, 2]));
+  });
+
+  it('only treats final === true as final', () => {
+    assert.equal(parseAudioChunk({ final: 'yes' }).final, false);
+  });
+
+  it('accepts MIME types with parameters', () => {
+    assert.equal(parseAudioChunk({ mimeType: 'audio/webm;codecs=opus' }).mimeType, 'audio/webm;codecs=opus');
+  });
+
+  it('rejects malformed payloads', () => {
+    assert.match(parseAudioChunk(null).error, /must be an object/);
+    assert.match(parseAudioChunk({ chunk: 'base64data' }).error, /binary audio data/);
+    assert.match(parseAudioChunk({ mimeType: 'webm' }).error, /MIME type/);
+    assert.match(parseAudioChunk({ mimeType: `audio/${'x'.repeat(100)}` }).error, /MIME type/);
+    assert.match(parseAudioChunk({ language: 'English' }).error, /language code/);
+  });
+});
@@ -0,0 +1,88 @@
+// test/subtitleService.test.js - Subtitle cue timing and SRT/WebVTT rendering
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const subtitleService = require('../services/subtitleService');
+
+const START = '2024-05-01T10:00:00.000Z';
+
+// A transcript row spoken a number of milliseconds after the session start
+const segment = (ms, text, speaker = 'Ana') => ({
+  text,
+  speaker,
+  timestamp: new Date(Date.parse(START) + ms).toISOString()
+});
+
+describe('subtitleService.buildCues', () => {
+  it('times cues from the session start and gives short lines a minimum duration', () => {
+    const cues = subtitleService.buildCues([segment(0, 'Hello everyone'), segment(5000, 'Thanks', 'Ben')], START);
+    assert.deepEqual(cues, [
+      { start: 0, end: 1000, text: 'Hello everyone', speaker: 'Ana' },
+      { start: 5000, end: 6000, text: 'Thanks', speaker: 'Ben' }
+    ]);
+  });
+
+  it('ends a cue when the next one starts', () => {
+    const text = 'This sentence takes about four seconds to read on screen.';
+    const cues = subtitleService.buildCues([segment(0, text), segment(2000, 'Next', 'Ben')], START);
+    assert.equal(cues[0].end, 2000);
+  });
+
+  it('merges close lines from the same speaker', () => {
+    const cues = subtitleService.buildCues([segment(0, 'Hi.'), segment(1500, 'Welcome.')], START);
+    assert.deepEqual(cues, [{ start: 0, end: 2500, text: 'Hi. Welcome.', speaker: 'Ana' }]);
+  });
+
+  it('keeps lines from different speakers apart', () => {
+    const cues = subtitleService.buildCues([segment(0, 'Hi.'), segment(1500, 'Welcome.', 'Ben')], START);
+    assert.equal(cues.length, 2);
+  });
+
+  it('splits long lines into back-to-back cues', () => {
+    const text = Array.from({ length: 24 }, (_, i) => `word${i}`).join(' ');
+    const cues = subtitleService.buildCues([segment(0, text)], START);
+
+    assert.ok(cues.length > 1);
+    assert.equal(cues.map(cue => cue.text).join(' '), text);
+    assert.equal(cues[0].start, 0);
+    cues.forEach((cue, index) => {
+      assert.ok(cue.text.length <= 84);
+      assert.ok(cue.end > cue.start);
+      if (index > 0) assert.equal(cue.start, cues[index - 1].end);
+    });
+  });
+
+  it('never lets split cues run into the next cue', () => {
+    const text = Array.from({ length: 24 }, (_, i) => `word${i}`).join(' ');
+    const cues = subtitleService.buildCues([segment(0, text), segment(1500, 'Next', 'Ben')], START);
+    const next = cues[cues.length - 1];
+
+    assert.equal(next.start, 1500);
+    cues.slice(0, -1).forEach(cue => assert.ok(cue.end <= next.start));
+  });
+
+  it('skips blank lines and clamps lines from before the start', () => {
+    const cues = subtitleService.buildCues([segment(-3000, 'Early'), segment(100, '   ')], START);
+    assert.deepEqual(cues, [{ start: 0, end: 1000, text: 'Early', speaker: 'Ana' }]);
+  });
+});
+
+describe('subtitleService rendering', () => {
+  it('renders SRT with numbered cues and comma millisecond separators', () => {
+    const srt = subtitleService.toSrt([
+      { start: 3723004, end: 3725000, text: 'Short', speaker: null },
+      { start: 3725000, end: 3726000, text: 'Also short', speaker: null }
+    ]);
+    assert.equal(srt, '1\n01:02:03,004 --> 01:02:05,000\nShort\n\n2\n01:02:05,000 --> 01:02:06,000\nAlso short\n');
+  });
+
+  it('wraps long cue text onto two lines', () => {
+    const srt = subtitleService.toSrt([{ start: 0, end: 1000, text: 'This caption is long enough that it needs two lines', speaker: null }]);
+    assert.equal(srt.split('\n').slice(2, 4).join('|'), 'This caption is long enough|that it needs two lines');
+  });
+
+  it('renders WebVTT with escaped text and speaker voice tags', () => {
+    const vtt = subtitleService.toVtt([{ start: 0, end: 1500, text: 'a < b & c', speaker: 'Ana <host>' }]);
+    assert.equal(vtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\n<v Ana &lt;host&gt;>a &lt; b &amp; c\n');
+  });
+});
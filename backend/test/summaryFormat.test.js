@@ -0,0 +1,61 @@
+// test/summaryFormat.test.js - Summary parsing and transcript chunking
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSummary, chunkTranscripts } = require('../services/summaryFormat');
+
+describe('parseSummary', () => {
+  it('parses JSON wrapped in a Markdown code fence', () => {
+    const text = 'Here you go:\n```json\n{"content": " Budget agreed. ", "keyPoints": ["Budget"], "actionItems": []}\n```';
+    assert.deepEqual(parseSummary(text), { content: 'Budget agreed.', keyPoints: ['Budget'], actionItems: [] });
+  });
+
+  it('finds a bare JSON object surrounded by prose', () => {
+    const summary = parseSummary('Summary: {"content": "Launch moved", "actionItems": ["Tell sales"]} Done.');
+    assert.deepEqual(summary, { content: 'Launch moved', keyPoints: [], actionItems: ['Tell sales'] });
+  });
+
+  it('drops blank and non-string list items', () => {
+    const summary = parseSummary('{"content": "x", "keyPoints": ["  one ", "", 3, null, "two"]}');
+    assert.deepEqual(summary.keyPoints, ['one', 'two']);
+  });
+
+  it('rejects output that is not JSON', () => {
+    assert.throws(() => parseSummary('The meeting went well.'), /not valid JSON/);
+  });
+
+  it('rejects a missing or empty content field', () => {
+    assert.throws(() => parseSummary('{"keyPoints": []}'), /"content"/);
+    assert.throws(() => parseSummary('{"content": "   "}'), /"content"/);
+  });
+
+  it('rejects list fields that are not arrays', () => {
+    assert.throws(() => parseSummary('{"content": "x", "actionItems": "call Bob"}'), /"actionItems" must be an array/);
+  });
+});
+
+describe('chunkTranscripts', () => {
+  it('keeps everything in one chunk when it fits', () => {
+    assert.deepEqual(chunkTranscripts(['Hello there.', 'General Kenobi.'], 100), ['Hello there. General Kenobi.']);
+  });
+
+  it('starts a new chunk when the next line would exceed the budget', () => {
+    assert.deepEqual(chunkTranscripts(['aaaa', 'bbbb', 'cccc'], 9), ['aaaa bbbb', 'cccc']);
+  });
+
+  it('splits lines longer than the budget on word boundaries', () => {
+    const chunks = chunkTranscripts(['one two three four five six'], 10);
+    assert.deepEqual(chunks, ['one two', 'three four', 'five six']);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 10));
+  });
+
+  it('keeps every word in order', () => {
+    const lines = ['alpha beta gamma', 'delta', 'epsilon zeta eta theta iota kappa'];
+    const chunks = chunkTranscripts(lines, 12);
+    assert.equal(chunks.join(' '), lines.join(' '));
+  });
+
+  it('returns no chunks for no transcripts', () => {
+    assert.deepEqual(chunkTranscripts([]), []);
+  });
+});
@@ -0,0 +1,94 @@
+// test/summarySchedulerService.test.js - Rolling summary scheduling and backoff after failures
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const summarySchedulerService = require('../services/summarySchedulerService');
+const summaryService = require('../services/summaryService');
+const { RateLimitError } = require('../services/serviceError');
+
+describe('summarySchedulerService.tick', () => {
+  let now;
+  let attempts;
+
+  // Every tick finds the given sessions due; summaries fail with the given error, or succeed without one
+  const setUp = (t, ids, failure) => {
+    fakeServer.respond = async () => ({ rows: ids.map(id => ({ id })) });
+    t.mock.method(summaryService, 'generateRollingSummary', async (sessionId) => {
+      attempts.push(sessionId);
+      if (failure) throw failure;
+      return { id: 1, sessionId };
+    });
+  };
+
+  beforeEach((t) => {
+    fakeServer.reset();
+    summarySchedulerService.failures.clear();
+    attempts = [];
+    now = Date.parse('2024-05-01T10:00:00.000Z');
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('pushes new summaries to the session room', async (t) => {
+    setUp(t, [3]);
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3]);
+    assert.deepEqual(fakeServer.emitted.map(({ room, event }) => [room, event]), [['3', 'summary-update']]);
+  });
+
+  it('skips a failed session until its backoff expires, doubling it after each failure', async (t) => {
+    setUp(t, [3], new Error('provider unavailable'));
+
+    await summarySchedulerService.tick();
+    now += 30 * 1000;
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3]);
+
+    now += 30 * 1000;
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3, 3]);
+
+    now += 60 * 1000;
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3, 3]);
+    now += 60 * 1000;
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3, 3, 3]);
+  });
+
+  it('caps the backoff', () => {
+    for (let i = 0; i < 20; i++) summarySchedulerService.recordFailure(3);
+    assert.equal(summarySchedulerService.recordFailure(3), 30 * 60 * 1000);
+  });
+
+  it('keeps summarizing other sessions while one backs off', async (t) => {
+    setUp(t, [3, 4]);
+    summarySchedulerService.recordFailure(3);
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [4]);
+  });
+
+  it('forgets a failure once a summary succeeds', async (t) => {
+    setUp(t, [3]);
+    summarySchedulerService.recordFailure(3);
+    now += 60 * 1000;
+    await summarySchedulerService.tick();
+    assert.equal(summarySchedulerService.failures.size, 0);
+  });
+
+  it('forgets failures of sessions that are no longer due', async (t) => {
+    setUp(t, [4]);
+    summarySchedulerService.recordFailure(3);
+    await summarySchedulerService.tick();
+    assert.equal(summarySchedulerService.failures.has('3'), false);
+  });
+
+  it('does not back off sessions over their AI quota', async (t) => {
+    setUp(t, [3], new RateLimitError('quota used up', 3600));
+    await summarySchedulerService.tick();
+    await summarySchedulerService.tick();
+    assert.deepEqual(attempts, [3, 3]);
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+});
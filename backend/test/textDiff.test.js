@@ -0,0 +1,46 @@
+// test/textDiff.test.js - Word-level diffs of transcript revisions
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffWords } = require('../services/textDiff');
+
+// Rebuild either side of a diff
+const side = (ops, keep) => ops.filter(([op]) => op === '=' || op === keep).map(([, text]) => text).join('');
+
+describe('diffWords', () => {
+  it('marks a replaced word', () => {
+    assert.deepEqual(diffWords('the quick fox', 'the slow fox'), [
+      ['=', 'the '],
+      ['-', 'quick'],
+      ['+', 'slow'],
+      ['=', ' fox']
+    ]);
+  });
+
+  it('returns a single unchanged part for equal texts', () => {
+    assert.deepEqual(diffWords('same text', 'same text'), [['=', 'same text']]);
+  });
+
+  it('treats a missing old text as a full insertion', () => {
+    assert.deepEqual(diffWords(null, 'new line'), [['+', 'new line']]);
+    assert.deepEqual(diffWords('', 'new line'), [['+', 'new line']]);
+  });
+
+  it('treats a removed text as a full deletion', () => {
+    assert.deepEqual(diffWords('old line', ''), [['-', 'old line']]);
+  });
+
+  it('restores both texts, whitespace included', () => {
+    const before = 'We  will ship\nthe release on Friday.';
+    const after = 'We will ship the  release on Monday, probably.';
+    const ops = diffWords(before, after);
+    assert.equal(side(ops, '-'), before);
+    assert.equal(side(ops, '+'), after);
+  });
+
+  it('records very long texts as a full replacement', () => {
+    const before = Array.from({ length: 600 }, (_, i) => `a${i}`).join(' ');
+    const after = Array.from({ length: 600 }, (_, i) => `b${i}`).join(' ');
+    assert.deepEqual(diffWords(before, after), [['-', before], ['+', after]]);
+  });
+});
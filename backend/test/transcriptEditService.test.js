@@ -0,0 +1,106 @@
+// test/transcriptEditService.test.js - Splitting, merging and reverting transcript segments
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const transcriptEditService = require('../services/transcriptEditService');
+const overlayService = require('../services/overlayService');
+const translationService = require('../services/translationService');
+
+const EDITOR_ID = 1;
+
+// Segment 3 of session 5, with its original caption as revision 0
+const segment = (fields = {}) => ({
+  id: 30, session_id: 5, seq: 3, sort_order: 3, source_seq: 3, text: 'Hello there. How are you?',
+  language: 'en', speaker: 'Ana', timestamp: null, confidence: null, revision: 0, merged_into: null, ...fields
+});
+
+// Answer the editor check and the locked segment, then the routes a test adds
+const editing = (locked, routes = []) => {
+  fakeServer.answer([
+    [/SELECT session_id FROM transcripts/, [{ session_id: 5 }]],
+    [/FROM sessions s\s+LEFT JOIN session_participants/, [{ role: 'host', editor: true, muted: false, status: 'active' }]],
+    [/SELECT \* FROM transcripts WHERE id = \$1 FOR UPDATE/, [locked]],
+    [/UPDATE transcripts SET text/, params => [{ ...locked, text: params[1], speaker: params[2], revision: locked.revision + 1 }]],
+    ...routes
+  ]);
+};
+
+const queriesMatching = pattern => fakeServer.queries.filter(({ sql }) => pattern.test(sql));
+
+describe('transcriptEditService', () => {
+  beforeEach((t) => {
+    fakeServer.reset();
+    t.mock.method(overlayService, 'relay', () => {});
+    t.mock.method(translationService, 'fanOutCaption', async () => {});
+  });
+
+  it('splits a segment, keeping the second half at its place and source', async () => {
+    editing(segment(), [
+      [/SELECT MIN\(sort_order\)/, [{ next: 4 }]],
+      [/INSERT INTO transcripts/, params => [{
+        ...segment(), id: 31, seq: 10, sort_order: params[1], text: params[2], source_seq: params[7], revision: 1
+      }]]
+    ]);
+
+    const [first, second] = await transcriptEditService.splitSegment(30, EDITOR_ID, 12);
+
+    assert.equal(first.text, 'Hello there.');
+    assert.deepEqual([second.text, second.sort_order, second.source_seq], ['How are you?', 3.5, 3]);
+    assert.equal(queriesMatching(/^COMMIT/).length, 1);
+    assert.deepEqual(fakeServer.emitted.map(({ event, payload }) => [event, payload.action]), [['transcript-corrected', 'split']]);
+  });
+
+  it('refuses splits that would leave an empty half', async () => {
+    editing(segment());
+    for (const at of [0, 25, 1.5, 'x']) {
+      await assert.rejects(transcriptEditService.splitSegment(30, EDITOR_ID, at), { status: 400 }, String(at));
+    }
+    assert.equal(queriesMatching(/INSERT INTO transcripts/).length, 0);
+  });
+
+  it('merges the following segment in and hides it', async () => {
+    const next = segment({ id: 40, seq: 4, sort_order: 4, source_seq: 4, text: 'Fine, thanks.' });
+    editing(segment(), [[/ORDER BY sort_order ASC\s+LIMIT 1/, [next]]]);
+
+    const { segment: merged, removedSeq } = await transcriptEditService.mergeWithNext(30, EDITOR_ID);
+
+    assert.equal(merged.text, 'Hello there. How are you? Fine, thanks.');
+    assert.equal(removedSeq, 4);
+    assert.deepEqual(queriesMatching(/SET merged_into = \$2/)[0].params, [40, 30]);
+  });
+
+  it('only merges segments in the same language', async () => {
+    editing(segment(), [[/ORDER BY sort_order ASC\s+LIMIT 1/, [segment({ id: 40, seq: 4, language: 'es' })]]]);
+    await assert.rejects(transcriptEditService.mergeWithNext(30, EDITOR_ID), /same language/);
+    assert.equal(queriesMatching(/^ROLLBACK/).length, 1);
+  });
+
+  it('reverts a merge, restoring the text and bringing the merged segment back', async () => {
+    editing(segment({ text: 'Hello there. How are you? Fine, thanks.', revision: 1 }), [
+      [/WHERE transcript_id = \$1 AND revision = \$2/, [{ text_before: 'Hello there. How are you?', speaker_before: 'Ana' }]],
+      [/SELECT revision, action, details FROM transcript_revisions/, [{ revision: 1, action: 'merge', details: { mergedSeq: 4 } }]],
+      [/SET merged_into = NULL/, params => (params[1].includes(4) ? [segment({ id: 40, seq: 4, text: 'Fine, thanks.' })] : [])]
+    ]);
+
+    const revert = await transcriptEditService.revertSegment(30, EDITOR_ID, 0);
+
+    assert.equal(revert.segment.text, 'Hello there. How are you?');
+    assert.deepEqual(revert.segments.map(({ seq }) => seq), [3, 4]);
+    assert.deepEqual(revert.removedSeqs, []);
+  });
+
+  it('tracks merges across reverts', async () => {
+    const client = {
+      query: async () => ({
+        rows: [
+          { revision: 1, action: 'merge', details: { mergedSeq: 4 } },
+          { revision: 2, action: 'edit', details: null },
+          { revision: 3, action: 'revert', details: { revertedTo: 0 } },
+          { revision: 4, action: 'revert', details: { revertedTo: 2 } }
+        ]
+      })
+    };
+    assert.deepEqual(await transcriptEditService.mergedSeqsByRevision(client, 30), [[], [4], [4], [], [4]]);
+  });
+});
@@ -0,0 +1,33 @@
+// test/transcriptionService.test.js - Storing and relaying captions
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const transcriptionService = require('../services/transcriptionService');
+
+const USER = { userId: 1, name: 'Host' };
+
+describe('transcriptionService.saveCaption', () => {
+  beforeEach(() => fakeServer.reset());
+
+  it('rejects invalid captions before touching the database', async () => {
+    const invalid = [
+      { text: 'x'.repeat(2001) },
+      { text: 'Hi', language: "en'; DROP TABLE" },
+      { text: 'Hi', confidence: 7 }
+    ];
+    for (const segment of invalid) {
+      await assert.rejects(transcriptionService.saveCaption(5, USER, segment), { status: 400 });
+    }
+    assert.equal(fakeServer.queries.length, 0);
+  });
+
+  it('stores the trimmed text and rejects captions for inactive sessions', async () => {
+    await assert.rejects(
+      transcriptionService.saveCaption(5, USER, { text: ' Hello ', language: 'es', confidence: 0.5 }),
+      { status: 409 }
+    );
+    assert.deepEqual(fakeServer.queries[0].params.slice(1, 4), ['Hello', 'es', 'Host']);
+    assert.equal(fakeServer.queries[0].params[5], 0.5);
+  });
+});
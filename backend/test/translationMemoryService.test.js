@@ -0,0 +1,82 @@
+// test/translationMemoryService.test.js - Translation memory lookups, storage and invalidation
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const translationMemoryService = require('../services/translationMemoryService');
+const aiService = require('../services/aiService');
+
+// Let the fire-and-forget store finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('translationMemoryService.translate', () => {
+  beforeEach((t) => {
+    fakeServer.reset();
+    translationMemoryService.memory.clear();
+    translationMemoryService.resetStats();
+    t.mock.method(aiService, 'translateText', async (text, target) => `${target}: ${text}`);
+  });
+
+  it('calls the provider once for repeated text that differs only in whitespace', async () => {
+    const calls = [];
+    const first = await translationMemoryService.translate('Good  morning ', 'es', 'en', [], { onProviderCall: text => calls.push(text) });
+    const second = await translationMemoryService.translate('Good morning', 'es', 'en', [], { onProviderCall: text => calls.push(text) });
+    await settle();
+
+    assert.equal(first, 'es: Good morning');
+    assert.equal(second, first);
+    assert.deepEqual(calls, ['Good morning']);
+    assert.equal(aiService.translateText.mock.callCount(), 1);
+    assert.deepEqual(
+      [translationMemoryService.stats.misses, translationMemoryService.stats.memoryHits, translationMemoryService.stats.writes],
+      [1, 1, 1]
+    );
+  });
+
+  it('reuses stored translations after a restart without calling the provider', async () => {
+    fakeServer.answer([[/UPDATE translation_memory SET hit_count/, [{ translated_text: 'Buenos días' }]]]);
+
+    assert.equal(await translationMemoryService.translate('Good morning', 'es', 'en'), 'Buenos días');
+    assert.equal(aiService.translateText.mock.callCount(), 0);
+    assert.equal(translationMemoryService.stats.persistentHits, 1);
+  });
+
+  it('keys entries by the glossary terms that occur in the text', async () => {
+    const glossary = [{ term: 'keynote', translations: { es: 'ponencia' } }];
+    await translationMemoryService.translate('The keynote starts', 'es', 'en');
+    await translationMemoryService.translate('The keynote starts', 'es', 'en', glossary);
+    await translationMemoryService.translate('Good morning', 'es', 'en');
+    await translationMemoryService.translate('Good morning', 'es', 'en', glossary);
+    await settle();
+
+    assert.equal(aiService.translateText.mock.callCount(), 3);
+  });
+
+  it('keeps translating when the table is unavailable', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    fakeServer.answer([[/translation_memory/, new Error('relation does not exist')]]);
+
+    assert.equal(await translationMemoryService.translate('Good morning', 'es', 'en'), 'es: Good morning');
+    await settle();
+    assert.equal(translationMemoryService.stats.errors, 2);
+  });
+});
+
+describe('translationMemoryService.invalidateTerms', () => {
+  beforeEach((t) => {
+    fakeServer.reset();
+    translationMemoryService.memory.clear();
+    t.mock.method(aiService, 'translateText', async (text, target) => `${target}: ${text}`);
+  });
+
+  it('forgets remembered and stored entries that mention a term', async () => {
+    await translationMemoryService.translate('The Keynote starts', 'es', 'en');
+    await translationMemoryService.translate('Good morning', 'es', 'en');
+    await settle();
+    fakeServer.answer([[/DELETE FROM translation_memory/, [{}, {}]]]);
+
+    assert.equal(await translationMemoryService.invalidateTerms(['keynote', 'KEYNOTE', '']), 2);
+    assert.equal(translationMemoryService.memory.size, 1);
+    assert.deepEqual(fakeServer.queries.at(-1).params, [['keynote']]);
+  });
+});
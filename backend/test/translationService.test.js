@@ -0,0 +1,43 @@
+// test/translationService.test.js - Translating stored transcript rows into one language
+
+const fakeServer = require('./helpers/fakeServer');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const translationService = require('../services/translationService');
+const translationMemoryService = require('../services/translationMemoryService');
+const glossaryService = require('../services/glossaryService');
+const usageService = require('../services/usageService');
+const { RateLimitError } = require('../services/serviceError');
+
+describe('translationService.translateSegments', () => {
+  beforeEach((t) => {
+    fakeServer.reset();
+    t.mock.method(glossaryService, 'getSessionGlossary', async () => []);
+    t.mock.method(translationMemoryService, 'translate', async (text, target, source) => `${source}>${target}: ${text}`);
+  });
+
+  it('translates rows in other languages and keeps the rest in order', async (t) => {
+    t.mock.method(usageService, 'assertWithinQuota', async () => {});
+    const segments = [
+      { text: 'Hello', language: 'en', speaker: 'Ana' },
+      { text: 'Hola', language: 'es', speaker: 'Ben' }
+    ];
+
+    assert.deepEqual(await translationService.translateSegments(5, segments, 'es'), [
+      { text: 'en>es: Hello', language: 'es', speaker: 'Ana' },
+      { text: 'Hola', language: 'es', speaker: 'Ben' }
+    ]);
+  });
+
+  it('needs no quota when nothing has to be translated', async (t) => {
+    t.mock.method(usageService, 'assertWithinQuota', async () => { throw new RateLimitError('quota used up', 60); });
+    const segments = [{ text: 'Hello', language: 'en' }];
+    assert.equal(await translationService.translateSegments(5, segments, 'en'), segments);
+  });
+
+  it('refuses to translate once the quota is used up', async (t) => {
+    t.mock.method(usageService, 'assertWithinQuota', async () => { throw new RateLimitError('quota used up', 60); });
+    await assert.rejects(translationService.translateSegments(5, [{ text: 'Hello', language: 'en' }], 'es'), RateLimitError);
+    assert.equal(translationMemoryService.translate.mock.callCount(), 0);
+  });
+});
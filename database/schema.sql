@@ -10,12 +10,24 @@ CREATE TABLE IF NOT EXISTS users (
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255), -- NULL for OAuth users
-    role VARCHAR(50) DEFAULT 'viewer' CHECK (role IN ('viewer', 'moderator', 'host')),
+    role VARCHAR(50) DEFAULT 'viewer' CHECK (role IN ('viewer', 'moderator', 'host', 'admin')), -- admin is granted manually
     avatar_url VARCHAR(500),
+    ai_monthly_quota INTEGER CHECK (ai_monthly_quota >= 0), -- AI requests per month for sessions this user hosts; NULL uses AI_MONTHLY_QUOTA
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Linked external identities (Clerk, OAuth providers) for users
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL, -- 'clerk', 'google', 'github'
+    external_id VARCHAR(255) NOT NULL, -- Subject ID at the provider
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, external_id)
+);
+
 -- Sessions table
 CREATE TABLE IF NOT EXISTS sessions (
     id SERIAL PRIMARY KEY,
@@ -25,6 +37,16 @@ CREATE TABLE IF NOT EXISTS sessions (
     language VARCHAR(10) DEFAULT 'en',
     max_participants INTEGER DEFAULT 100,
     status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'ended', 'paused')),
+    visibility VARCHAR(20) DEFAULT 'public' CHECK (visibility IN ('public', 'invite', 'code')),
+    access_code_hash VARCHAR(255), -- bcrypt hash; set when visibility is 'code'
+    caption_seq INTEGER DEFAULT 0, -- Last caption sequence number assigned in this session
+    summary_interval_minutes INTEGER DEFAULT 5 CHECK (summary_interval_minutes >= 0), -- 0 disables timed rolling summaries
+    summary_every_segments INTEGER DEFAULT 50 CHECK (summary_every_segments >= 0), -- 0 disables segment-count rolling summaries
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP,
+    paused_at TIMESTAMP, -- Set while the session is paused
+    paused_seconds INTEGER DEFAULT 0, -- Time spent paused before the current pause
+    duration_seconds INTEGER, -- Set when the session ends; active time only, pauses excluded
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -36,6 +58,56 @@ CREATE TABLE IF NOT EXISTS session_participants (
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     role VARCHAR(50) DEFAULT 'participant' CHECK (role IN ('participant', 'moderator')),
+    is_muted BOOLEAN DEFAULT FALSE, -- Muted participants cannot publish captions or chat
+    is_editor BOOLEAN DEFAULT FALSE, -- Editors can correct transcripts
+    UNIQUE(session_id, user_id)
+);
+
+-- Session invite links; only a SHA-256 hash of each token is stored
+CREATE TABLE IF NOT EXISTS session_invites (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(50) DEFAULT 'participant' CHECK (role IN ('participant', 'moderator')), -- Role given on join
+    max_uses INTEGER CHECK (max_uses > 0), -- NULL for unlimited
+    use_count INTEGER DEFAULT 0,
+    expires_at TIMESTAMP, -- NULL for no expiry
+    revoked_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Caption overlays for livestream browser sources; each has a read-only token (stored hashed)
+-- and a styling preset using the overlay URL's query parameter names
+CREATE TABLE IF NOT EXISTS session_overlays (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    settings JSONB DEFAULT '{}', -- lang, font, size, color, bg, position, align, lines, fade
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- Session waitlist (users queued while a session is at max_participants; id order is queue order)
+CREATE TABLE IF NOT EXISTS session_waitlist (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(50) DEFAULT 'participant' CHECK (role IN ('participant', 'moderator')), -- Role given when seated
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, user_id)
+);
+
+-- Session bans table (users removed and barred from rejoining)
+CREATE TABLE IF NOT EXISTS session_bans (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    banned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(session_id, user_id)
 );
 
@@ -43,12 +115,48 @@ CREATE TABLE IF NOT EXISTS session_participants (
 CREATE TABLE IF NOT EXISTS transcripts (
     id SERIAL PRIMARY KEY,
     session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL, -- Per-session caption order, used by clients to replay missed captions
+    sort_order DOUBLE PRECISION NOT NULL, -- Display order; equals seq except for segments created by a split
+    source_seq INTEGER NOT NULL, -- seq the text was first captioned under; a split half keeps the one of the segment it came from
     text TEXT NOT NULL,
     language VARCHAR(10) DEFAULT 'en',
     speaker VARCHAR(255), -- Speaker name or identifier
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     confidence DECIMAL(3,2), -- AI confidence score (0.00-1.00)
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    revision INTEGER DEFAULT 0, -- Number of corrections; matches the latest transcript_revisions.revision
+    edited_at TIMESTAMP,
+    merged_into INTEGER REFERENCES transcripts(id) ON DELETE CASCADE, -- Set while merged into an earlier segment; merged segments are hidden everywhere but keep their history
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, seq)
+);
+
+-- Transcript corrections; every edit, split, merge and revert of a segment is one revision
+CREATE TABLE IF NOT EXISTS transcript_revisions (
+    id SERIAL PRIMARY KEY,
+    transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL, -- 1 for the first correction of a segment
+    action VARCHAR(20) NOT NULL CHECK (action IN ('edit', 'split', 'merge', 'revert')),
+    text_before TEXT, -- NULL for the second half of a split, which did not exist before
+    text_after TEXT NOT NULL,
+    speaker_before VARCHAR(255),
+    speaker_after VARCHAR(255),
+    diff JSONB, -- Word-level diff of the text: [[op, text], ...] with op '=', '-' or '+'
+    details JSONB, -- Split and merge bookkeeping (e.g. the seq of the other segment)
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(transcript_id, revision)
+);
+
+-- "Explain this" clarifications, cached per segment and language
+CREATE TABLE IF NOT EXISTS caption_clarifications (
+    id SERIAL PRIMARY KEY,
+    transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
+    language VARCHAR(10) NOT NULL,
+    transcript_revision INTEGER NOT NULL, -- Segment revision explained; a later correction makes the entry stale
+    provider VARCHAR(50) NOT NULL,
+    explanation TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(transcript_id, language)
 );
 
 -- Summaries table
@@ -56,12 +164,99 @@ CREATE TABLE IF NOT EXISTS summaries (
     id SERIAL PRIMARY KEY,
     session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
     summary_type VARCHAR(50) DEFAULT 'rolling' CHECK (summary_type IN ('rolling', 'final', 'key_points')),
+    language VARCHAR(10) DEFAULT 'en', -- Session language when written; picks the text search configuration
     content TEXT NOT NULL,
     key_points JSONB, -- Array of key discussion points
     action_items JSONB, -- Array of action items
+    from_seq INTEGER, -- First transcript sequence number covered
+    to_seq INTEGER, -- Last transcript sequence number covered; rolling summaries continue after it
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Chat messages table
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    user_name VARCHAR(255), -- Display name at the time of sending
+    text TEXT NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'message' CHECK (message_type IN ('message', 'question')),
+    is_hidden BOOLEAN DEFAULT FALSE, -- Hidden by a moderator; only hosts and moderators see it
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Q&A questions table
+CREATE TABLE IF NOT EXISTS questions (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    user_name VARCHAR(255), -- Display name at the time of asking
+    text TEXT NOT NULL,
+    status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'answered', 'dismissed')),
+    is_pinned BOOLEAN DEFAULT FALSE,
+    answered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Q&A upvotes table (one vote per user per question)
+CREATE TABLE IF NOT EXISTS question_votes (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(question_id, user_id)
+);
+
+-- Glossary terms: product names and acronyms with fixed translations
+-- Terms without a session apply to every session their owner hosts
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE, -- NULL for account-wide terms
+    owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    term VARCHAR(100) NOT NULL,
+    description TEXT,
+    do_not_translate BOOLEAN DEFAULT FALSE, -- Keep the term verbatim in every language
+    translations JSONB DEFAULT '{}', -- Fixed target terms by language code, e.g. {"fr": "..."}
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Translation memory: reused translations keyed by a hash of provider, languages,
+-- glossary version and normalized source text
+CREATE TABLE IF NOT EXISTS translation_memory (
+    id SERIAL PRIMARY KEY,
+    cache_key CHAR(64) UNIQUE NOT NULL,
+    source_text TEXT NOT NULL, -- Normalized source text
+    source_language VARCHAR(10) NOT NULL,
+    target_language VARCHAR(10) NOT NULL,
+    glossary_version VARCHAR(16) NOT NULL DEFAULT '', -- Empty when no glossary term applies
+    provider VARCHAR(50) NOT NULL,
+    translated_text TEXT NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Monthly AI usage, billed to the host of the session it was used in
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id SERIAL PRIMARY KEY,
+    host_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    month DATE NOT NULL, -- First day of the month (UTC)
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('translation', 'summary', 'clarification', 'glossary', 'transcription')),
+    requests INTEGER NOT NULL DEFAULT 0, -- Provider calls
+    input_size BIGINT NOT NULL DEFAULT 0, -- Characters sent to the provider, or audio bytes for transcription
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(host_id, month, kind)
+);
+
+-- Token buckets for rate limits when RATE_LIMIT_STORE=postgres (shared by all server instances)
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    bucket_key VARCHAR(200) PRIMARY KEY, -- route:scope:id, e.g. summaries:user:42
+    tokens DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL, -- Whether the last request took a token
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Language preferences table
 CREATE TABLE IF NOT EXISTS language_preferences (
     id SERIAL PRIMARY KEY,
@@ -73,14 +268,50 @@ CREATE TABLE IF NOT EXISTS language_preferences (
 );
 
 -- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_host_id ON sessions(host_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
 CREATE INDEX IF NOT EXISTS idx_session_participants_session_id ON session_participants(session_id);
 CREATE INDEX IF NOT EXISTS idx_session_participants_user_id ON session_participants(user_id);
+CREATE INDEX IF NOT EXISTS idx_session_invites_session_id ON session_invites(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_waitlist_session_id ON session_waitlist(session_id, id);
+CREATE INDEX IF NOT EXISTS idx_session_overlays_session_id ON session_overlays(session_id);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated_at ON rate_limit_buckets(updated_at);
 CREATE INDEX IF NOT EXISTS idx_transcripts_session_id ON transcripts(session_id);
 CREATE INDEX IF NOT EXISTS idx_transcripts_timestamp ON transcripts(timestamp);
+CREATE INDEX IF NOT EXISTS idx_transcripts_sort_order ON transcripts(session_id, sort_order);
 CREATE INDEX IF NOT EXISTS idx_summaries_session_id ON summaries(session_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id, id);
+CREATE INDEX IF NOT EXISTS idx_questions_session_id ON questions(session_id);
+CREATE INDEX IF NOT EXISTS idx_question_votes_question_id ON question_votes(question_id);
 CREATE INDEX IF NOT EXISTS idx_language_preferences_user_id ON language_preferences(user_id);
+CREATE INDEX IF NOT EXISTS idx_translation_memory_last_used_at ON translation_memory(last_used_at);
+CREATE INDEX IF NOT EXISTS idx_glossary_terms_session_id ON glossary_terms(session_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_glossary_terms_unique_term
+    ON glossary_terms(owner_id, COALESCE(session_id, 0), lower(term));
+
+-- Full-text search: map a language code to its PostgreSQL text search configuration
+-- (languages without a stemmer fall back to 'simple')
+CREATE OR REPLACE FUNCTION text_search_config(lang VARCHAR)
+RETURNS regconfig AS $$
+    SELECT (CASE split_part(lower(COALESCE(lang, '')), '-', 1)
+        WHEN 'en' THEN 'english'
+        WHEN 'es' THEN 'spanish'
+        WHEN 'fr' THEN 'french'
+        WHEN 'de' THEN 'german'
+        WHEN 'it' THEN 'italian'
+        WHEN 'pt' THEN 'portuguese'
+        WHEN 'ru' THEN 'russian'
+        WHEN 'nl' THEN 'dutch'
+        WHEN 'sv' THEN 'swedish'
+        ELSE 'simple'
+    END)::regconfig
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_transcripts_search ON transcripts
+    USING GIN (to_tsvector(text_search_config(language), text));
+CREATE INDEX IF NOT EXISTS idx_summaries_search ON summaries
+    USING GIN (to_tsvector(text_search_config(language), content));
 
 -- Triggers to update updated_at columns
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -97,6 +328,9 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_sessions_updated_at BEFORE UPDATE ON sessions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_glossary_terms_updated_at BEFORE UPDATE ON glossary_terms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_language_preferences_updated_at BEFORE UPDATE ON language_preferences
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
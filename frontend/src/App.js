@@ -2,6 +2,8 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { ClerkProvider, SignedIn, SignedOut, SignIn, UserButton } from '@clerk/clerk-react';
 import Dashboard from './components/Dashboard';
+import JoinInvite from './components/JoinInvite';
+import CaptionOverlay from './components/CaptionOverlay';
 import './App.css';
 
 // Import your publishable key
@@ -15,18 +17,26 @@ function App() {
   return (
     <ClerkProvider publishableKey={PUBLISHABLE_KEY}>
       <Router>
-        <div className="App">
-          <SignedIn>
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-            </Routes>
-          </SignedIn>
-          <SignedOut>
-            <div className="min-h-screen flex items-center justify-center bg-gray-50">
-              <SignIn />
+        <Routes>
+          {/* Stream overlays authenticate with their own read-only token, not a signed-in user */}
+          <Route path="/overlay/:sessionId" element={<CaptionOverlay />} />
+          <Route path="*" element={
+            <div className="App">
+              <SignedIn>
+                <Routes>
+                  <Route path="/" element={<Dashboard />} />
+                  <Route path="/join/:token" element={<JoinInvite />} />
+                </Routes>
+              </SignedIn>
+              <SignedOut>
+                <div className="min-h-screen flex items-center justify-center bg-gray-50">
+                  {/* Return to the page that asked for sign-in, e.g. an invite link */}
+                  <SignIn fallbackRedirectUrl={window.location.pathname} />
+                </div>
+              </SignedOut>
             </div>
-          </SignedOut>
-        </div>
+          } />
+        </Routes>
       </Router>
     </ClerkProvider>
   );
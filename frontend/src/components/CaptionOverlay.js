@@ -0,0 +1,154 @@
+// components/CaptionOverlay.js - Chrome-less caption overlay for OBS / livestream browser sources
+// (/overlay/:sessionId?token=...&lang=es&size=48); styling comes from the overlay preset, then the query
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import io from 'socket.io-client';
+
+const DEFAULTS = {
+  font: 'Arial, sans-serif',
+  size: 42,
+  color: '#ffffff',
+  bg: 'rgba(0, 0, 0, 0.6)',
+  position: 'bottom',
+  align: 'center',
+  lines: 2,
+  fade: 6000
+};
+
+const NUMERIC_KEYS = ['size', 'lines', 'fade'];
+
+const POSITION_STYLES = {
+  top: { top: '5%' },
+  middle: { top: '50%', transform: 'translateY(-50%)' },
+  bottom: { bottom: '5%' }
+};
+
+// Query parameters use the same names as preset settings; unparseable numbers are ignored
+const settingsFromQuery = (searchParams) => Object.keys(DEFAULTS).reduce((settings, key) => {
+  const value = searchParams.get(key);
+  if (value === null || value === '') return settings;
+  if (NUMERIC_KEYS.includes(key)) {
+    const number = Number(value);
+    return Number.isFinite(number) ? { ...settings, [key]: number } : settings;
+  }
+  return { ...settings, [key]: value };
+}, {});
+
+const CaptionOverlay = () => {
+  const { sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [config, setConfig] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [visible, setVisible] = useState(false);
+  const [error, setError] = useState('');
+  const fadeTimerRef = useRef(null);
+
+  const token = searchParams.get('token');
+  const settings = { ...DEFAULTS, ...(config?.settings || {}), ...settingsFromQuery(searchParams) };
+  const language = searchParams.get('lang') || config?.language;
+  const maxLines = settings.lines === 1 ? 1 : 2;
+
+  // Browser sources composite the page over the stream, so nothing but the captions may paint
+  useEffect(() => {
+    const previous = document.body.style.background;
+    document.body.style.background = 'transparent';
+    return () => {
+      document.body.style.background = previous;
+    };
+  }, []);
+
+  useEffect(() => {
+    const fetchConfig = async () => {
+      try {
+        const response = await axios.get('/api/overlay/config', { params: { token } });
+        if (String(response.data.sessionId) !== String(sessionId)) {
+          setError('This overlay link belongs to a different session.');
+          return;
+        }
+        setConfig(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not load this overlay.');
+      }
+    };
+    fetchConfig();
+  }, [sessionId, token]);
+
+  useEffect(() => {
+    if (!config || !language) return undefined;
+
+    const socket = io(`${process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000'}/overlay`, {
+      auth: { overlayToken: token, lang: language }
+    });
+
+    // New lines push older ones out; a line only returns when it is corrected while still on screen
+    socket.on('overlay-caption', (caption) => {
+      setLines(prev => {
+        if (prev.some(line => line.seq === caption.seq)) {
+          return prev.map(line => (line.seq === caption.seq ? caption : line));
+        }
+        if (prev.length > 0 && caption.seq < prev[prev.length - 1].seq) return prev;
+        return [...prev, caption].slice(-2);
+      });
+      setVisible(true);
+      clearTimeout(fadeTimerRef.current);
+      if (settings.fade > 0) {
+        fadeTimerRef.current = setTimeout(() => setVisible(false), settings.fade);
+      }
+    });
+
+    socket.on('overlay-correction', (caption) => {
+      setLines(prev => prev.map(line => (line.seq === caption.seq ? caption : line)));
+    });
+
+    socket.on('connect_error', (err) => {
+      setError(err.message);
+    });
+    socket.on('connect', () => setError(''));
+
+    return () => {
+      clearTimeout(fadeTimerRef.current);
+      socket.disconnect();
+    };
+  }, [config, language, token, settings.fade]);
+
+  if (error) {
+    return <p style={{ color: '#f87171', fontFamily: 'sans-serif', fontSize: 14, padding: 8 }}>{error}</p>;
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        left: '5%',
+        right: '5%',
+        textAlign: settings.align,
+        opacity: visible ? 1 : 0,
+        transition: 'opacity 500ms ease-in-out',
+        ...(POSITION_STYLES[settings.position] || POSITION_STYLES.bottom)
+      }}
+    >
+      {lines.slice(-maxLines).map(line => (
+        <div key={line.seq}>
+          <span
+            style={{
+              display: 'inline-block',
+              fontFamily: settings.font,
+              fontSize: `${settings.size}px`,
+              lineHeight: 1.25,
+              color: settings.color,
+              background: settings.bg,
+              padding: '0.1em 0.4em',
+              marginTop: '0.15em'
+            }}
+          >
+            {line.text}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CaptionOverlay;
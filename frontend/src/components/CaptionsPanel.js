@@ -2,54 +2,255 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+import TranscriptEditor from './TranscriptEditor';
 
-const CaptionsPanel = ({ session, socket }) => {
+// Length of each recording sent for server-side transcription
+const AUDIO_SEGMENT_MS = 5000;
+const AUDIO_TIMESLICE_MS = 1000;
+
+// Display order; segments created by splitting a caption sort between their neighbours
+const sortKey = caption => caption.sort_order ?? caption.seq;
+
+// Captions are keyed by their per-session sequence number, so duplicates merge in place
+// and out-of-order arrivals end up in order
+const mergeCaptions = (existing, incoming) => {
+  const bySeq = new Map(existing.map(caption => [caption.seq, caption]));
+  incoming.forEach((caption) => {
+    const current = bySeq.get(caption.seq);
+    bySeq.set(caption.seq, current
+      ? { ...current, ...caption, translations: { ...current.translations, ...caption.translations } }
+      : caption);
+  });
+  return [...bySeq.values()].sort((a, b) => sortKey(a) - sortKey(b));
+};
+
+// Replace corrected segments outright; their old translations no longer match and are sent again
+const applyCorrection = (existing, { segments = [], removedSeqs = [] }) => {
+  const removed = new Set(removedSeqs);
+  const kept = existing.filter(caption => !removed.has(caption.seq));
+  return mergeCaptions(
+    kept.map(caption => (segments.some(segment => segment.seq === caption.seq) ? { seq: caption.seq } : caption)),
+    segments.map(segment => ({ ...segment, translations: {} }))
+  );
+};
+
+const hasSpeechRecognition = () => 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+
+const CaptionsPanel = ({ session, socket, outputLanguages = [], muted = false, focusSeq = null, canEdit = false }) => {
+  const { getToken } = useAuth();
   const [captions, setCaptions] = useState([]);
   const [currentCaption, setCurrentCaption] = useState('');
+  const [partialCaptions, setPartialCaptions] = useState({});
   const [isRecording, setIsRecording] = useState(false);
   const [selectedLanguage, setSelectedLanguage] = useState('en');
+  const [recognitionMode, setRecognitionMode] = useState(hasSpeechRecognition() ? 'browser' : 'server');
+  const [isUploading, setIsUploading] = useState(false);
+  const [editingSeq, setEditingSeq] = useState(null);
+  const [explanations, setExplanations] = useState({});
   const captionsRef = useRef(null);
+  const recordingRef = useRef(false);
+  const mediaRecorderRef = useRef(null);
+  const mediaStreamRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const lastSeqRef = useRef(0);
+  const focusedSeqRef = useRef(null);
+
+  const captureBlockedReason = muted
+    ? 'You have been muted by a moderator'
+    : session.status !== 'active' ? `Captions are unavailable while the session is ${session.status}` : '';
 
   useEffect(() => {
+    // Fill any captions missed while the socket was disconnected
+    const handleReconnect = () => fetchCaptions(lastSeqRef.current);
+
     if (socket) {
+      // The speaker also receives its own caption here, possibly before the POST resolves
       socket.on('caption-update', (data) => {
-        setCaptions(prev => [...prev, data]);
+        receiveCaption(data);
         setCurrentCaption(data.text);
+        setPartialCaptions(({ [data.userId]: done, ...rest }) => rest);
+      });
+
+      // Interim results from other speakers; shown live but never kept in the history
+      socket.on('caption-partial', (data) => {
+        setPartialCaptions(({ [data.userId]: previous, ...rest }) => (
+          data.text ? { ...rest, [data.userId]: data } : rest
+        ));
       });
+
+      // Attach translations to the original caption they were produced from
+      socket.on('caption-translation', (data) => {
+        receiveCaption({
+          seq: data.seq,
+          captionId: data.captionId,
+          text: data.originalText,
+          language: data.originalLanguage,
+          timestamp: data.timestamp,
+          speaker: data.speaker,
+          translations: { [data.language]: data.text }
+        });
+      });
+
+      // Hosts and editors corrected, split, merged or reverted segments
+      socket.on('transcript-corrected', (data) => {
+        lastSeqRef.current = Math.max(lastSeqRef.current, ...data.segments.map(segment => segment.seq));
+        setCaptions(prev => applyCorrection(prev, data));
+        forgetExplanations([...data.segments.map(segment => segment.seq), ...data.removedSeqs]);
+      });
+
+      socket.on('connect', handleReconnect);
     }
 
-    fetchExistingCaptions();
+    lastSeqRef.current = 0;
+    setCaptions([]);
+    setExplanations({});
+    fetchCaptions(0);
 
     return () => {
       if (socket) {
         socket.off('caption-update');
+        socket.off('caption-partial');
+        socket.off('caption-translation');
+        socket.off('transcript-corrected');
+        socket.off('connect', handleReconnect);
       }
     };
-  }, [socket, session]);
+  }, [socket, session.id]);
 
+  // The server rejects captions unless the session is active, so stop capturing when it pauses or ends
   useEffect(() => {
-    if (captionsRef.current) {
+    if (session.status !== 'active' && recordingRef.current) {
+      stopRecording();
+    }
+  }, [session.status]);
+
+  // Follow new captions, except while a segment is being corrected
+  useEffect(() => {
+    if (captionsRef.current && editingSeq === null) {
       captionsRef.current.scrollTop = captionsRef.current.scrollHeight;
     }
   }, [captions]);
 
-  const fetchExistingCaptions = async () => {
+  // Scroll a caption opened from a search result into view once it has loaded
+  useEffect(() => {
+    if (!focusSeq || focusedSeqRef.current === focusSeq || !captionsRef.current) return;
+    const target = captionsRef.current.querySelector(`#caption-${focusSeq}`);
+    if (target) {
+      focusedSeqRef.current = focusSeq;
+      target.scrollIntoView({ block: 'center' });
+    }
+  }, [captions, focusSeq]);
+
+  // Merge a caption from a live event or POST response; a gap in the sequence means
+  // events were missed, so fetch everything after the last caption seen
+  const receiveCaption = (caption) => {
+    const lastSeq = lastSeqRef.current;
+    lastSeqRef.current = Math.max(lastSeq, caption.seq);
+    setCaptions(prev => mergeCaptions(prev, [caption]));
+
+    if (lastSeq > 0 && caption.seq > lastSeq + 1) {
+      fetchCaptions(lastSeq);
+    }
+  };
+
+  // Save a final segment; the server assigns the ID, sequence and speaker and relays it to the room
+  const publishCaption = async (text, confidence) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`/api/transcripts/session/${session.id}`, {
+      const token = await getToken();
+      const response = await axios.post('/api/transcripts', {
+        sessionId: session.id,
+        text,
+        language: selectedLanguage,
+        timestamp: new Date().toISOString(),
+        confidence
+      }, {
         headers: { Authorization: `Bearer ${token}` }
       });
-      setCaptions(response.data);
+      receiveCaption(response.data);
+    } catch (error) {
+      console.error('Error saving caption:', error);
+      setCurrentCaption(error.response?.data?.error || 'Could not save caption.');
+    }
+  };
+
+  const emitPartialCaption = (text) => {
+    if (socket) {
+      socket.emit('caption-partial', { text, language: selectedLanguage });
+    }
+  };
+
+  // Apply an editor's own correction without waiting for the broadcast
+  const handleCorrected = (data) => {
+    const correction = {
+      segments: data.segments || [data.segment || data],
+      removedSeqs: data.removedSeqs || (data.removedSeq ? [data.removedSeq] : [])
+    };
+    lastSeqRef.current = Math.max(lastSeqRef.current, ...correction.segments.map(segment => segment.seq));
+    setCaptions(prev => applyCorrection(prev, correction));
+    forgetExplanations([...correction.segments.map(segment => segment.seq), ...correction.removedSeqs]);
+  };
+
+  // A corrected line means something else now, so its explanation is fetched again when reopened
+  const forgetExplanations = (seqs) => {
+    setExplanations(prev => {
+      const next = { ...prev };
+      seqs.forEach(seq => delete next[seq]);
+      return next;
+    });
+  };
+
+  // Clicking a caption opens an explanation of it in the listener's first output language;
+  // the server caches explanations, so reopening a line is cheap
+  const toggleExplanation = async (caption) => {
+    const transcriptId = caption.id || caption.transcriptId;
+    if (!transcriptId) return;
+    if (explanations[caption.seq]) {
+      forgetExplanations([caption.seq]);
+      return;
+    }
+
+    setExplanations(prev => ({ ...prev, [caption.seq]: { loading: true } }));
+    try {
+      const token = await getToken();
+      const response = await axios.post(`/api/transcripts/${transcriptId}/explain`, {
+        language: outputLanguages[0]
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setExplanations(prev => (prev[caption.seq] ? { ...prev, [caption.seq]: response.data } : prev));
+    } catch (error) {
+      const message = error.response?.data?.error || 'Could not explain this caption.';
+      setExplanations(prev => (prev[caption.seq] ? { ...prev, [caption.seq]: { error: message } } : prev));
+    }
+  };
+
+  const fetchCaptions = async (afterSeq) => {
+    try {
+      const token = await getToken();
+      const response = await axios.get(`/api/transcripts/session/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: afterSeq ? { afterSeq } : {}
+      });
+      if (response.data.length > 0) {
+        lastSeqRef.current = Math.max(lastSeqRef.current, ...response.data.map(c => c.seq));
+        setCaptions(prev => mergeCaptions(prev, response.data));
+      }
     } catch (error) {
       console.error('Error fetching captions:', error);
     }
   };
 
   const startRecording = () => {
+    if (recognitionMode === 'server') {
+      startServerRecording();
+      return;
+    }
+
     try {
       // Check if Web Speech API is supported
-      if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        alert('Speech recognition is not supported in this browser. Please use Chrome or Edge.');
+      if (!hasSpeechRecognition()) {
+        alert('Speech recognition is not supported in this browser. Switch to server transcription.');
         return;
       }
 
@@ -61,34 +262,32 @@ const CaptionsPanel = ({ session, socket }) => {
       recognition.lang = selectedLanguage;
 
       recognition.onstart = () => {
+        recordingRef.current = true;
         setIsRecording(true);
         setCurrentCaption('Listening...');
       };
 
       recognition.onresult = (event) => {
         let finalTranscript = '';
+        let finalConfidence = null;
         let interimTranscript = '';
 
         for (let i = event.resultIndex; i < event.results.length; i++) {
           const transcript = event.results[i][0].transcript;
           if (event.results[i].isFinal) {
             finalTranscript += transcript;
+            finalConfidence = event.results[i][0].confidence || null;
           } else {
             interimTranscript += transcript;
           }
         }
 
         if (finalTranscript) {
-          const caption = {
-            text: finalTranscript,
-            language: selectedLanguage,
-            timestamp: new Date().toISOString(),
-            confidence: 0.95
-          };
-          setCaptions(prev => [...prev, caption]);
           setCurrentCaption(finalTranscript);
+          publishCaption(finalTranscript, finalConfidence);
         } else if (interimTranscript) {
           setCurrentCaption(interimTranscript + '...');
+          emitPartialCaption(interimTranscript);
         }
       };
 
@@ -99,6 +298,7 @@ const CaptionsPanel = ({ session, socket }) => {
       };
 
       recognition.onend = () => {
+        recordingRef.current = false;
         setIsRecording(false);
         if (currentCaption === 'Listening...') {
           setCurrentCaption('No speech detected.');
@@ -114,9 +314,124 @@ const CaptionsPanel = ({ session, socket }) => {
     }
   };
 
+  // Record short self-contained clips and stream each one to the server for transcription;
+  // captions come back through the regular caption-update broadcast
+  const startServerRecording = async () => {
+    if (!socket || !window.MediaRecorder) {
+      alert('Audio recording is not supported in this browser.');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      mediaStreamRef.current = stream;
+      recordingRef.current = true;
+      setIsRecording(true);
+      setCurrentCaption('Listening...');
+
+      const recordSegment = () => {
+        const recorder = new MediaRecorder(stream);
+        mediaRecorderRef.current = recorder;
+
+        recorder.ondataavailable = (event) => {
+          // The recorder is already inactive when it delivers the last chunk of a clip
+          const final = recorder.state === 'inactive';
+          if (event.data.size === 0 && !final) return;
+
+          socket.emit('audio-chunk', {
+            chunk: event.data,
+            mimeType: recorder.mimeType,
+            language: selectedLanguage,
+            final
+          }, (response) => {
+            if (response?.error) {
+              console.error('Error streaming audio:', response.error);
+              setCurrentCaption(response.error);
+            }
+          });
+        };
+
+        recorder.onstop = () => {
+          if (recordingRef.current) recordSegment();
+        };
+
+        recorder.start(AUDIO_TIMESLICE_MS);
+        setTimeout(() => {
+          if (recorder.state === 'recording') recorder.stop();
+        }, AUDIO_SEGMENT_MS);
+      };
+
+      recordSegment();
+    } catch (error) {
+      console.error('Error starting audio capture:', error);
+      alert('Could not access the microphone. Please check permissions.');
+    }
+  };
+
   const stopRecording = () => {
+    recordingRef.current = false;
     setIsRecording(false);
-    // Stop media stream in real implementation
+
+    if (window.currentRecognition) {
+      window.currentRecognition.stop();
+      window.currentRecognition = null;
+      emitPartialCaption('');
+    }
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+      mediaRecorderRef.current.stop();
+    }
+    if (mediaStreamRef.current) {
+      mediaStreamRef.current.getTracks().forEach(track => track.stop());
+      mediaStreamRef.current = null;
+    }
+  };
+
+  // Upload a recorded file; the server transcribes it and broadcasts the captions
+  const uploadAudio = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('audio', file);
+      formData.append('sessionId', session.id);
+      formData.append('language', selectedLanguage);
+
+      const token = await getToken();
+      await axios.post('/api/transcripts/audio', formData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (error) {
+      console.error('Error uploading audio:', error);
+      alert(error.response?.data?.error || 'Could not transcribe the audio file.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const downloadSubtitles = async (format) => {
+    try {
+      const token = await getToken();
+      const response = await axios.get(`/api/transcripts/session/${session.id}/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format, lang: selectedLanguage },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `session-${session.id}-${selectedLanguage}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading subtitles:', error);
+      alert('Could not download subtitles.');
+    }
   };
 
   const clearCaptions = () => {
@@ -131,10 +446,12 @@ const CaptionsPanel = ({ session, socket }) => {
         <div className="flex items-center space-x-4">
           <button
             onClick={isRecording ? stopRecording : startRecording}
+            disabled={Boolean(captureBlockedReason) && !isRecording}
+            title={captureBlockedReason || undefined}
             className={`px-4 py-2 rounded-md text-sm font-medium ${
               isRecording
                 ? 'bg-red-600 hover:bg-red-700 text-white'
-                : 'bg-green-600 hover:bg-green-700 text-white'
+                : 'bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white'
             }`}
           >
             {isRecording ? 'Stop Recording' : 'Start Recording'}
@@ -152,14 +469,52 @@ const CaptionsPanel = ({ session, socket }) => {
             <option value="zh">Chinese</option>
             <option value="ja">Japanese</option>
           </select>
+
+          <select
+            value={recognitionMode}
+            onChange={(e) => setRecognitionMode(e.target.value)}
+            disabled={isRecording}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="browser" disabled={!hasSpeechRecognition()}>Browser recognition</option>
+            <option value="server">Server transcription</option>
+          </select>
         </div>
 
-        <button
-          onClick={clearCaptions}
-          className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-md text-sm font-medium"
-        >
-          Clear Captions
-        </button>
+        <div className="flex items-center space-x-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="audio/*"
+            onChange={uploadAudio}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current.click()}
+            disabled={Boolean(captureBlockedReason) || isUploading}
+            className="bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50 text-gray-700 px-3 py-2 rounded-md text-sm font-medium"
+          >
+            {isUploading ? 'Transcribing...' : 'Upload Audio'}
+          </button>
+          <button
+            onClick={() => downloadSubtitles('srt')}
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-2 rounded-md text-sm font-medium"
+          >
+            Download SRT
+          </button>
+          <button
+            onClick={() => downloadSubtitles('vtt')}
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-2 rounded-md text-sm font-medium"
+          >
+            Download VTT
+          </button>
+          <button
+            onClick={clearCaptions}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            Clear Captions
+          </button>
+        </div>
       </div>
 
       {/* Current Caption Display */}
@@ -173,6 +528,12 @@ const CaptionsPanel = ({ session, socket }) => {
         <div className="text-lg text-blue-900 min-h-[3rem] flex items-center">
           {currentCaption || 'Waiting for speech...'}
         </div>
+        {Object.values(partialCaptions).map((partial) => (
+          <p key={partial.userId} className="text-sm italic text-blue-600 mt-1">
+            <span className="font-medium not-italic mr-2">{partial.speaker}</span>
+            {partial.text}...
+          </p>
+        ))}
       </div>
 
       {/* Captions History */}
@@ -190,11 +551,42 @@ const CaptionsPanel = ({ session, socket }) => {
               No captions yet. Start recording to see live captions.
             </p>
           ) : (
-            captions.map((caption, index) => (
-              <div key={index} className="border-l-4 border-indigo-500 pl-4 py-2">
+            captions.map((caption) => (
+              <div
+                key={caption.seq}
+                id={`caption-${caption.seq}`}
+                className={`border-l-4 border-indigo-500 pl-4 py-2 ${caption.seq === focusSeq ? 'bg-yellow-50' : ''}`}
+              >
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
-                    <p className="text-gray-900">{caption.text}</p>
+                    <p
+                      onClick={() => toggleExplanation(caption)}
+                      title={caption.id || caption.transcriptId ? 'Explain this' : undefined}
+                      className={`text-gray-900 ${caption.id || caption.transcriptId ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                    >
+                      {caption.speaker && <span className="text-xs font-medium text-gray-500 mr-2">{caption.speaker}</span>}
+                      {caption.text}
+                    </p>
+                    {explanations[caption.seq] && (
+                      <div className="mt-1 bg-amber-50 border border-amber-200 rounded px-2 py-1 text-sm text-amber-900">
+                        {explanations[caption.seq].loading && <span className="italic">Explaining...</span>}
+                        {explanations[caption.seq].error && <span className="text-red-600">{explanations[caption.seq].error}</span>}
+                        {explanations[caption.seq].explanation && (
+                          <>
+                            <span className="text-xs font-medium mr-2">{explanations[caption.seq].language.toUpperCase()}</span>
+                            {explanations[caption.seq].explanation}
+                          </>
+                        )}
+                      </div>
+                    )}
+                    {caption.translations && outputLanguages
+                      .filter(lang => caption.translations[lang])
+                      .map(lang => (
+                        <p key={lang} className="text-sm text-indigo-700 mt-1">
+                          <span className="text-xs font-medium mr-2">{lang.toUpperCase()}</span>
+                          {caption.translations[lang]}
+                        </p>
+                      ))}
                     <div className="flex items-center space-x-4 mt-1">
                       <span className="text-xs text-gray-500">
                         {new Date(caption.timestamp).toLocaleTimeString()}
@@ -207,7 +599,26 @@ const CaptionsPanel = ({ session, socket }) => {
                           Confidence: {(caption.confidence * 100).toFixed(1)}%
                         </span>
                       )}
+                      {caption.revision > 0 && (
+                        <span className="text-xs text-gray-400">Edited</span>
+                      )}
+                      {canEdit && (caption.id || caption.transcriptId) && editingSeq !== caption.seq && (
+                        <button
+                          onClick={() => setEditingSeq(caption.seq)}
+                          className="text-xs underline text-indigo-600 hover:text-indigo-800"
+                        >
+                          Correct
+                        </button>
+                      )}
                     </div>
+                    {editingSeq === caption.seq && (
+                      <TranscriptEditor
+                        caption={caption}
+                        transcriptId={caption.id || caption.transcriptId}
+                        onCorrected={handleCorrected}
+                        onClose={() => setEditingSeq(null)}
+                      />
+                    )}
                   </div>
                 </div>
               </div>
@@ -1,12 +1,16 @@
-// components/ChatPanel.js - Real-time chat and Q&A component
+// components/ChatPanel.js - Real-time chat component
 
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
 
-const ChatPanel = ({ session, socket, user }) => {
+const ChatPanel = ({ session, socket, user, sessionRole, muted = false }) => {
+  const { getToken } = useAuth();
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const canModerate = sessionRole === 'host' || sessionRole === 'moderator';
   const messagesRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -16,6 +20,25 @@ const ChatPanel = ({ session, socket, user }) => {
         setMessages(prev => [...prev, data]);
       });
 
+      socket.on('message-deleted', (data) => {
+        setMessages(prev => prev.filter(m => m.id !== data.messageId));
+      });
+
+      // Moderators keep hidden messages (flagged); everyone else drops them
+      socket.on('message-hidden', (data) => {
+        setMessages(prev => {
+          if (data.hidden) {
+            return canModerate
+              ? prev.map(m => (m.id === data.messageId ? { ...m, hidden: true } : m))
+              : prev.filter(m => m.id !== data.messageId);
+          }
+          if (prev.some(m => m.id === data.messageId)) {
+            return prev.map(m => (m.id === data.messageId ? { ...m, hidden: false } : m));
+          }
+          return [...prev, data.message].sort((a, b) => a.id - b.id);
+        });
+      });
+
       socket.on('typing', (data) => {
         if (data.userId !== user.id) {
           setIsTyping(data.isTyping);
@@ -28,10 +51,12 @@ const ChatPanel = ({ session, socket, user }) => {
     return () => {
       if (socket) {
         socket.off('chat-message');
+        socket.off('message-deleted');
+        socket.off('message-hidden');
         socket.off('typing');
       }
     };
-  }, [socket, session, user.id]);
+  }, [socket, session, user.id, canModerate]);
 
   useEffect(() => {
     if (messagesRef.current) {
@@ -39,16 +64,38 @@ const ChatPanel = ({ session, socket, user }) => {
     }
   }, [messages]);
 
-  const fetchChatHistory = async () => {
+  const fetchChatHistory = async (before) => {
     try {
-      // In a real implementation, you'd have a chat messages API
-      // For now, we'll start with an empty chat
-      setMessages([]);
+      const token = await getToken();
+      const response = await axios.get(`/api/sessions/${session.id}/messages`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: before ? { before } : {}
+      });
+      const { messages: page, hasMore: more } = response.data;
+      setMessages(prev => (before ? [...page, ...prev] : page));
+      setHasMore(more);
     } catch (error) {
       console.error('Error fetching chat history:', error);
     }
   };
 
+  const loadEarlierMessages = () => {
+    if (messages.length > 0) {
+      fetchChatHistory(messages[0].id);
+    }
+  };
+
+  // The server broadcasts the saved record back to the whole room, sender included
+  const emitMessage = (messageData) => {
+    if (socket) {
+      socket.emit('chat-message', messageData, (response) => {
+        if (response?.error) {
+          console.error('Error sending message:', response.error);
+        }
+      });
+    }
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     if (!newMessage.trim()) return;
@@ -58,20 +105,21 @@ const ChatPanel = ({ session, socket, user }) => {
       userId: user.id,
       userName: user.name,
       text: newMessage.trim(),
-      timestamp: new Date().toISOString(),
       type: 'message'
     };
 
-    // Optimistically add message to UI
-    setMessages(prev => [...prev, messageData]);
     setNewMessage('');
+    emitMessage(messageData);
+  };
 
-    // Send via socket
+  const moderateMessage = (event, data) => {
     if (socket) {
-      socket.emit('chat-message', messageData);
+      socket.emit(event, data, (response) => {
+        if (response?.error) {
+          alert(response.error);
+        }
+      });
     }
-
-    // In a real implementation, you'd also save to database via API
   };
 
   const handleTyping = (e) => {
@@ -93,22 +141,17 @@ const ChatPanel = ({ session, socket, user }) => {
       userId: user.id,
       userName: user.name,
       text: question,
-      timestamp: new Date().toISOString(),
       type: 'question'
     };
 
-    setMessages(prev => [...prev, messageData]);
-
-    if (socket) {
-      socket.emit('chat-message', messageData);
-    }
+    emitMessage(messageData);
   };
 
   return (
     <div className="flex flex-col h-96">
       {/* Chat Header */}
       <div className="flex items-center justify-between p-4 border-b border-gray-200">
-        <h3 className="text-sm font-medium text-gray-900">Chat & Q&A</h3>
+        <h3 className="text-sm font-medium text-gray-900">Chat</h3>
         <div className="flex space-x-2">
           <button
             onClick={() => sendQuickQuestion("I have a question about the current topic.")}
@@ -130,6 +173,17 @@ const ChatPanel = ({ session, socket, user }) => {
         ref={messagesRef}
         className="flex-1 overflow-y-auto p-4 space-y-3"
       >
+        {hasMore && (
+          <div className="text-center">
+            <button
+              onClick={loadEarlierMessages}
+              className="text-xs text-indigo-600 hover:text-indigo-800"
+            >
+              Load earlier messages
+            </button>
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div className="text-center text-gray-500 py-8">
             <p>No messages yet. Start the conversation!</p>
@@ -143,9 +197,9 @@ const ChatPanel = ({ session, socket, user }) => {
             </div>
           </div>
         ) : (
-          messages.map((message, index) => (
+          messages.map((message) => (
             <div
-              key={index}
+              key={message.id}
               className={`flex ${message.userId === user.id ? 'justify-end' : 'justify-start'}`}
             >
               <div
@@ -166,11 +220,32 @@ const ChatPanel = ({ session, socket, user }) => {
                       Q
                     </span>
                   )}
+                  {message.hidden && (
+                    <span className="text-xs bg-gray-300 text-gray-700 px-1 rounded">
+                      Hidden
+                    </span>
+                  )}
                 </div>
                 <p className="text-sm">{message.text}</p>
                 <span className="text-xs opacity-70 mt-1 block">
                   {new Date(message.timestamp).toLocaleTimeString()}
                 </span>
+                {canModerate && (
+                  <div className="flex space-x-2 mt-1">
+                    <button
+                      onClick={() => moderateMessage('hide-message', { messageId: message.id, hidden: !message.hidden })}
+                      className="text-xs underline opacity-70 hover:opacity-100"
+                    >
+                      {message.hidden ? 'Unhide' : 'Hide'}
+                    </button>
+                    <button
+                      onClick={() => moderateMessage('delete-message', { messageId: message.id })}
+                      className="text-xs underline opacity-70 hover:opacity-100"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           ))
@@ -201,12 +276,13 @@ const ChatPanel = ({ session, socket, user }) => {
             type="text"
             value={newMessage}
             onChange={handleTyping}
-            placeholder="Type your message..."
+            placeholder={muted ? 'You have been muted by a moderator' : 'Type your message...'}
+            disabled={muted}
             className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
           />
           <button
             type="submit"
-            disabled={!newMessage.trim()}
+            disabled={muted || !newMessage.trim()}
             className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-md text-sm font-medium"
           >
             Send
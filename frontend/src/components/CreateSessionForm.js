@@ -0,0 +1,190 @@
+// components/CreateSessionForm.js - New session form
+
+import React, { useState } from 'react';
+
+const SOURCE_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'it', name: 'Italian' },
+  { code: 'ru', name: 'Russian' }
+];
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  language: 'en',
+  max_participants: 100,
+  summary_interval_minutes: 5,
+  summary_every_segments: 50,
+  visibility: 'public',
+  access_code: ''
+};
+
+const CreateSessionForm = ({ onCreate, onCancel }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateField = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) {
+      setError('Title is required');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await onCreate({
+        ...form,
+        title: form.title.trim(),
+        max_participants: parseInt(form.max_participants, 10),
+        summary_interval_minutes: parseInt(form.summary_interval_minutes, 10),
+        summary_every_segments: parseInt(form.summary_every_segments, 10),
+        access_code: form.visibility === 'code' ? form.access_code : undefined
+      });
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create session');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border rounded-lg p-4 mb-4 space-y-3 bg-gray-50">
+      <h3 className="text-sm font-medium text-gray-900">New Session</h3>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Title</label>
+        <input
+          type="text"
+          value={form.title}
+          onChange={updateField('title')}
+          maxLength={255}
+          required
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+
+      <div>
+        <label className="block text-xs font-medium text-gray-700 mb-1">Description</label>
+        <textarea
+          value={form.description}
+          onChange={updateField('description')}
+          rows={2}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Source language</label>
+          <select
+            value={form.language}
+            onChange={updateField('language')}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {SOURCE_LANGUAGES.map(lang => (
+              <option key={lang.code} value={lang.code}>{lang.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Max participants</label>
+          <input
+            type="number"
+            min={1}
+            value={form.max_participants}
+            onChange={updateField('max_participants')}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Rolling summary every (minutes)</label>
+          <input
+            type="number"
+            min={0}
+            value={form.summary_interval_minutes}
+            onChange={updateField('summary_interval_minutes')}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">...or every N captions</label>
+          <input
+            type="number"
+            min={0}
+            value={form.summary_every_segments}
+            onChange={updateField('summary_every_segments')}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">Set either to 0 to turn that trigger off.</p>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Who can join</label>
+          <select
+            value={form.visibility}
+            onChange={updateField('visibility')}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="public">Anyone signed in</option>
+            <option value="code">Access code</option>
+            <option value="invite">Invite link only</option>
+          </select>
+        </div>
+        {form.visibility === 'code' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Access code</label>
+            <input
+              type="text"
+              value={form.access_code}
+              onChange={updateField('access_code')}
+              minLength={4}
+              maxLength={64}
+              required
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-md text-sm font-medium"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-md text-sm font-medium"
+        >
+          {submitting ? 'Creating...' : 'Create Session'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CreateSessionForm;
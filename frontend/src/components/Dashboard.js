@@ -1,61 +1,248 @@
 
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import io from 'socket.io-client';
 import { UserButton, useAuth } from '@clerk/clerk-react';
 import CaptionsPanel from './CaptionsPanel';
 import ChatPanel from './ChatPanel';
+import QAPanel from './QAPanel';
+import GlossaryPanel from './GlossaryPanel';
 import SummaryDashboard from './SummaryDashboard';
 import LanguageSelector from './LanguageSelector';
+import ParticipantsPanel from './ParticipantsPanel';
+import CreateSessionForm from './CreateSessionForm';
+import SearchPanel from './SearchPanel';
+import SessionAccessPanel from './SessionAccessPanel';
+import OverlayPanel from './OverlayPanel';
 
-const Dashboard = ({ user, onLogout }) => {
+const TABS = {
+  captions: 'Captions',
+  chat: 'Chat',
+  qa: 'Q&A',
+  summary: 'Summary',
+  glossary: 'Glossary'
+};
+
+// Bursts of session changes (a waitlist draining, many joins) refresh the session list once
+const SESSIONS_REFRESH_DELAY_MS = 1000;
+
+const Dashboard = () => {
   const { getToken } = useAuth();
+  const [user, setUser] = useState(null);
   const [sessions, setSessions] = useState([]);
   const [currentSession, setCurrentSession] = useState(null);
   const [socket, setSocket] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('captions');
   const [isRecording, setIsRecording] = useState(false);
+  const [outputLanguages, setOutputLanguages] = useState(['en']);
+  const [sessionRole, setSessionRole] = useState(null);
+  const [muted, setMuted] = useState(false);
+  const [transcriptEditor, setTranscriptEditor] = useState(false);
+  const [joinedAt, setJoinedAt] = useState(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [sessionError, setSessionError] = useState('');
+  const [focusSeq, setFocusSeq] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sessionsRefreshTimer = useRef(null);
 
   useEffect(() => {
+    fetchCurrentUser();
     fetchSessions();
     initializeSocket();
     return () => {
+      clearTimeout(sessionsRefreshTimer.current);
       if (socket) socket.disconnect();
     };
   }, []);
 
-  const fetchSessions = async () => {
-    // Mock data for demo purposes
-    const mockSessions = [
-      {
-        id: 1,
-        title: 'Demo Conference Session',
-        description: 'A sample virtual conference session for demonstration.',
-        host_name: 'Demo Host',
-        status: 'active',
-        language: 'en',
-        created_at: new Date().toISOString()
-      },
-      {
-        id: 2,
-        title: 'Another Session',
-        description: 'Another example session.',
-        host_name: 'Demo Host',
-        status: 'active',
-        language: 'es',
-        created_at: new Date().toISOString()
+  const currentSessionId = currentSession?.id;
+
+  // Open the session a link points at (?session=&seq=&tab=), e.g. from a search result
+  useEffect(() => {
+    const sessionParam = searchParams.get('session');
+    if (!sessionParam || sessions.length === 0) return;
+
+    const session = sessions.find(s => String(s.id) === sessionParam);
+    if (session) {
+      const seq = searchParams.get('seq');
+      setActiveTab(TABS[searchParams.get('tab')] ? searchParams.get('tab') : 'captions');
+      setFocusSeq(seq ? Number(seq) : null);
+      if (session.id !== currentSessionId) joinSession(session);
+    } else {
+      setSessionError('That session is not available to you.');
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, sessions]);
+
+  // Join the session room, and join again whenever the socket reconnects
+  useEffect(() => {
+    if (!socket || !currentSessionId) return undefined;
+
+    const join = () => {
+      socket.emit('join-session', currentSessionId, (response) => {
+        if (response?.error) {
+          console.error('Error joining session room:', response.error);
+          return;
+        }
+        setSessionRole(response.role);
+        setMuted(response.muted);
+        setTranscriptEditor(Boolean(response.editor));
+        setCurrentSession(prev => (prev && prev.status !== response.status ? { ...prev, status: response.status } : prev));
+        setJoinedAt(Date.now());
+      });
+    };
+
+    if (socket.connected) join();
+    socket.on('connect', join);
+
+    return () => {
+      socket.off('connect', join);
+    };
+  }, [socket, currentSessionId]);
+
+  // Apply moderator actions that target the current user
+  useEffect(() => {
+    if (!socket || !user) return undefined;
+
+    const handleParticipantUpdated = (data) => {
+      if (data.userId === user.id) {
+        setSessionRole(data.role);
+        setMuted(data.muted);
+        setTranscriptEditor(Boolean(data.editor));
       }
-    ];
-    setSessions(mockSessions);
-    setLoading(false);
+    };
+
+    const handleRemoved = (data) => {
+      alert(data.banned ? 'You have been banned from this session.' : 'You have been removed from this session.');
+      setCurrentSession(null);
+      setSessionRole(null);
+      setMuted(false);
+      setTranscriptEditor(false);
+      setJoinedAt(null);
+    };
+
+    socket.on('participant-updated', handleParticipantUpdated);
+    socket.on('removed-from-session', handleRemoved);
+
+    return () => {
+      socket.off('participant-updated', handleParticipantUpdated);
+      socket.off('removed-from-session', handleRemoved);
+    };
+  }, [socket, user]);
+
+  // Keep the open session's status in sync when the host changes it
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleSessionStatus = (data) => {
+      setCurrentSession(prev => (prev && prev.id === data.sessionId ? { ...prev, status: data.status } : prev));
+    };
+
+    // The server closes the room once the final summary is stored
+    const handleSessionEnded = () => {
+      setSessionRole(null);
+      setJoinedAt(null);
+    };
+
+    socket.on('session-status', handleSessionStatus);
+    socket.on('session-ended', handleSessionEnded);
+
+    return () => {
+      socket.off('session-status', handleSessionStatus);
+      socket.off('session-ended', handleSessionEnded);
+    };
+  }, [socket]);
+
+  // Track waitlist places, open the session when a seat frees up, and follow live cap changes
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleWaitlistPosition = (data) => {
+      setSessions(prev => prev.map(s => (s.id === data.sessionId ? { ...s, waitlist_position: data.position } : s)));
+    };
+
+    const handleWaitlistPromoted = async (data) => {
+      const list = await fetchSessions();
+      const session = list.find(s => s.id === data.sessionId);
+      if (session && !currentSessionId) setCurrentSession(session);
+    };
+
+    const handleCapacity = (data) => {
+      setCurrentSession(prev => (prev && prev.id === data.sessionId ? { ...prev, max_participants: data.maxParticipants } : prev));
+    };
+
+    socket.on('waitlist-position', handleWaitlistPosition);
+    socket.on('waitlist-promoted', handleWaitlistPromoted);
+    socket.on('session-capacity', handleCapacity);
+
+    return () => {
+      socket.off('waitlist-position', handleWaitlistPosition);
+      socket.off('waitlist-promoted', handleWaitlistPromoted);
+      socket.off('session-capacity', handleCapacity);
+    };
+  }, [socket, currentSessionId]);
+
+  // Subscribe to translated captions for the selected output languages once the room is joined
+  useEffect(() => {
+    if (socket && currentSessionId && joinedAt) {
+      socket.emit('set-caption-languages', {
+        sessionId: currentSessionId,
+        languages: outputLanguages
+      });
+    }
+  }, [socket, currentSessionId, joinedAt, outputLanguages]);
+
+  // Resolve the signed-in account to its internal user record (ID, name, role)
+  const fetchCurrentUser = async () => {
+    try {
+      const token = await getToken();
+      const response = await axios.get('/api/auth/me', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setUser(response.data);
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+    }
+  };
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/sessions', { headers: await authHeaders() });
+      setSessions(response.data);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      setSessionError('Could not load sessions.');
+      return [];
+    } finally {
+      setLoading(false);
+    }
   };
 
   const initializeSocket = () => {
-    const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000');
+    // The token is fetched on every (re)connect so the handshake never uses an expired one
+    const newSocket = io(process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000', {
+      auth: (cb) => {
+        getToken().then(token => cb({ token }));
+      }
+    });
     setSocket(newSocket);
 
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+    });
+
+    // A session in this user's list was created, joined, left or changed status
+    newSocket.on('sessions-changed', () => {
+      clearTimeout(sessionsRefreshTimer.current);
+      sessionsRefreshTimer.current = setTimeout(fetchSessions, SESSIONS_REFRESH_DELAY_MS);
+    });
+
     newSocket.on('caption-update', (data) => {
       // Handle real-time caption updates
       console.log('Caption update:', data);
@@ -72,39 +259,88 @@ const Dashboard = ({ user, onLogout }) => {
     });
   };
 
-  const joinSession = (sessionId) => {
-    const session = sessions.find(s => s.id === sessionId);
-    setCurrentSession(session);
-
-    if (socket) {
-      socket.emit('join-session', sessionId);
+  const joinSession = async (session) => {
+    setSessionError('');
+    try {
+      // Hosts and existing participants already belong to the session
+      if (!session.is_host && !session.is_participant) {
+        let accessCode;
+        if (session.visibility === 'code') {
+          accessCode = window.prompt(`Enter the access code for "${session.title}"`);
+          if (accessCode === null) return;
+        }
+        const response = await axios.post(`/api/sessions/${session.id}/join`, { accessCode }, { headers: await authHeaders() });
+        // Full session: stay on the list until waitlist-promoted arrives
+        if (response.data.status === 'waitlisted') {
+          setSessions(prev => prev.map(s => (s.id === session.id ? { ...s, waitlist_position: response.data.position } : s)));
+          return;
+        }
+      }
+      setCurrentSession(session);
+      fetchSessions();
+    } catch (error) {
+      // Joined elsewhere since the list was loaded: just open the session
+      if (error.response?.status === 409) {
+        setCurrentSession(session);
+        fetchSessions();
+        return;
+      }
+      console.error('Error joining session:', error);
+      setSessionError(error.response?.data?.error || 'Could not join session.');
     }
   };
 
-  const leaveSession = () => {
-    if (socket && currentSession) {
-      socket.emit('leave-session', currentSession.id);
+  const leaveSession = async () => {
+    const session = currentSession;
+    if (socket && session) {
+      socket.emit('leave-session', session.id);
     }
     setCurrentSession(null);
-  };
+    setSessionRole(null);
+    setMuted(false);
+    setTranscriptEditor(false);
+    setJoinedAt(null);
 
-  const createNewSession = () => {
-    const title = prompt('Enter session title:');
-    const description = prompt('Enter session description:');
+    if (session && !session.is_host) {
+      try {
+        await axios.post(`/api/sessions/${session.id}/leave`, {}, { headers: await authHeaders() });
+      } catch (error) {
+        console.error('Error leaving session:', error);
+        setSessionError(error.response?.data?.error || 'Could not leave session.');
+      }
+    }
+    fetchSessions();
+  };
 
-    if (!title) return;
+  const leaveWaitlist = async (session) => {
+    setSessionError('');
+    try {
+      await axios.post(`/api/sessions/${session.id}/leave`, {}, { headers: await authHeaders() });
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      setSessionError(error.response?.data?.error || 'Could not leave waitlist.');
+    }
+    fetchSessions();
+  };
 
-    const newSession = {
-      id: Date.now(),
-      title,
-      description,
-      host_name: 'Demo Host',
-      status: 'active',
-      language: 'en',
-      created_at: new Date().toISOString()
-    };
+  const createSession = async (form) => {
+    const response = await axios.post('/api/sessions', form, { headers: await authHeaders() });
+    setShowCreateForm(false);
+    setSessions(prev => [response.data, ...prev.filter(s => s.id !== response.data.id)]);
+  };
 
-    setSessions([...sessions, newSession]);
+  // Host only; the server broadcasts session-status to the room
+  const updateSessionStatus = async (status) => {
+    setSessionError('');
+    try {
+      const response = await axios.patch(`/api/sessions/${currentSession.id}/status`, { status }, {
+        headers: await authHeaders()
+      });
+      setCurrentSession(prev => ({ ...prev, ...response.data.session }));
+    } catch (error) {
+      console.error('Error updating session status:', error);
+      setSessionError(error.response?.data?.error || 'Could not update session status.');
+    }
   };
 
   const handleStartStopRecording = async () => {
@@ -131,7 +367,7 @@ const Dashboard = ({ user, onLogout }) => {
       alert('Summary generated successfully!');
     } catch (error) {
       console.error('Error generating summary:', error);
-      alert('Failed to generate summary.');
+      alert(error.response?.data?.error || 'Failed to generate summary.');
     }
   };
 
@@ -155,7 +391,7 @@ const Dashboard = ({ user, onLogout }) => {
               </h1>
             </div>
             <div className="flex items-center space-x-4">
-              <span className="text-sm text-gray-700">Welcome, {user?.firstName || user?.username || 'User'}</span>
+              <span className="text-sm text-gray-700">Welcome, {user?.name || 'User'}</span>
               <UserButton />
             </div>
           </div>
@@ -165,43 +401,76 @@ const Dashboard = ({ user, onLogout }) => {
       <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         {!currentSession ? (
           /* Session Selection */
-          <div className="bg-white overflow-hidden shadow rounded-lg">
-            <div className="px-4 py-5 sm:p-6">
-              <div className="flex justify-between items-center mb-4">
-                <h2 className="text-lg font-medium text-gray-900">Available Sessions</h2>
-                <button
-                  onClick={createNewSession}
-                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium"
-                >
-                  Create New Session
-                </button>
-              </div>
+          <div>
+            <SearchPanel getToken={getToken} />
+            <div className="bg-white overflow-hidden shadow rounded-lg">
+              <div className="px-4 py-5 sm:p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-lg font-medium text-gray-900">Available Sessions</h2>
+                  <button
+                    onClick={() => setShowCreateForm(!showCreateForm)}
+                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium"
+                  >
+                    Create New Session
+                  </button>
+                </div>
+
+                {sessionError && <p className="text-sm text-red-600 mb-4">{sessionError}</p>}
 
-              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {sessions.map((session) => (
-                  <div key={session.id} className="border rounded-lg p-4 hover:shadow-md transition-shadow">
-                    <h3 className="font-medium text-gray-900">{session.title}</h3>
-                    <p className="text-sm text-gray-600 mt-1">{session.description}</p>
-                    <div className="mt-2 flex items-center justify-between">
-                      <span className="text-xs text-gray-500">
-                        Host: {session.host_name}
-                      </span>
-                      <span className={`px-2 py-1 text-xs rounded-full ${
-                        session.status === 'active'
-                          ? 'bg-green-100 text-green-800'
-                          : 'bg-gray-100 text-gray-800'
-                      }`}>
-                        {session.status}
-                      </span>
+                {showCreateForm && (
+                  <CreateSessionForm onCreate={createSession} onCancel={() => setShowCreateForm(false)} />
+                )}
+
+                {sessions.length === 0 && (
+                  <p className="text-sm text-gray-500 text-center py-8">
+                    No sessions yet. Create one to get started.
+                  </p>
+                )}
+
+                <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                  {sessions.map((session) => (
+                    <div key={session.id} className="border rounded-lg p-4 hover:shadow-md transition-shadow">
+                      <h3 className="font-medium text-gray-900">{session.title}</h3>
+                      <p className="text-sm text-gray-600 mt-1">{session.description}</p>
+                      <div className="mt-2 flex items-center justify-between">
+                        <span className="text-xs text-gray-500">
+                          Host: {session.is_host ? 'You' : session.host_name}
+                          {' · '}{session.language?.toUpperCase()}
+                          {' · '}{session.participant_count ?? 0}/{session.max_participants}
+                          {session.visibility === 'code' && ' · Code required'}
+                          {session.visibility === 'invite' && ' · Invite only'}
+                          {session.waitlist_count > 0 && ` · ${session.waitlist_count} waiting`}
+                        </span>
+                        <span className={`px-2 py-1 text-xs rounded-full ${
+                          session.status === 'active'
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {session.status}
+                        </span>
+                      </div>
+                      {session.waitlist_position ? (
+                        <div className="mt-3 flex items-center justify-between">
+                          <span className="text-sm text-yellow-700">Session full · #{session.waitlist_position} on the waitlist</span>
+                          <button
+                            onClick={() => leaveWaitlist(session)}
+                            className="text-sm underline text-gray-600 hover:text-gray-800"
+                          >
+                            Leave waitlist
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => joinSession(session)}
+                          disabled={session.status !== 'active' && !session.is_host && !session.is_participant}
+                          className="mt-3 w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md text-sm font-medium"
+                        >
+                          {session.is_host || session.is_participant ? 'Open Session' : 'Join Session'}
+                        </button>
+                      )}
                     </div>
-                    <button
-                      onClick={() => joinSession(session.id)}
-                      className="mt-3 w-full bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-2 rounded-md text-sm font-medium"
-                    >
-                      Join Session
-                    </button>
-                  </div>
-                ))}
+                  ))}
+                </div>
               </div>
             </div>
           </div>
@@ -215,9 +484,34 @@ const Dashboard = ({ user, onLogout }) => {
                   <div>
                     <h2 className="text-lg font-medium text-gray-900">{currentSession.title}</h2>
                     <p className="text-sm text-gray-600">{currentSession.description}</p>
+                    {sessionError && <p className="text-sm text-red-600 mt-1">{sessionError}</p>}
+                    {currentSession.status === 'ended' && (
+                      <p className="text-sm text-gray-500 mt-1">This session has ended. The final summary is in the Summary tab.</p>
+                    )}
+                    {currentSession.status === 'paused' && (
+                      <p className="text-sm text-yellow-700 mt-1">This session is paused; captions resume when the host restarts it.</p>
+                    )}
                   </div>
                   <div className="flex items-center space-x-4">
-                    <LanguageSelector />
+                    <LanguageSelector onChange={(preferences) => setOutputLanguages(preferences.outputLanguages)} />
+                    {sessionRole === 'host' && currentSession.status !== 'ended' && (
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => updateSessionStatus(currentSession.status === 'paused' ? 'active' : 'paused')}
+                          className="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-2 rounded-md text-sm font-medium"
+                        >
+                          {currentSession.status === 'paused' ? 'Resume' : 'Pause'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            if (window.confirm('End this session for everyone?')) updateSessionStatus('ended');
+                          }}
+                          className="bg-gray-700 hover:bg-gray-800 text-white px-3 py-2 rounded-md text-sm font-medium"
+                        >
+                          End Session
+                        </button>
+                      </div>
+                    )}
                     <button
                       onClick={leaveSession}
                       className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium"
@@ -236,7 +530,7 @@ const Dashboard = ({ user, onLogout }) => {
                 <div className="bg-white shadow rounded-lg">
                   <div className="border-b border-gray-200">
                     <nav className="-mb-px flex">
-                      {['captions', 'chat', 'summary'].map((tab) => (
+                      {Object.entries(TABS).map(([tab, label]) => (
                         <button
                           key={tab}
                           onClick={() => setActiveTab(tab)}
@@ -246,16 +540,18 @@ const Dashboard = ({ user, onLogout }) => {
                               : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                           }`}
                         >
-                          {tab.charAt(0).toUpperCase() + tab.slice(1)}
+                          {label}
                         </button>
                       ))}
                     </nav>
                   </div>
 
                   <div className="p-4">
-                    {activeTab === 'captions' && <CaptionsPanel session={currentSession} socket={socket} />}
-                    {activeTab === 'chat' && <ChatPanel session={currentSession} socket={socket} user={user} />}
-                    {activeTab === 'summary' && <SummaryDashboard session={currentSession} />}
+                    {activeTab === 'captions' && <CaptionsPanel session={currentSession} socket={socket} outputLanguages={outputLanguages} muted={muted} focusSeq={focusSeq} canEdit={transcriptEditor} />}
+                    {activeTab === 'chat' && user && <ChatPanel session={currentSession} socket={socket} user={user} sessionRole={sessionRole} muted={muted} />}
+                    {activeTab === 'qa' && user && <QAPanel session={currentSession} socket={socket} user={user} sessionRole={sessionRole} muted={muted} />}
+                    {activeTab === 'summary' && <SummaryDashboard session={currentSession} socket={socket} sessionRole={sessionRole} />}
+                    {activeTab === 'glossary' && <GlossaryPanel session={currentSession} sessionRole={sessionRole} />}
                   </div>
                 </div>
               </div>
@@ -269,9 +565,26 @@ const Dashboard = ({ user, onLogout }) => {
                     <p>Language: {currentSession.language}</p>
                     <p>Status: <span className="capitalize">{currentSession.status}</span></p>
                     <p>Host: {currentSession.host_name}</p>
+                    {sessionRole && <p>Your role: <span className="capitalize">{sessionRole}</span></p>}
+                    {muted && <p className="text-red-600">You are muted by a moderator</p>}
                   </div>
                 </div>
 
+                {/* Visibility & Invites (host) */}
+                {sessionRole === 'host' && (
+                  <SessionAccessPanel
+                    session={currentSession}
+                    socket={socket}
+                    onAccessChange={(access) => setCurrentSession(prev => ({ ...prev, ...access }))}
+                  />
+                )}
+
+                {/* Livestream caption overlays (host) */}
+                {sessionRole === 'host' && <OverlayPanel session={currentSession} />}
+
+                {/* Participants & Moderation */}
+                <ParticipantsPanel session={currentSession} socket={socket} user={user} sessionRole={sessionRole} />
+
                 {/* Quick Actions */}
                 <div className="bg-white shadow rounded-lg p-4">
                   <h3 className="text-sm font-medium text-gray-900 mb-2">Quick Actions</h3>
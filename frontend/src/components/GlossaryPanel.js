@@ -0,0 +1,269 @@
+// components/GlossaryPanel.js - Session glossary curated by the host and enforced in translations
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const EMPTY_FORM = { term: '', description: '', doNotTranslate: false, translations: '', scope: 'session' };
+
+// "fr=Nuage Acme, de=Acme Wolke" <-> { fr: 'Nuage Acme', de: 'Acme Wolke' }
+const parseTranslations = (text) => text
+  .split(',')
+  .map(pair => pair.split('='))
+  .filter(([language, target]) => language && language.trim() && target && target.trim())
+  .reduce((translations, [language, target]) => ({
+    ...translations,
+    [language.trim().toLowerCase()]: target.trim()
+  }), {});
+
+const formatTranslations = (translations = {}) => Object.entries(translations)
+  .map(([language, target]) => `${language}=${target}`)
+  .join(', ');
+
+const GlossaryPanel = ({ session, sessionRole }) => {
+  const { getToken } = useAuth();
+  const [terms, setTerms] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+  const [error, setError] = useState('');
+  const canEdit = sessionRole === 'host';
+
+  useEffect(() => {
+    fetchTerms();
+  }, [session.id]);
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  const fetchTerms = async () => {
+    try {
+      const response = await axios.get(`/api/glossary/session/${session.id}`, { headers: await authHeaders() });
+      setTerms(response.data);
+    } catch (error) {
+      console.error('Error fetching glossary:', error);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const saveTerm = async (e) => {
+    e.preventDefault();
+    if (!form.term.trim()) return;
+    setError('');
+
+    const payload = {
+      term: form.term.trim(),
+      description: form.description.trim(),
+      doNotTranslate: form.doNotTranslate,
+      translations: parseTranslations(form.translations)
+    };
+
+    try {
+      if (editingId) {
+        await axios.patch(`/api/glossary/${editingId}`, payload, { headers: await authHeaders() });
+      } else {
+        await axios.post('/api/glossary', {
+          ...payload,
+          sessionId: form.scope === 'session' ? session.id : null
+        }, { headers: await authHeaders() });
+      }
+      setSuggestions(prev => prev.filter(s => s.term.toLowerCase() !== payload.term.toLowerCase()));
+      resetForm();
+      fetchTerms();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save term.');
+    }
+  };
+
+  const editTerm = (term) => {
+    setEditingId(term.id);
+    setForm({
+      term: term.term,
+      description: term.description || '',
+      doNotTranslate: term.doNotTranslate,
+      translations: formatTranslations(term.translations),
+      scope: term.sessionId ? 'session' : 'account'
+    });
+  };
+
+  const deleteTerm = async (term) => {
+    if (!window.confirm(`Remove "${term.term}" from the glossary?`)) return;
+    setError('');
+    try {
+      await axios.delete(`/api/glossary/${term.id}`, { headers: await authHeaders() });
+      if (editingId === term.id) resetForm();
+      fetchTerms();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete term.');
+    }
+  };
+
+  const suggestTerms = async () => {
+    setSuggesting(true);
+    setError('');
+    try {
+      const response = await axios.post(`/api/glossary/session/${session.id}/suggest`, {}, { headers: await authHeaders() });
+      setSuggestions(response.data);
+      if (response.data.length === 0) setError('No new terms found in the transcript.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to suggest terms.');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const applySuggestion = (suggestion) => {
+    setEditingId(null);
+    setForm({ ...EMPTY_FORM, term: suggestion.term, description: suggestion.description || '' });
+  };
+
+  return (
+    <div className="flex flex-col h-96">
+      {/* Glossary Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="text-sm font-medium text-gray-900">Glossary ({terms.length} terms)</h3>
+        {canEdit && (
+          <button
+            onClick={suggestTerms}
+            disabled={suggesting}
+            className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
+          >
+            {suggesting ? 'Suggesting...' : 'Suggest from transcript'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600 px-4 pt-2">{error}</p>}
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {suggestions.length > 0 && (
+          <div className="border border-dashed border-indigo-300 rounded-lg p-3">
+            <p className="text-xs font-medium text-indigo-700 mb-2">Suggested terms</p>
+            <div className="flex flex-wrap gap-2">
+              {suggestions.map((suggestion) => (
+                <button
+                  key={suggestion.term}
+                  onClick={() => applySuggestion(suggestion)}
+                  title={suggestion.description}
+                  className="text-xs bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-2 py-1 rounded"
+                >
+                  + {suggestion.term}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {terms.length === 0 ? (
+          <div className="text-center text-gray-500 py-8">
+            <p>No glossary terms yet.</p>
+          </div>
+        ) : (
+          terms.map((term) => (
+            <div key={term.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium text-gray-900">{term.term}</span>
+                  {term.doNotTranslate && (
+                    <span className="text-xs bg-yellow-200 text-yellow-800 px-1 rounded">Keep as is</span>
+                  )}
+                  {!term.sessionId && (
+                    <span className="text-xs bg-gray-200 text-gray-700 px-1 rounded">All sessions</span>
+                  )}
+                </div>
+                {canEdit && (
+                  <div className="flex space-x-2">
+                    <button onClick={() => editTerm(term)} className="text-xs underline text-gray-600 hover:text-gray-900">
+                      Edit
+                    </button>
+                    <button onClick={() => deleteTerm(term)} className="text-xs underline text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+              {term.description && <p className="text-sm text-gray-600 mt-1">{term.description}</p>}
+              {Object.keys(term.translations || {}).length > 0 && (
+                <p className="text-xs text-indigo-700 mt-1">
+                  {Object.entries(term.translations).map(([language, target]) => `${language.toUpperCase()}: ${target}`).join(' · ')}
+                </p>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Term Form */}
+      {canEdit && (
+        <form onSubmit={saveTerm} className="border-t border-gray-200 p-4 space-y-2">
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={form.term}
+              onChange={(e) => setForm({ ...form, term: e.target.value })}
+              placeholder="Term or acronym"
+              maxLength={100}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-1 text-sm"
+            />
+            <input
+              type="text"
+              value={form.translations}
+              onChange={(e) => setForm({ ...form, translations: e.target.value })}
+              placeholder="Fixed translations, e.g. fr=Nuage Acme"
+              className="flex-1 border border-gray-300 rounded-md px-3 py-1 text-sm"
+            />
+          </div>
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            maxLength={500}
+            className="w-full border border-gray-300 rounded-md px-3 py-1 text-sm"
+          />
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4 text-xs text-gray-700">
+              <label className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={form.doNotTranslate}
+                  onChange={(e) => setForm({ ...form, doNotTranslate: e.target.checked })}
+                />
+                <span>Never translate</span>
+              </label>
+              <select
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+                disabled={Boolean(editingId)}
+                className="border border-gray-300 rounded px-1 py-0.5"
+              >
+                <option value="session">This session</option>
+                <option value="account">All my sessions</option>
+              </select>
+            </div>
+            <div className="flex space-x-2">
+              {editingId && (
+                <button type="button" onClick={resetForm} className="text-xs text-gray-600 hover:text-gray-900">
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={!form.term.trim()}
+                className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-3 py-1 rounded-md text-sm"
+              >
+                {editingId ? 'Save' : 'Add'}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GlossaryPanel;
@@ -0,0 +1,91 @@
+// components/JoinInvite.js - Invite link landing page (/join/:token), shown after sign-in
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const JoinInvite = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { getToken } = useAuth();
+  const [invite, setInvite] = useState(null);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      try {
+        const response = await axios.get(`/api/sessions/invites/${token}`, { headers: await authHeaders() });
+        setInvite(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Could not load this invite.');
+      }
+    };
+    fetchInvite();
+  }, [token]);
+
+  const openSession = () => navigate(`/?session=${invite.sessionId}`, { replace: true });
+
+  const acceptInvite = async () => {
+    setJoining(true);
+    setError('');
+    try {
+      const response = await axios.post(`/api/sessions/${invite.sessionId}/join`, { inviteToken: token }, { headers: await authHeaders() });
+      // A full session queues the user; the session list shows their waitlist position
+      if (response.data.status === 'waitlisted') {
+        navigate('/', { replace: true });
+        return;
+      }
+      openSession();
+    } catch (err) {
+      // Already a member: nothing to redeem, just open the session
+      if (err.response?.status === 409) {
+        openSession();
+        return;
+      }
+      setError(err.response?.data?.error || 'Could not join this session.');
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100">
+      <div className="bg-white shadow rounded-lg p-6 w-full max-w-md">
+        <h1 className="text-lg font-medium text-gray-900 mb-4">Session invite</h1>
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        {invite ? (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700 space-y-1">
+              <p className="text-base font-medium text-gray-900">{invite.title}</p>
+              <p>Host: {invite.hostName}</p>
+              <p>You will join as <span className="capitalize">{invite.role}</span></p>
+              {invite.status !== 'active' && (
+                <p className="text-yellow-700">This session is {invite.status} and cannot be joined right now.</p>
+              )}
+            </div>
+            <button
+              onClick={acceptInvite}
+              disabled={joining || invite.status !== 'active'}
+              className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-md text-sm font-medium"
+            >
+              {joining ? 'Joining...' : 'Join session'}
+            </button>
+          </div>
+        ) : (
+          !error && <p className="text-sm text-gray-500">Loading invite...</p>
+        )}
+
+        <Link to="/" className="block text-center text-sm text-indigo-600 hover:text-indigo-800 mt-4">
+          Back to sessions
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default JoinInvite;
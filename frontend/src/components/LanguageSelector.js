@@ -2,8 +2,10 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
 
-const LanguageSelector = () => {
+const LanguageSelector = ({ onChange }) => {
+  const { getToken } = useAuth();
   const [preferences, setPreferences] = useState({
     inputLanguage: 'en',
     outputLanguages: ['en']
@@ -27,11 +29,18 @@ const LanguageSelector = () => {
 
   const fetchPreferences = async () => {
     try {
-      const token = localStorage.getItem('token');
+      const token = await getToken();
       const response = await axios.get('/api/transcripts/preferences', {
         headers: { Authorization: `Bearer ${token}` }
       });
-      setPreferences(response.data);
+      // Stored rows use snake_case columns; the defaults already match local state
+      const data = response.data;
+      const fetched = {
+        inputLanguage: data.inputLanguage || data.input_language || 'en',
+        outputLanguages: data.outputLanguages || data.output_languages || ['en']
+      };
+      setPreferences(fetched);
+      if (onChange) onChange(fetched);
     } catch (error) {
       console.error('Error fetching preferences:', error);
     }
@@ -39,11 +48,12 @@ const LanguageSelector = () => {
 
   const updatePreferences = async (newPreferences) => {
     try {
-      const token = localStorage.getItem('token');
+      const token = await getToken();
       await axios.put('/api/transcripts/preferences', newPreferences, {
         headers: { Authorization: `Bearer ${token}` }
       });
       setPreferences(newPreferences);
+      if (onChange) onChange(newPreferences);
     } catch (error) {
       console.error('Error updating preferences:', error);
     }
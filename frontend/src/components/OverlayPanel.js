@@ -0,0 +1,161 @@
+// components/OverlayPanel.js - Host controls for caption overlay links and their styling presets
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const EMPTY_OVERLAY = {
+  name: '',
+  lang: '',
+  size: '42',
+  color: '#ffffff',
+  bg: 'rgba(0, 0, 0, 0.6)',
+  position: 'bottom',
+  lines: '2',
+  fade: '6000'
+};
+
+const OverlayPanel = ({ session }) => {
+  const { getToken } = useAuth();
+  const [overlays, setOverlays] = useState([]);
+  const [form, setForm] = useState(EMPTY_OVERLAY);
+  const [newUrl, setNewUrl] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  useEffect(() => {
+    setNewUrl('');
+    fetchOverlays();
+  }, [session.id]);
+
+  const fetchOverlays = async () => {
+    try {
+      const response = await axios.get(`/api/overlay/session/${session.id}`, { headers: await authHeaders() });
+      setOverlays(response.data);
+    } catch (err) {
+      console.error('Error fetching overlays:', err);
+    }
+  };
+
+  const createOverlay = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    const { name, ...settings } = form;
+    try {
+      const response = await axios.post(`/api/overlay/session/${session.id}`, { name, settings }, { headers: await authHeaders() });
+      setNewUrl(`${window.location.origin}${response.data.url}`);
+      setForm(EMPTY_OVERLAY);
+      fetchOverlays();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create overlay.');
+    }
+  };
+
+  const revokeOverlay = async (overlay) => {
+    setError('');
+    try {
+      await axios.delete(`/api/overlay/${overlay.id}`, { headers: await authHeaders() });
+      fetchOverlays();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke overlay.');
+    }
+  };
+
+  const copyUrl = () => {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(newUrl);
+      setMessage('Overlay URL copied');
+    }
+  };
+
+  const field = (key, props) => (
+    <input
+      value={form[key]}
+      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+      className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+      {...props}
+    />
+  );
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 space-y-3">
+      <h3 className="text-sm font-medium text-gray-900">Stream Overlays</h3>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {message && <p className="text-xs text-green-700">{message}</p>}
+
+      <form onSubmit={createOverlay} className="space-y-2">
+        {field('name', { type: 'text', placeholder: 'Name (e.g. Main stream, Spanish)', maxLength: 100, required: true, className: 'w-full border border-gray-300 rounded-md px-2 py-1 text-sm' })}
+        <div className="grid grid-cols-3 gap-2">
+          {field('lang', { type: 'text', placeholder: `Lang (${session.language})`, maxLength: 10 })}
+          {field('size', { type: 'number', min: 12, max: 160, placeholder: 'Size px' })}
+          <select
+            value={form.position}
+            onChange={(e) => setForm({ ...form, position: e.target.value })}
+            className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+          >
+            <option value="bottom">Bottom</option>
+            <option value="middle">Middle</option>
+            <option value="top">Top</option>
+          </select>
+          {field('color', { type: 'text', placeholder: 'Text colour' })}
+          {field('bg', { type: 'text', placeholder: 'Background' })}
+          <select
+            value={form.lines}
+            onChange={(e) => setForm({ ...form, lines: e.target.value })}
+            className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+          >
+            <option value="2">2 lines</option>
+            <option value="1">1 line</option>
+          </select>
+        </div>
+        <label className="flex items-center space-x-2 text-xs text-gray-600">
+          <span>Fade after (ms, 0 = never)</span>
+          {field('fade', { type: 'number', min: 0, max: 60000 })}
+        </label>
+        <button
+          type="submit"
+          className="w-full bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-md text-sm"
+        >
+          Create overlay link
+        </button>
+      </form>
+
+      {newUrl && (
+        <div className="bg-indigo-50 rounded p-2">
+          <p className="text-xs text-gray-600 mb-1">
+            Add this as a browser source; copy it now, it is not shown again. Query parameters such as <code>&amp;size=56</code> override the preset.
+          </p>
+          <div className="flex items-center space-x-2">
+            <input readOnly value={newUrl} className="flex-1 text-xs border border-gray-300 rounded px-1 py-0.5" />
+            <button onClick={copyUrl} className="text-xs text-indigo-600 hover:text-indigo-800">Copy</button>
+          </div>
+        </div>
+      )}
+
+      {overlays.length > 0 && (
+        <ul className="space-y-1">
+          {overlays.map(overlay => (
+            <li key={overlay.id} className="flex items-center justify-between text-xs text-gray-600">
+              <span>
+                {overlay.name}
+                {' · '}{(overlay.settings.lang || session.language).toUpperCase()}
+                {overlay.revokedAt && ' · Revoked'}
+              </span>
+              {!overlay.revokedAt && (
+                <button onClick={() => revokeOverlay(overlay)} className="underline text-red-600 hover:text-red-800">
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OverlayPanel;
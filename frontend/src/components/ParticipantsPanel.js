@@ -0,0 +1,150 @@
+// components/ParticipantsPanel.js - Participant list with host and moderator controls
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const ROLE_RANK = { participant: 1, moderator: 2, host: 3 };
+
+const ParticipantsPanel = ({ session, socket, user, sessionRole }) => {
+  const { getToken } = useAuth();
+  const [participants, setParticipants] = useState([]);
+  const [error, setError] = useState('');
+
+  const canModerate = sessionRole === 'host' || sessionRole === 'moderator';
+
+  useEffect(() => {
+    fetchParticipants();
+
+    // Dashboard listens to the same events, so only remove these handlers on cleanup
+    const handleUpdated = (data) => {
+      setParticipants(prev => prev.map(p => (
+        p.id === data.userId ? { ...p, role: data.role, muted: data.muted, editor: data.editor } : p
+      )));
+    };
+
+    const handleRemoved = (data) => {
+      setParticipants(prev => prev.filter(p => p.id !== data.userId));
+    };
+
+    if (socket) {
+      socket.on('participant-updated', handleUpdated);
+      socket.on('participant-removed', handleRemoved);
+    }
+
+    return () => {
+      if (socket) {
+        socket.off('participant-updated', handleUpdated);
+        socket.off('participant-removed', handleRemoved);
+      }
+    };
+  }, [socket, session]);
+
+  const fetchParticipants = async () => {
+    try {
+      const token = await getToken();
+      const response = await axios.get(`/api/sessions/${session.id}/participants`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setParticipants(response.data);
+    } catch (error) {
+      console.error('Error fetching participants:', error);
+    }
+  };
+
+  // Moderation goes over the socket; the server enforces roles and broadcasts the outcome
+  const moderate = (event, data) => {
+    setError('');
+    socket.emit(event, data, (response) => {
+      if (response?.error) {
+        setError(response.error);
+      }
+    });
+  };
+
+  const canActOn = (participant) => (
+    canModerate &&
+    participant.id !== user?.id &&
+    (ROLE_RANK[sessionRole] || 0) > (ROLE_RANK[participant.role] || 0)
+  );
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4">
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Participants ({participants.length})</h3>
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      <ul className="divide-y divide-gray-100">
+        {participants.map((participant) => (
+          <li key={participant.id} className="py-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">
+                {participant.name}
+                {participant.id === user?.id && ' (you)'}
+              </span>
+              <div className="flex items-center space-x-1">
+                {participant.role === 'moderator' && (
+                  <span className="text-xs bg-indigo-100 text-indigo-700 px-1 rounded">MOD</span>
+                )}
+                {participant.editor && (
+                  <span className="text-xs bg-green-100 text-green-700 px-1 rounded">EDITOR</span>
+                )}
+                {participant.muted && (
+                  <span className="text-xs bg-red-100 text-red-700 px-1 rounded">MUTED</span>
+                )}
+              </div>
+            </div>
+
+            {canActOn(participant) && (
+              <div className="flex flex-wrap gap-1 mt-1">
+                {sessionRole === 'host' && (
+                  <button
+                    onClick={() => moderate('set-participant-role', {
+                      userId: participant.id,
+                      role: participant.role === 'moderator' ? 'participant' : 'moderator'
+                    })}
+                    className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+                  >
+                    {participant.role === 'moderator' ? 'Demote' : 'Promote'}
+                  </button>
+                )}
+                {sessionRole === 'host' && (
+                  <button
+                    onClick={() => moderate('set-participant-editor', { userId: participant.id, editor: !participant.editor })}
+                    className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+                  >
+                    {participant.editor ? 'Remove editor' : 'Make editor'}
+                  </button>
+                )}
+                <button
+                  onClick={() => moderate('mute-participant', { userId: participant.id, muted: !participant.muted })}
+                  className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+                >
+                  {participant.muted ? 'Unmute' : 'Mute'}
+                </button>
+                <button
+                  onClick={() => moderate('remove-participant', { userId: participant.id })}
+                  className="text-xs bg-yellow-100 hover:bg-yellow-200 text-yellow-800 px-2 py-1 rounded"
+                >
+                  Remove
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Ban ${participant.name} from this session?`)) {
+                      moderate('remove-participant', { userId: participant.id, ban: true });
+                    }
+                  }}
+                  className="text-xs bg-red-100 hover:bg-red-200 text-red-700 px-2 py-1 rounded"
+                >
+                  Ban
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ParticipantsPanel;
@@ -0,0 +1,227 @@
+// components/QAPanel.js - Q&A queue with upvotes and moderator controls
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+// Mirrors the server ordering: pinned first, then by votes or by time
+const sortQuestions = (questions, sort) => [...questions].sort((a, b) => {
+  if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+  if (sort === 'votes' && a.votes !== b.votes) return b.votes - a.votes;
+  return sort === 'votes'
+    ? new Date(a.createdAt) - new Date(b.createdAt)
+    : new Date(b.createdAt) - new Date(a.createdAt);
+});
+
+const STATUS_STYLES = {
+  open: 'bg-white border-gray-200',
+  answered: 'bg-green-50 border-green-200',
+  dismissed: 'bg-gray-50 border-gray-200 opacity-60'
+};
+
+const QAPanel = ({ session, socket, user, sessionRole, muted = false }) => {
+  const { getToken } = useAuth();
+  const [questions, setQuestions] = useState([]);
+  const [newQuestion, setNewQuestion] = useState('');
+  const [sort, setSort] = useState('votes');
+  const [error, setError] = useState('');
+  const canModerate = sessionRole === 'host' || sessionRole === 'moderator';
+
+  useEffect(() => {
+    // Broadcasts carry no hasVoted flag, so keep the one this client already knows
+    const upsertQuestion = (question) => {
+      setQuestions(prev => {
+        const existing = prev.find(q => q.id === question.id);
+        const merged = { ...question, hasVoted: question.hasVoted ?? existing?.hasVoted ?? false };
+        return existing
+          ? prev.map(q => (q.id === question.id ? merged : q))
+          : [...prev, merged];
+      });
+    };
+
+    if (socket) {
+      socket.on('question-created', upsertQuestion);
+      socket.on('question-updated', upsertQuestion);
+    }
+
+    fetchQuestions();
+
+    return () => {
+      if (socket) {
+        socket.off('question-created');
+        socket.off('question-updated');
+      }
+    };
+  }, [socket, session]);
+
+  const fetchQuestions = async () => {
+    try {
+      const token = await getToken();
+      const response = await axios.get(`/api/questions/session/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setQuestions(response.data);
+    } catch (error) {
+      console.error('Error fetching questions:', error);
+    }
+  };
+
+  // Actions go over the socket; the server broadcasts the updated question to the room
+  const emitQuestionEvent = (event, data) => {
+    setError('');
+    if (!socket) return;
+
+    socket.emit(event, data, (response) => {
+      if (response?.error) {
+        setError(response.error);
+      } else if (event === 'question-vote') {
+        setQuestions(prev => prev.map(q => (q.id === response.id ? { ...q, ...response } : q)));
+      }
+    });
+  };
+
+  const askQuestion = (e) => {
+    e.preventDefault();
+    if (!newQuestion.trim()) return;
+
+    emitQuestionEvent('question-ask', { text: newQuestion.trim() });
+    setNewQuestion('');
+  };
+
+  const visibleQuestions = sortQuestions(
+    canModerate ? questions : questions.filter(q => q.status !== 'dismissed'),
+    sort
+  );
+
+  return (
+    <div className="flex flex-col h-96">
+      {/* Q&A Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="text-sm font-medium text-gray-900">
+          Questions ({questions.filter(q => q.status === 'open').length} open)
+        </h3>
+        <div className="flex space-x-2">
+          {['votes', 'recent'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setSort(option)}
+              className={`text-xs px-2 py-1 rounded ${
+                sort === option
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+              }`}
+            >
+              {option === 'votes' ? 'Top' : 'Recent'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600 px-4 pt-2">{error}</p>}
+
+      {/* Questions */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {visibleQuestions.length === 0 ? (
+          <div className="text-center text-gray-500 py-8">
+            <p>No questions yet. Ask the first one!</p>
+          </div>
+        ) : (
+          visibleQuestions.map((question) => (
+            <div
+              key={question.id}
+              className={`flex items-start space-x-3 border rounded-lg p-3 ${STATUS_STYLES[question.status]}`}
+            >
+              <button
+                onClick={() => emitQuestionEvent('question-vote', { questionId: question.id, upvote: !question.hasVoted })}
+                disabled={question.status !== 'open'}
+                className={`flex flex-col items-center px-2 py-1 rounded text-xs disabled:cursor-not-allowed ${
+                  question.hasVoted
+                    ? 'bg-indigo-100 text-indigo-700'
+                    : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+                title={question.hasVoted ? 'Remove vote' : 'Upvote'}
+              >
+                <span>▲</span>
+                <span className="font-medium">{question.votes}</span>
+              </button>
+
+              <div className="flex-1">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className="text-xs font-medium text-gray-700">
+                    {question.userId === user.id ? 'You' : question.userName}
+                  </span>
+                  {question.pinned && (
+                    <span className="text-xs bg-yellow-200 text-yellow-800 px-1 rounded">Pinned</span>
+                  )}
+                  {question.status === 'answered' && (
+                    <span className="text-xs bg-green-200 text-green-800 px-1 rounded">Answered</span>
+                  )}
+                  {question.status === 'dismissed' && (
+                    <span className="text-xs bg-gray-300 text-gray-700 px-1 rounded">Dismissed</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-900">{question.text}</p>
+                <span className="text-xs text-gray-500">
+                  {new Date(question.createdAt).toLocaleTimeString()}
+                </span>
+
+                {canModerate && (
+                  <div className="flex space-x-2 mt-1">
+                    <button
+                      onClick={() => emitQuestionEvent('question-moderate', {
+                        questionId: question.id,
+                        status: question.status === 'answered' ? 'open' : 'answered'
+                      })}
+                      className="text-xs underline text-gray-600 hover:text-gray-900"
+                    >
+                      {question.status === 'answered' ? 'Reopen' : 'Mark answered'}
+                    </button>
+                    <button
+                      onClick={() => emitQuestionEvent('question-moderate', { questionId: question.id, pinned: !question.pinned })}
+                      className="text-xs underline text-gray-600 hover:text-gray-900"
+                    >
+                      {question.pinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button
+                      onClick={() => emitQuestionEvent('question-moderate', {
+                        questionId: question.id,
+                        status: question.status === 'dismissed' ? 'open' : 'dismissed'
+                      })}
+                      className="text-xs underline text-gray-600 hover:text-gray-900"
+                    >
+                      {question.status === 'dismissed' ? 'Restore' : 'Dismiss'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Ask Input */}
+      <form onSubmit={askQuestion} className="p-4 border-t border-gray-200">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newQuestion}
+            onChange={(e) => setNewQuestion(e.target.value)}
+            placeholder={muted ? 'You have been muted in this session' : 'Ask a question...'}
+            disabled={muted}
+            maxLength={500}
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+          />
+          <button
+            type="submit"
+            disabled={muted || !newQuestion.trim()}
+            className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            Ask
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default QAPanel;
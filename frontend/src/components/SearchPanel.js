@@ -0,0 +1,117 @@
+// components/SearchPanel.js - Full-text search across session transcripts and summaries
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+
+const SearchPanel = ({ getToken }) => {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('all');
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [searched, setSearched] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const runSearch = async (offset = 0) => {
+    setLoading(true);
+    setError('');
+    try {
+      const token = await getToken();
+      const response = await axios.get('/api/search', {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { q: query.trim(), type, offset }
+      });
+      setResults(prev => (offset ? [...prev, ...response.data.results] : response.data.results));
+      setHasMore(response.data.hasMore);
+      setSearched(true);
+    } catch (err) {
+      console.error('Error searching transcripts:', err);
+      setError(err.response?.data?.error || 'Search failed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (query.trim()) runSearch();
+  };
+
+  return (
+    <div className="bg-white overflow-hidden shadow rounded-lg mb-6">
+      <div className="px-4 py-5 sm:p-6">
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search transcripts and summaries..."
+            maxLength={200}
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+          />
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="all">Everything</option>
+            <option value="transcripts">Transcripts</option>
+            <option value="summaries">Summaries</option>
+          </select>
+          <button
+            type="submit"
+            disabled={loading || !query.trim()}
+            className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-md text-sm font-medium"
+          >
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+        {searched && results.length === 0 && !error && (
+          <p className="text-sm text-gray-500 mt-4">No matches found.</p>
+        )}
+
+        {results.length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-100">
+            {results.map((result) => (
+              <li key={`${result.type}-${result.id}`} className="py-3">
+                <Link to={result.link} className="block hover:bg-gray-50 rounded p-2 -m-2">
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-indigo-700">{result.sessionTitle}</span>
+                    <span className="text-xs text-gray-500">
+                      {result.type === 'summary' ? 'Summary' : result.speaker || 'Caption'}
+                      {' · '}{new Date(result.timestamp).toLocaleString()}
+                      {' · '}{result.language?.toUpperCase()}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700">
+                    {result.snippet.map((part, index) => (
+                      part.match
+                        ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part.text}</mark>
+                        : <span key={index}>{part.text}</span>
+                    ))}
+                  </p>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {hasMore && (
+          <button
+            onClick={() => runSearch(results.length)}
+            disabled={loading}
+            className="mt-3 text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            More results
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,280 @@
+// components/SessionAccessPanel.js - Host controls for session visibility, access code, invite links and capacity
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const VISIBILITY_LABELS = {
+  public: 'Public - anyone signed in',
+  code: 'Access code required',
+  invite: 'Invite link only'
+};
+
+const EMPTY_INVITE = { role: 'participant', maxUses: '', expiresInHours: '24' };
+
+const inviteStatus = (invite) => {
+  if (invite.revokedAt) return 'Revoked';
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) return 'Expired';
+  if (invite.maxUses && invite.useCount >= invite.maxUses) return 'Used up';
+  return null;
+};
+
+const SessionAccessPanel = ({ session, socket, onAccessChange }) => {
+  const { getToken } = useAuth();
+  const [visibility, setVisibility] = useState(session.visibility || 'public');
+  const [accessCode, setAccessCode] = useState('');
+  const [invites, setInvites] = useState([]);
+  const [inviteForm, setInviteForm] = useState(EMPTY_INVITE);
+  const [newLink, setNewLink] = useState('');
+  const [capacity, setCapacity] = useState(null);
+  const [maxParticipants, setMaxParticipants] = useState(String(session.max_participants || ''));
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  useEffect(() => {
+    setVisibility(session.visibility || 'public');
+    setMaxParticipants(String(session.max_participants || ''));
+    fetchInvites();
+    fetchCapacity();
+  }, [session.id]);
+
+  // Seat and waitlist counts change as people join, leave and get promoted
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleCapacity = (data) => {
+      if (data.sessionId === session.id) fetchCapacity();
+    };
+
+    socket.on('session-capacity', handleCapacity);
+    return () => {
+      socket.off('session-capacity', handleCapacity);
+    };
+  }, [socket, session.id]);
+
+  const fetchCapacity = async () => {
+    try {
+      const response = await axios.get(`/api/sessions/${session.id}/capacity`, { headers: await authHeaders() });
+      setCapacity(response.data);
+    } catch (err) {
+      console.error('Error fetching capacity:', err);
+    }
+  };
+
+  const saveCapacity = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    try {
+      const response = await axios.patch(`/api/sessions/${session.id}/capacity`, {
+        max_participants: parseInt(maxParticipants, 10)
+      }, { headers: await authHeaders() });
+      setMessage('Capacity updated');
+      setCapacity(prev => ({ ...prev, ...response.data }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update capacity.');
+    }
+  };
+
+  const fetchInvites = async () => {
+    try {
+      const response = await axios.get(`/api/sessions/${session.id}/invites`, { headers: await authHeaders() });
+      setInvites(response.data);
+    } catch (err) {
+      console.error('Error fetching invites:', err);
+    }
+  };
+
+  const saveAccess = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    try {
+      const response = await axios.patch(`/api/sessions/${session.id}/access`, {
+        visibility,
+        ...(accessCode ? { access_code: accessCode } : {})
+      }, { headers: await authHeaders() });
+      setAccessCode('');
+      setMessage('Access updated');
+      if (onAccessChange) onAccessChange(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update access.');
+    }
+  };
+
+  const createInvite = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await axios.post(`/api/sessions/${session.id}/invites`, {
+        role: inviteForm.role,
+        maxUses: inviteForm.maxUses ? parseInt(inviteForm.maxUses, 10) : null,
+        expiresInHours: inviteForm.expiresInHours ? Number(inviteForm.expiresInHours) : null
+      }, { headers: await authHeaders() });
+      setNewLink(`${window.location.origin}${response.data.link}`);
+      setInviteForm(EMPTY_INVITE);
+      fetchInvites();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create invite.');
+    }
+  };
+
+  const revokeInvite = async (invite) => {
+    setError('');
+    try {
+      await axios.delete(`/api/sessions/${session.id}/invites/${invite.id}`, { headers: await authHeaders() });
+      fetchInvites();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke invite.');
+    }
+  };
+
+  const copyLink = () => {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(newLink);
+      setMessage('Link copied');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-4 space-y-4">
+      <h3 className="text-sm font-medium text-gray-900">Access</h3>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {message && <p className="text-xs text-green-700">{message}</p>}
+
+      <form onSubmit={saveAccess} className="space-y-2">
+        <select
+          value={visibility}
+          onChange={(e) => setVisibility(e.target.value)}
+          className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {visibility === 'code' && (
+          <input
+            type="text"
+            value={accessCode}
+            onChange={(e) => setAccessCode(e.target.value)}
+            placeholder={session.has_access_code ? 'New access code (leave blank to keep)' : 'Access code'}
+            maxLength={64}
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+        )}
+        <button
+          type="submit"
+          className="w-full bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-1 rounded-md text-sm"
+        >
+          Save access
+        </button>
+      </form>
+
+      <form onSubmit={saveCapacity} className="space-y-2 border-t pt-3">
+        <p className="text-xs font-medium text-gray-700">Capacity</p>
+        {capacity && (
+          <p className="text-xs text-gray-600">
+            {capacity.participantCount}/{capacity.maxParticipants} seats taken
+            {capacity.waitlistCount > 0 && ` · ${capacity.waitlistCount} waiting`}
+          </p>
+        )}
+        <div className="flex space-x-2">
+          <input
+            type="number"
+            min={1}
+            value={maxParticipants}
+            onChange={(e) => setMaxParticipants(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <button
+            type="submit"
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-1 rounded-md text-sm"
+          >
+            Set limit
+          </button>
+        </div>
+        {capacity?.waitlist?.length > 0 && (
+          <ol className="text-xs text-gray-600 list-decimal list-inside">
+            {capacity.waitlist.map((entry) => (
+              <li key={entry.userId}>{entry.name}{entry.role !== 'participant' && ` (${entry.role})`}</li>
+            ))}
+          </ol>
+        )}
+      </form>
+
+      <form onSubmit={createInvite} className="space-y-2 border-t pt-3">
+        <p className="text-xs font-medium text-gray-700">New invite link</p>
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={inviteForm.role}
+            onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+            className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+          >
+            <option value="participant">Participant</option>
+            <option value="moderator">Moderator</option>
+          </select>
+          <input
+            type="number"
+            min={1}
+            value={inviteForm.maxUses}
+            onChange={(e) => setInviteForm({ ...inviteForm, maxUses: e.target.value })}
+            placeholder="Max uses"
+            className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+          />
+          <input
+            type="number"
+            min={1}
+            value={inviteForm.expiresInHours}
+            onChange={(e) => setInviteForm({ ...inviteForm, expiresInHours: e.target.value })}
+            placeholder="Hours"
+            className="border border-gray-300 rounded-md px-1 py-1 text-xs"
+          />
+        </div>
+        <button
+          type="submit"
+          className="w-full bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-md text-sm"
+        >
+          Create invite
+        </button>
+      </form>
+
+      {newLink && (
+        <div className="bg-indigo-50 rounded p-2">
+          <p className="text-xs text-gray-600 mb-1">Copy this link now; it is not shown again.</p>
+          <div className="flex items-center space-x-2">
+            <input readOnly value={newLink} className="flex-1 text-xs border border-gray-300 rounded px-1 py-0.5" />
+            <button onClick={copyLink} className="text-xs text-indigo-600 hover:text-indigo-800">Copy</button>
+          </div>
+        </div>
+      )}
+
+      {invites.length > 0 && (
+        <ul className="space-y-1">
+          {invites.map((invite) => {
+            const status = inviteStatus(invite);
+            return (
+              <li key={invite.id} className="flex items-center justify-between text-xs text-gray-600">
+                <span>
+                  <span className="capitalize">{invite.role}</span>
+                  {' · '}{invite.useCount}{invite.maxUses ? `/${invite.maxUses}` : ''} used
+                  {invite.expiresAt && !status && ` · until ${new Date(invite.expiresAt).toLocaleString()}`}
+                  {status && ` · ${status}`}
+                </span>
+                {!status && (
+                  <button onClick={() => revokeInvite(invite)} className="underline text-red-600 hover:text-red-800">
+                    Revoke
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionAccessPanel;
@@ -2,19 +2,45 @@
 
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
 
-const SummaryDashboard = ({ session }) => {
+const SummaryDashboard = ({ session, socket, sessionRole }) => {
+  const { getToken } = useAuth();
   const [summaries, setSummaries] = useState([]);
   const [loading, setLoading] = useState(false);
   const [activeSummary, setActiveSummary] = useState('rolling');
+  const [error, setError] = useState('');
+  const [minutesFormat, setMinutesFormat] = useState('pdf');
+  const [includeTranscript, setIncludeTranscript] = useState(false);
+  const [schedule, setSchedule] = useState({
+    summary_interval_minutes: session.summary_interval_minutes ?? 5,
+    summary_every_segments: session.summary_every_segments ?? 50
+  });
+  const [scheduleMessage, setScheduleMessage] = useState('');
+  const isHost = sessionRole === 'host';
 
   useEffect(() => {
     fetchSummaries();
-  }, [session]);
+  }, [session.id]);
+
+  // The server pushes rolling summaries on its schedule, and every summary anyone generates
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleSummaryUpdate = ({ summary }) => {
+      if (!summary) return;
+      setSummaries(prev => [summary, ...prev.filter(s => s.id !== summary.id)]);
+    };
+
+    socket.on('summary-update', handleSummaryUpdate);
+    return () => {
+      socket.off('summary-update', handleSummaryUpdate);
+    };
+  }, [socket]);
 
   const fetchSummaries = async () => {
     try {
-      const token = localStorage.getItem('token');
+      const token = await getToken();
       const response = await axios.get(`/api/transcripts/session/${session.id}/summaries`, {
         headers: { Authorization: `Bearer ${token}` }
       });
@@ -27,14 +53,12 @@ const SummaryDashboard = ({ session }) => {
 
   const generateSummary = async (type) => {
     setLoading(true);
+    setError('');
     try {
-      const token = localStorage.getItem('token');
+      const token = await getToken();
       await axios.post('/api/transcripts/summaries', {
         sessionId: session.id,
-        summaryType: type,
-        content: `Generated ${type} summary for session ${session.title}`,
-        keyPoints: ["Key point 1", "Key point 2", "Key point 3"],
-        actionItems: type === 'final' ? ["Action item 1", "Action item 2"] : []
+        summaryType: type
       }, {
         headers: { Authorization: `Bearer ${token}` }
       });
@@ -42,11 +66,59 @@ const SummaryDashboard = ({ session }) => {
       fetchSummaries(); // Refresh summaries
     } catch (error) {
       console.error('Error generating summary:', error);
+      setError(error.response?.data?.error || 'Failed to generate summary.');
     } finally {
       setLoading(false);
     }
   };
 
+  const saveSchedule = async (e) => {
+    e.preventDefault();
+    setScheduleMessage('');
+    try {
+      const token = await getToken();
+      const response = await axios.patch(`/api/sessions/${session.id}/summary-schedule`, schedule, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSchedule(response.data);
+      setScheduleMessage('Saved');
+    } catch (error) {
+      console.error('Error updating summary schedule:', error);
+      setScheduleMessage(error.response?.data?.error || 'Failed to save schedule.');
+    }
+  };
+
+  const exportMinutes = async () => {
+    try {
+      const token = await getToken();
+      const response = await axios.get(`/api/sessions/${session.id}/minutes`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format: minutesFormat, transcript: includeTranscript },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `session-${session.id}-minutes.${minutesFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting minutes:', error);
+      // Blob responses carry the JSON error body as a Blob too
+      const body = error.response?.data instanceof Blob ? await error.response.data.text() : null;
+      let message = null;
+      try {
+        message = body && JSON.parse(body).error;
+      } catch (parseError) {
+        message = null;
+      }
+      setError(message || 'Failed to export minutes.');
+    }
+  };
+
   const getCurrentSummary = () => {
     return summaries.find(s => s.summary_type === activeSummary) || null;
   };
@@ -99,6 +171,69 @@ const SummaryDashboard = ({ session }) => {
         </button>
       </div>
 
+      {/* Automatic Rolling Summaries (host) */}
+      {isHost && (
+        <form onSubmit={saveSchedule} className="flex items-center justify-end space-x-2 text-sm text-gray-700">
+          <span>Auto-summarize every</span>
+          <input
+            type="number"
+            min={0}
+            value={schedule.summary_interval_minutes}
+            onChange={(e) => setSchedule({ ...schedule, summary_interval_minutes: e.target.value })}
+            className="w-16 border border-gray-300 rounded-md px-2 py-1"
+          />
+          <span>min or</span>
+          <input
+            type="number"
+            min={0}
+            value={schedule.summary_every_segments}
+            onChange={(e) => setSchedule({ ...schedule, summary_every_segments: e.target.value })}
+            className="w-16 border border-gray-300 rounded-md px-2 py-1"
+          />
+          <span>captions (0 = off)</span>
+          <button
+            type="submit"
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-3 py-1 rounded-md"
+          >
+            Save
+          </button>
+          {scheduleMessage && <span className="text-xs text-gray-500">{scheduleMessage}</span>}
+        </form>
+      )}
+
+      {/* Minutes Export */}
+      <div className="flex items-center justify-end space-x-2">
+        <label className="flex items-center space-x-1 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includeTranscript}
+            onChange={(e) => setIncludeTranscript(e.target.checked)}
+          />
+          <span>Include transcript</span>
+        </label>
+        <select
+          value={minutesFormat}
+          onChange={(e) => setMinutesFormat(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-2 text-sm"
+        >
+          <option value="pdf">PDF</option>
+          <option value="html">HTML</option>
+          <option value="md">Markdown</option>
+        </select>
+        <button
+          onClick={exportMinutes}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium"
+        >
+          Export minutes
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg px-4 py-3">
+          {error}
+        </div>
+      )}
+
       {/* Summary Display */}
       <div className="bg-white border border-gray-200 rounded-lg">
         <div className="px-4 py-3 border-b border-gray-200">
@@ -144,6 +279,7 @@ const SummaryDashboard = ({ session }) => {
               {/* Metadata */}
               <div className="text-xs text-gray-500 border-t pt-2">
                 Generated: {new Date(currentSummary.created_at).toLocaleString()}
+                {currentSummary.from_seq && ` · Captions ${currentSummary.from_seq}–${currentSummary.to_seq}`}
               </div>
             </div>
           ) : (
@@ -176,7 +312,7 @@ const SummaryDashboard = ({ session }) => {
               .filter(s => s.summary_type === activeSummary)
               .slice(0, 5)
               .map((summary, index) => (
-                <div key={index} className="p-4 hover:bg-gray-50">
+                <div key={summary.id ?? index} className="p-4 hover:bg-gray-50">
                   <div className="flex items-center justify-between">
                     <div className="flex-1">
                       <p className="text-sm text-gray-900 line-clamp-2">
@@ -184,6 +320,7 @@ const SummaryDashboard = ({ session }) => {
                       </p>
                       <p className="text-xs text-gray-500 mt-1">
                         {new Date(summary.created_at).toLocaleString()}
+                        {summary.from_seq && ` · Captions ${summary.from_seq}–${summary.to_seq}`}
                       </p>
                     </div>
                   </div>
@@ -0,0 +1,184 @@
+// components/TranscriptEditor.js - Inline correction of one transcript segment with its revision history
+
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { useAuth } from '@clerk/clerk-react';
+
+const DIFF_CLASSES = {
+  '+': 'bg-green-100 text-green-800',
+  '-': 'bg-red-100 text-red-700 line-through',
+  '=': ''
+};
+
+const ACTION_LABELS = {
+  edit: 'Edited',
+  split: 'Split',
+  merge: 'Merged with next',
+  revert: 'Reverted'
+};
+
+const TranscriptEditor = ({ caption, transcriptId, onCorrected, onClose }) => {
+  const { getToken } = useAuth();
+  const [text, setText] = useState(caption.text);
+  const [speaker, setSpeaker] = useState(caption.speaker || '');
+  const [revisions, setRevisions] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const textRef = useRef(null);
+
+  const authHeaders = async () => ({ Authorization: `Bearer ${await getToken()}` });
+
+  useEffect(() => {
+    setText(caption.text);
+    setSpeaker(caption.speaker || '');
+    if (showHistory) fetchRevisions();
+  }, [caption.text, caption.speaker, caption.revision]);
+
+  const fetchRevisions = async () => {
+    try {
+      const response = await axios.get(`/api/transcripts/${transcriptId}/revisions`, { headers: await authHeaders() });
+      setRevisions(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load revisions.');
+    }
+  };
+
+  // Every action answers with the changed segments; the room gets the same via transcript-corrected
+  const run = async (request, close = true) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await request();
+      onCorrected(response.data);
+      if (close) onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to correct the segment.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    run(async () => axios.patch(`/api/transcripts/${transcriptId}`, { text, speaker }, { headers: await authHeaders() }));
+  };
+
+  // Split the saved text where the cursor is
+  const split = () => {
+    const at = textRef.current ? textRef.current.selectionStart : 0;
+    if (text !== caption.text) {
+      setError('Save or discard your edit before splitting.');
+      return;
+    }
+    run(async () => axios.post(`/api/transcripts/${transcriptId}/split`, { at }, { headers: await authHeaders() }));
+  };
+
+  const merge = () => {
+    run(async () => axios.post(`/api/transcripts/${transcriptId}/merge`, {}, { headers: await authHeaders() }));
+  };
+
+  const revert = (revision) => {
+    run(async () => axios.post(`/api/transcripts/${transcriptId}/revert`, { revision }, { headers: await authHeaders() }), false);
+  };
+
+  const toggleHistory = () => {
+    if (!showHistory) fetchRevisions();
+    setShowHistory(!showHistory);
+  };
+
+  return (
+    <div className="mt-2 bg-gray-50 border border-gray-200 rounded p-2 space-y-2">
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <form onSubmit={save} className="space-y-2">
+        <textarea
+          ref={textRef}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={2}
+          className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+        />
+        <input
+          type="text"
+          value={speaker}
+          onChange={(e) => setSpeaker(e.target.value)}
+          placeholder="Speaker"
+          maxLength={255}
+          className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+        />
+        <div className="flex flex-wrap gap-1">
+          <button
+            type="submit"
+            disabled={saving}
+            className="text-xs bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400 text-white px-2 py-1 rounded"
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={split}
+            disabled={saving}
+            className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+            title="Split the segment where the cursor is"
+          >
+            Split at cursor
+          </button>
+          <button
+            type="button"
+            onClick={merge}
+            disabled={saving}
+            className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+          >
+            Merge with next
+          </button>
+          <button
+            type="button"
+            onClick={toggleHistory}
+            className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+          >
+            {showHistory ? 'Hide history' : 'History'}
+          </button>
+          <button type="button" onClick={onClose} className="text-xs underline text-gray-600 px-2 py-1">
+            Cancel
+          </button>
+        </div>
+      </form>
+
+      {showHistory && (
+        <ul className="space-y-2 border-t pt-2">
+          {revisions.length === 0 && <li className="text-xs text-gray-500">No corrections yet.</li>}
+          {revisions.map((revision) => (
+            <li key={revision.id} className="text-xs text-gray-700">
+              <div className="flex items-center justify-between">
+                <span className="text-gray-500">
+                  #{revision.revision} {ACTION_LABELS[revision.action]} by {revision.authorName || 'unknown'}
+                  {' · '}{new Date(revision.createdAt).toLocaleString()}
+                  {revision.speakerBefore !== revision.speakerAfter && revision.textBefore !== null &&
+                    ` · speaker ${revision.speakerBefore || '-'} → ${revision.speakerAfter || '-'}`}
+                </span>
+                {revision.revision < caption.revision && (
+                  <button onClick={() => revert(revision.revision)} disabled={saving} className="underline text-indigo-600 hover:text-indigo-800">
+                    Revert to this
+                  </button>
+                )}
+              </div>
+              <p className="mt-0.5">
+                {(revision.diff || []).map(([op, part], index) => (
+                  <span key={index} className={DIFF_CLASSES[op]}>{part}</span>
+                ))}
+              </p>
+              {revision.revision === 1 && revision.textBefore !== null && (
+                <button onClick={() => revert(0)} disabled={saving} className="underline text-indigo-600 hover:text-indigo-800">
+                  Revert to original
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptEditor;